@@ -0,0 +1,158 @@
+// Local stand-in for the print shop's order backend, so the order flow in the
+// slicer can be developed and tested offline. Orders live in memory only.
+//
+//   npm run mock:orders                      listens on http://localhost:4010
+//   PORT=5000 MOCK_API_KEY=secret MOCK_FAIL_RATE=0.3 npm run mock:orders
+//
+// MOCK_FAIL_RATE answers that share of order submissions with a 503 to
+// exercise the client's retries. Each status request moves an order one step
+// along received -> accepted -> printing -> shipped -> completed.
+
+const http = require("http");
+
+const STATUS_STEPS = ["received", "accepted", "printing", "shipped", "completed"];
+const MAX_BODY_BYTES = 300 * 1024 * 1024; // base64 of the slicer's 200 MB limit
+
+const createId = () => `ord_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+function createMockOrderServer({ apiKey = "", failRate = 0, failFirst = 0, log = () => {} } = {}) {
+  const orders = new Map(); // id -> order
+  const byReference = new Map(); // Idempotency-Key -> id
+  let submissions = 0;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, Idempotency-Key",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  };
+
+  const publicOrder = (order) => ({
+    id: order.id,
+    status: order.status,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    message: order.message,
+  });
+
+  const readJson = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Order is too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+
+  const validate = (order) => {
+    if (!order || typeof order !== "object") return "Order must be a JSON object";
+    if (!order.model || typeof order.model.data !== "string" || !order.model.data) return "model.data is required";
+    if (!order.model.name) return "model.name is required";
+    if (!order.printInfo || typeof order.printInfo !== "object") return "printInfo is required";
+    if (!order.quote || !Number.isFinite(order.quote.total)) return "quote.total is required";
+    if (order.customer?.email && !/^[^@\s]+@[^@\s]+$/.test(order.customer.email)) return "customer.email is not valid";
+    return null;
+  };
+
+  const submitOrder = async (req, res) => {
+    submissions += 1;
+    if (submissions <= failFirst || Math.random() < failRate) {
+      log(`POST /orders -> 503 (simulated failure)`);
+      send(res, 503, { error: "Simulated outage, try again" });
+      return;
+    }
+
+    const body = await readJson(req);
+    const problem = validate(body);
+    if (problem) {
+      send(res, 422, { error: problem });
+      return;
+    }
+
+    // A retried submission gets the order created the first time
+    const reference = req.headers["idempotency-key"] || body.reference;
+    if (reference && byReference.has(reference)) {
+      send(res, 200, publicOrder(orders.get(byReference.get(reference))));
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const order = { ...body, id: createId(), status: "received", message: "", createdAt: now, updatedAt: now };
+    orders.set(order.id, order);
+    if (reference) byReference.set(reference, order.id);
+    log(`POST /orders -> 201 ${order.id} (${order.model.name}, ${order.quote.total} ${order.quote.currency || ""})`);
+    send(res, 201, publicOrder(order));
+  };
+
+  const getOrder = (res, id) => {
+    const order = orders.get(id);
+    if (!order) {
+      send(res, 404, { error: `No order ${id}` });
+      return;
+    }
+    const step = STATUS_STEPS.indexOf(order.status);
+    if (step >= 0 && step < STATUS_STEPS.length - 1) {
+      order.status = STATUS_STEPS[step + 1];
+      order.updatedAt = new Date().toISOString();
+    }
+    send(res, 200, publicOrder(order));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === "OPTIONS") {
+        send(res, 204);
+        return;
+      }
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        send(res, 401, { error: "Missing or wrong API key" });
+        return;
+      }
+
+      const { pathname } = new URL(req.url, "http://localhost");
+      const match = /^\/orders\/([^/]+)$/.exec(pathname);
+      if (req.method === "POST" && pathname === "/orders") {
+        await submitOrder(req, res);
+      } else if (req.method === "GET" && match) {
+        getOrder(res, decodeURIComponent(match[1]));
+      } else {
+        send(res, 404, { error: "Not found" });
+      }
+    } catch (err) {
+      if (!res.headersSent) send(res, err.status || 500, { error: err.message });
+    }
+  });
+
+  server.orders = orders;
+  return server;
+}
+
+module.exports = { createMockOrderServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4010;
+  const server = createMockOrderServer({
+    apiKey: process.env.MOCK_API_KEY || "",
+    failRate: Number(process.env.MOCK_FAIL_RATE) || 0,
+    log: (line) => console.log(line),
+  });
+  server.listen(port, () => {
+    console.log(`Mock order server on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,66 @@
+import React from "react";
+import { ADHESION_TYPE_OPTIONS, USER_SETTING_LIMITS, clampSetting } from "../utils/userSettings";
+
+const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// Parameters shown for each adhesion type
+const PARAMETERS = {
+  skirt: [
+    { key: "skirtDistance", label: "Skirt distance (mm)", step: 0.5 },
+    { key: "skirtLineCount", label: "Skirt lines", step: 1 },
+  ],
+  brim: [{ key: "brimWidth", label: "Brim width (mm)", step: 1 }],
+  raft: [
+    { key: "raftMargin", label: "Raft margin (mm)", step: 1 },
+    { key: "raftLayers", label: "Raft top layers", step: 1 },
+  ],
+  none: [],
+};
+
+const AdhesionSettings = ({ settings, onChange }) => {
+  const selected = ADHESION_TYPE_OPTIONS.find((o) => o.value === settings.adhesionType) || ADHESION_TYPE_OPTIONS[1];
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Bed Adhesion
+      </label>
+      <select
+        value={selected.value}
+        onChange={(e) => onChange('adhesionType', e.target.value)}
+        className={inputClass}
+      >
+        {ADHESION_TYPE_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">{selected.description}</p>
+
+      {PARAMETERS[selected.value].length > 0 && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {PARAMETERS[selected.value].map((param) => (
+            <label key={param.key} className="text-xs text-gray-600">
+              {param.label}
+              <input
+                type="number"
+                min={USER_SETTING_LIMITS[param.key].min}
+                max={USER_SETTING_LIMITS[param.key].max}
+                step={param.step}
+                value={settings[param.key]}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (Number.isFinite(value)) onChange(param.key, clampSetting(param.key, value));
+                }}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdhesionSettings;
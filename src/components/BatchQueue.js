@@ -0,0 +1,215 @@
+import React, { useEffect, useRef, useState } from "react";
+import { formatTime } from "../utils/format";
+import { analyzeMesh } from "../utils/meshAnalysis";
+import { buildPrintInfo } from "../utils/printInfo";
+import { checkSliceSettings, startModelSliceJob } from "../utils/modelSlice";
+import { SliceCancelledError } from "../utils/sliceJob";
+import { runQueue, summarizeBatch } from "../utils/sliceQueue";
+import { IssueList } from "./SettingsReport";
+
+const STATUS_STYLES = {
+  queued: "text-gray-500",
+  slicing: "text-blue-600",
+  done: "text-green-700",
+  failed: "text-red-600",
+  cancelled: "text-yellow-700",
+};
+
+const newRows = (models) => models.map((m) => ({
+  name: m.name,
+  status: "queued",
+  progress: 0,
+  printInfo: null,
+  error: "",
+  sliceSeconds: null,
+}));
+
+const BatchQueue = ({ models, printer, material, userSettings, sliceTimeout }) => {
+  const [rows, setRows] = useState(() => newRows(models));
+  const [concurrency, setConcurrency] = useState(1);
+  const [isRunning, setIsRunning] = useState(false);
+  const [settingsErrors, setSettingsErrors] = useState([]);
+  const cancelledRef = useRef(false);
+  const jobsRef = useRef(new Set());
+
+  useEffect(() => {
+    setRows(newRows(models));
+  }, [models]);
+
+  useEffect(() => () => {
+    cancelledRef.current = true;
+    jobsRef.current.forEach((job) => job.cancel());
+  }, []);
+
+  const updateRow = (index, changes) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const sliceOne = async (model, index) => {
+    updateRow(index, { status: "slicing", progress: 0, error: "" });
+    const startedAt = Date.now();
+    let job = null;
+
+    try {
+      job = startModelSliceJob({
+        mesh: model.mesh,
+        printer,
+        material,
+        userSettings,
+        timeoutMs: sliceTimeout * 60 * 1000,
+        onProgress: (percent) => updateRow(index, { progress: percent }),
+      });
+      jobsRef.current.add(job);
+
+      const result = await job.promise;
+      updateRow(index, {
+        status: "done",
+        progress: 100,
+        printInfo: buildPrintInfo(result.metadata, userSettings, printer, material, analyzeMesh(model.mesh)),
+        sliceSeconds: (Date.now() - startedAt) / 1000,
+      });
+    } catch (err) {
+      if (err instanceof SliceCancelledError) {
+        updateRow(index, { status: "cancelled", error: err.message });
+      } else {
+        console.error(`Batch slicing error for ${model.name}:`, err);
+        updateRow(index, { status: "failed", error: err.message });
+      }
+    } finally {
+      if (job) jobsRef.current.delete(job);
+    }
+  };
+
+  const runBatch = async () => {
+    cancelledRef.current = false;
+    setIsRunning(true);
+    setRows(newRows(models));
+
+    try {
+      // Every model is sliced with the same settings, so one check covers the batch
+      const { errors } = await checkSliceSettings(printer, userSettings, material);
+      setSettingsErrors(errors);
+      if (errors.length > 0) return;
+
+      await runQueue(models, sliceOne, {
+        concurrency,
+        isCancelled: () => cancelledRef.current,
+      });
+      if (cancelledRef.current) {
+        setRows((prev) => prev.map((row) => (
+          row.status === "queued" ? { ...row, status: "cancelled" } : row
+        )));
+      }
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const cancelBatch = () => {
+    cancelledRef.current = true;
+    jobsRef.current.forEach((job) => job.cancel());
+  };
+
+  const total = summarizeBatch(rows);
+  const finished = rows.filter((row) => row.status !== "queued" && row.status !== "slicing").length;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <button
+          onClick={runBatch}
+          disabled={isRunning}
+          className={`py-3 px-6 rounded-md font-medium ${
+            isRunning
+              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}
+        >
+          {isRunning ? `Slicing ${finished}/${rows.length}...` : `Slice All ${rows.length} Models`}
+        </button>
+        {isRunning && (
+          <button
+            onClick={cancelBatch}
+            className="py-3 px-6 rounded-md font-medium bg-red-600 text-white hover:bg-red-700"
+          >
+            Cancel Batch
+          </button>
+        )}
+        <label className="flex items-center text-sm text-gray-700">
+          Parallel slices:
+          <select
+            value={concurrency}
+            disabled={isRunning}
+            onChange={(e) => setConcurrency(parseInt(e.target.value))}
+            className="ml-2 px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {[1, 2, 3, 4].map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {settingsErrors.length > 0 && (
+        <div className="p-3 mb-4 rounded-lg border bg-red-50 border-red-200">
+          <p className="text-sm text-red-700 mb-1">
+            Some print settings are out of range for this printer. Fix these before slicing the batch:
+          </p>
+          <IssueList issues={settingsErrors} className="text-red-700" />
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left">Model</th>
+              <th className="px-3 py-2 text-left">Status</th>
+              <th className="px-3 py-2 text-right">Progress</th>
+              <th className="px-3 py-2 text-right">Print Time</th>
+              <th className="px-3 py-2 text-right">Filament</th>
+              <th className="px-3 py-2 text-right">Weight</th>
+              <th className="px-3 py-2 text-right">Slice Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={`${row.name}-${index}`} className="border-t border-gray-200">
+                <td className="px-3 py-2">{row.name}</td>
+                <td className={`px-3 py-2 capitalize ${STATUS_STYLES[row.status]}`} title={row.error}>
+                  {row.status}
+                </td>
+                <td className="px-3 py-2 text-right">{row.progress}%</td>
+                <td className="px-3 py-2 text-right">
+                  {row.printInfo ? formatTime(row.printInfo.estimatedTime) : "-"}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {row.printInfo ? `${(parseFloat(row.printInfo.filamentUsedMm) / 1000 || 0).toFixed(2)} m` : "-"}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {row.printInfo ? `${row.printInfo.filamentUsedGrams} g` : "-"}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {row.sliceSeconds !== null ? formatTime(row.sliceSeconds) : "-"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-blue-50 font-semibold">
+            <tr className="border-t-2 border-blue-200">
+              <td className="px-3 py-2">Total ({total.count} of {rows.length} sliced)</td>
+              <td className="px-3 py-2"></td>
+              <td className="px-3 py-2"></td>
+              <td className="px-3 py-2 text-right">{formatTime(total.estimatedTime)}</td>
+              <td className="px-3 py-2 text-right">{(total.filamentUsedMm / 1000).toFixed(2)} m</td>
+              <td className="px-3 py-2 text-right">{total.filamentUsedGrams.toFixed(2)} g</td>
+              <td className="px-3 py-2"></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BatchQueue;
@@ -0,0 +1,235 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MAX_VARIANTS, createVariant, describeVariant, findHighlights, quickVariants } from "../utils/compare";
+import { formatTime } from "../utils/format";
+import { decodeGcode, readLayerCount } from "../utils/gcode";
+import { findMaterial } from "../utils/materials";
+import { checkSliceSettings, startModelSliceJob } from "../utils/modelSlice";
+import { buildPrintInfo } from "../utils/printInfo";
+import { QUOTE_SETTINGS_STORAGE_KEY, calculateQuote, formatMoney, withQuoteDefaults } from "../utils/quote";
+import { SliceCancelledError } from "../utils/sliceJob";
+import { runQueue } from "../utils/sliceQueue";
+import { loadJSON } from "../utils/storage";
+import { INFILL_PATTERN_OPTIONS, LAYER_HEIGHT_OPTIONS } from "../utils/userSettings";
+import { IssueList } from "./SettingsReport";
+
+const cellInput = "px-2 py-1 border border-gray-300 rounded-md";
+
+const emptyResult = { status: "queued", progress: 0, printInfo: null, quote: null, layerCount: null, error: "", settingsErrors: [] };
+
+const CompareMode = ({ model, analysis, printer, materials, userSettings, sliceTimeout }) => {
+  const [variants, setVariants] = useState(() => quickVariants(userSettings, "layerHeight"));
+  const [results, setResults] = useState({}); // variant id -> result row
+  const [isRunning, setIsRunning] = useState(false);
+  const cancelledRef = useRef(false);
+  const jobsRef = useRef(new Set());
+
+  // Results belong to the mesh and printer they were sliced with
+  useEffect(() => {
+    setResults({});
+  }, [model, printer]);
+
+  useEffect(() => () => {
+    cancelledRef.current = true;
+    jobsRef.current.forEach((job) => job.cancel());
+  }, []);
+
+  const updateVariant = (id, key, value) => {
+    setVariants((prev) => prev.map((v) => (v.id === id ? { ...v, settings: { ...v.settings, [key]: value } } : v)));
+    setResults((prev) => ({ ...prev, [id]: undefined }));
+  };
+
+  const updateResult = (id, changes) => {
+    setResults((prev) => ({ ...prev, [id]: { ...emptyResult, ...prev[id], ...changes } }));
+  };
+
+  const sliceVariant = async (variant) => {
+    const material = findMaterial(materials, variant.settings.materialType);
+    updateResult(variant.id, { ...emptyResult, status: "slicing" });
+    let job = null;
+
+    try {
+      // A variant with out-of-range settings is not sliced, the others still are
+      const { errors } = await checkSliceSettings(printer, variant.settings, material);
+      if (errors.length > 0) {
+        updateResult(variant.id, { status: "invalid", settingsErrors: errors });
+        return;
+      }
+
+      job = startModelSliceJob({
+        mesh: model.mesh,
+        printer,
+        material,
+        userSettings: variant.settings,
+        timeoutMs: sliceTimeout * 60 * 1000,
+        onProgress: (percent) => updateResult(variant.id, { progress: percent }),
+      });
+      jobsRef.current.add(job);
+
+      const result = await job.promise;
+      const printInfo = buildPrintInfo(result.metadata, variant.settings, printer, material, analysis);
+      const quoteSettings = withQuoteDefaults(loadJSON(QUOTE_SETTINGS_STORAGE_KEY, {}));
+      updateResult(variant.id, {
+        status: "done",
+        progress: 100,
+        printInfo,
+        quote: calculateQuote(printInfo, material, printer.id, quoteSettings),
+        layerCount: readLayerCount(decodeGcode(result.gcode)),
+      });
+    } catch (err) {
+      if (err instanceof SliceCancelledError) {
+        updateResult(variant.id, { status: "cancelled", error: err.message });
+      } else {
+        console.error("Compare slicing error:", err);
+        updateResult(variant.id, { status: "failed", error: err.message });
+      }
+    } finally {
+      if (job) jobsRef.current.delete(job);
+    }
+  };
+
+  const runComparison = async () => {
+    cancelledRef.current = false;
+    setIsRunning(true);
+    setResults({});
+    try {
+      await runQueue(variants, sliceVariant, { isCancelled: () => cancelledRef.current });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const cancelComparison = () => {
+    cancelledRef.current = true;
+    jobsRef.current.forEach((job) => job.cancel());
+  };
+
+  const addVariants = (added) => {
+    setVariants((prev) => [...prev, ...added].slice(0, MAX_VARIANTS));
+  };
+
+  const rows = variants.map((variant) => ({ variant, ...emptyResult, ...results[variant.id] }));
+  const highlights = findHighlights(rows);
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mb-6 border border-gray-200">
+      <h4 className="font-semibold text-gray-800 mb-3">Compare Configurations:</h4>
+
+      <div className="flex flex-wrap gap-2 mb-3 text-sm">
+        <button type="button" disabled={isRunning || variants.length >= MAX_VARIANTS} onClick={() => addVariants([createVariant(userSettings)])} className={`${cellInput} bg-white hover:bg-gray-100`}>
+          + Current settings
+        </button>
+        <button type="button" disabled={isRunning} onClick={() => setVariants(quickVariants(userSettings, "layerHeight"))} className={`${cellInput} bg-white hover:bg-gray-100`}>
+          0.1 / 0.2 / 0.3 mm
+        </button>
+        <button type="button" disabled={isRunning} onClick={() => setVariants(quickVariants(userSettings, "infill"))} className={`${cellInput} bg-white hover:bg-gray-100`}>
+          15 / 30% infill
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-gray-200 bg-white">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-2 py-2 text-left">Layer</th>
+              <th className="px-2 py-2 text-left">Infill</th>
+              <th className="px-2 py-2 text-left">Pattern</th>
+              <th className="px-2 py-2 text-left">Material</th>
+              <th className="px-2 py-2 text-left">Support</th>
+              <th className="px-2 py-2 text-right">Time</th>
+              <th className="px-2 py-2 text-right">Filament</th>
+              <th className="px-2 py-2 text-right">Weight</th>
+              <th className="px-2 py-2 text-right">Layers</th>
+              <th className="px-2 py-2 text-right">Cost</th>
+              <th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const { variant, printInfo } = row;
+              const isCheapest = highlights.cheapest === index;
+              const isFastest = highlights.fastest === index;
+              return (
+                <tr key={variant.id} className={`border-t border-gray-200 ${isCheapest || isFastest ? "bg-green-50" : ""}`} title={describeVariant(variant.settings)}>
+                  <td className="px-2 py-2">
+                    <select value={variant.settings.layerHeight} disabled={isRunning} onChange={(e) => updateVariant(variant.id, "layerHeight", parseFloat(e.target.value))} className={cellInput}>
+                      {LAYER_HEIGHT_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.value} mm</option>)}
+                    </select>
+                  </td>
+                  <td className="px-2 py-2">
+                    <input type="number" min="0" max="100" value={variant.settings.infillDensity} disabled={isRunning} onChange={(e) => updateVariant(variant.id, "infillDensity", parseInt(e.target.value) || 0)} className={`${cellInput} w-16`} />
+                  </td>
+                  <td className="px-2 py-2">
+                    <select value={variant.settings.infillPattern} disabled={isRunning} onChange={(e) => updateVariant(variant.id, "infillPattern", e.target.value)} className={cellInput}>
+                      {INFILL_PATTERN_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-2 py-2">
+                    <select value={variant.settings.materialType} disabled={isRunning} onChange={(e) => updateVariant(variant.id, "materialType", e.target.value)} className={cellInput}>
+                      {materials.map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-2 py-2">
+                    <input type="checkbox" checked={variant.settings.supportEnable} disabled={isRunning} onChange={(e) => updateVariant(variant.id, "supportEnable", e.target.checked)} />
+                  </td>
+                  {row.status === "done" ? (
+                    <>
+                      <td className={`px-2 py-2 text-right ${isFastest ? "font-semibold text-green-700" : ""}`}>
+                        {formatTime(printInfo.estimatedTime)}{isFastest && " ⚡"}
+                      </td>
+                      <td className="px-2 py-2 text-right">{(parseFloat(printInfo.filamentUsedMm) / 1000 || 0).toFixed(2)} m</td>
+                      <td className="px-2 py-2 text-right">{printInfo.filamentUsedGrams} g</td>
+                      <td className="px-2 py-2 text-right">{row.layerCount ?? printInfo.layerCount}</td>
+                      <td className={`px-2 py-2 text-right ${isCheapest ? "font-semibold text-green-700" : ""}`}>
+                        {row.quote ? formatMoney(row.quote.total, row.quote.currency) : "N/A"}{isCheapest && " 💰"}
+                      </td>
+                    </>
+                  ) : row.status === "invalid" ? (
+                    <td colSpan={5} className="px-2 py-2 text-red-700">
+                      Settings out of range:
+                      <IssueList issues={row.settingsErrors} className="text-red-700" />
+                    </td>
+                  ) : (
+                    <td colSpan={5} className="px-2 py-2 text-right text-gray-500 capitalize" title={row.error}>
+                      {row.status === "slicing" ? `Slicing ${row.progress}%` : row.status}
+                    </td>
+                  )}
+                  <td className="px-2 py-2 text-right">
+                    <button
+                      type="button"
+                      disabled={isRunning || variants.length <= 1}
+                      onClick={() => setVariants((prev) => prev.filter((v) => v.id !== variant.id))}
+                      className="text-red-600 hover:text-red-800"
+                      aria-label="Remove variant"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex gap-4 mt-3">
+        <button
+          type="button"
+          onClick={runComparison}
+          disabled={isRunning}
+          className={`py-2 px-4 rounded-md font-medium ${
+            isRunning ? 'bg-gray-300 text-gray-500 cursor-not-allowed' : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}
+        >
+          {isRunning ? "Comparing..." : `Slice ${variants.length} Variants`}
+        </button>
+        {isRunning && (
+          <button type="button" onClick={cancelComparison} className="py-2 px-4 rounded-md font-medium bg-red-600 text-white hover:bg-red-700">
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompareMode;
@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  CURA_CATEGORIES,
+  CURA_SETTINGS,
+  parseSettingInput,
+  searchSettings,
+  settingDefault,
+  settingLimits,
+} from "../utils/curaSettings";
+
+// Rendering all ~550 settings at once makes typing in the search box sluggish
+const MAX_RESULTS = 150;
+
+const inputClass = "w-full px-2 py-1 border border-gray-300 rounded-md text-sm";
+
+const formatValue = (value) => {
+  if (typeof value === "boolean") return value ? "On" : "Off";
+  if (value === undefined || value === "") return "-";
+  return String(value).length > 40 ? `${String(value).slice(0, 40)}...` : String(value);
+};
+
+const rangeText = (setting, definition) => {
+  const limits = settingLimits(setting, definition);
+  const min = limits.minimum ?? limits.minimumWarning;
+  const max = limits.maximum ?? limits.maximumWarning;
+  if (min === undefined && max === undefined) return "";
+  return `${min ?? "…"} – ${max ?? "…"}${setting.unit ? ` ${setting.unit}` : ""}`;
+};
+
+const SettingInput = ({ setting, value, disabled, onChange }) => {
+  // Numbers are edited as text so partial input like "0." is not reset
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  switch (setting.type) {
+    case "bool":
+      return (
+        <input type="checkbox" checked={Boolean(value)} disabled={disabled} onChange={(e) => onChange(e.target.checked)} />
+      );
+    case "enum":
+      return (
+        <select value={value} disabled={disabled} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+          {Object.entries(setting.options || {}).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      );
+    case "str":
+      return (
+        <textarea rows={2} value={draft} disabled={disabled} onChange={(e) => setDraft(e.target.value)} onBlur={() => onChange(draft)} className={`${inputClass} font-mono`} />
+      );
+    default:
+      return (
+        <input
+          type="number"
+          step={setting.type === "int" ? 1 : "any"}
+          min={typeof setting.minimum === "number" ? setting.minimum : undefined}
+          max={typeof setting.maximum === "number" ? setting.maximum : undefined}
+          value={draft}
+          disabled={disabled}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            const parsed = parseSettingInput(setting, e.target.value);
+            if (parsed !== undefined) onChange(parsed);
+          }}
+          className={inputClass}
+        />
+      );
+  }
+};
+
+const ExpertSettings = ({ printer, overrides, onChange, disabled }) => {
+  const [query, setQuery] = useState("");
+  const [category, setCategory] = useState("");
+  const [onlyOverridden, setOnlyOverridden] = useState(false);
+
+  const matches = useMemo(() => {
+    let settings = searchSettings(CURA_SETTINGS, query);
+    if (category) settings = settings.filter((s) => s.category === category);
+    if (onlyOverridden) settings = settings.filter((s) => s.key in overrides);
+    return settings;
+  }, [query, category, onlyOverridden, overrides]);
+
+  const overriddenCount = Object.keys(overrides).length;
+  const needsFilter = !query && !category && !onlyOverridden;
+
+  const setOverride = (key, value) => {
+    onChange({ ...overrides, [key]: value });
+  };
+
+  const clearOverride = (key) => {
+    const { [key]: removed, ...rest } = overrides;
+    onChange(rest);
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mb-6 border border-gray-200">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h4 className="font-semibold text-gray-800">
+          Expert Settings <span className="text-sm font-normal text-gray-500">({printer.name}, {overriddenCount} overridden)</span>
+        </h4>
+        {overriddenCount > 0 && (
+          <button type="button" disabled={disabled} onClick={() => onChange({})} className="text-sm text-red-600 hover:text-red-800">
+            Clear all overrides
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-3">
+        <input
+          type="search"
+          value={query}
+          placeholder="Search settings, e.g. retraction or wall_line_count"
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 min-w-[14rem] px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <select value={category} onChange={(e) => setCategory(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md">
+          <option value="">All categories</option>
+          {CURA_CATEGORIES.map((c) => (
+            <option key={c.key} value={c.key}>{c.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700">
+          <input type="checkbox" checked={onlyOverridden} onChange={(e) => setOnlyOverridden(e.target.checked)} className="mr-2" />
+          Only overridden
+        </label>
+      </div>
+
+      {needsFilter ? (
+        <p className="text-sm text-gray-600">Search for a setting or pick a category to browse all {CURA_SETTINGS.length} Cura settings.</p>
+      ) : (
+        <div className="max-h-[32rem] overflow-y-auto border border-gray-200 rounded bg-white">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left">Setting</th>
+                <th className="px-3 py-2 text-left w-56">Value</th>
+                <th className="px-3 py-2 text-left">Default</th>
+                <th className="px-3 py-2 text-left">Range</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {matches.slice(0, MAX_RESULTS).map((setting) => {
+                const defaultValue = settingDefault(setting, printer.definition);
+                const isOverridden = setting.key in overrides;
+                const value = isOverridden ? overrides[setting.key] : defaultValue;
+                return (
+                  <tr key={setting.key} className={`border-t border-gray-100 ${isOverridden ? "bg-yellow-50" : ""}`}>
+                    <td className="px-3 py-2" style={{ paddingLeft: `${0.75 + setting.depth}rem` }} title={setting.description}>
+                      <div>{setting.label}{setting.unit && <span className="text-gray-500"> ({setting.unit})</span>}</div>
+                      <div className="text-xs text-gray-400 font-mono">{setting.key} · {setting.categoryLabel}</div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <SettingInput
+                        setting={setting}
+                        value={value ?? ""}
+                        disabled={disabled}
+                        onChange={(next) => setOverride(setting.key, next)}
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">
+                      {setting.computed && !isOverridden ? "Auto" : formatValue(defaultValue)}
+                    </td>
+                    <td className="px-3 py-2 text-gray-500 text-xs">{rangeText(setting, printer.definition)}</td>
+                    <td className="px-3 py-2 text-right">
+                      {isOverridden && (
+                        <button type="button" disabled={disabled} onClick={() => clearOverride(setting.key)} className="text-xs text-blue-600 hover:text-blue-800">
+                          Reset
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {matches.length > MAX_RESULTS && (
+            <p className="text-xs text-gray-500 p-2">
+              Showing {MAX_RESULTS} of {matches.length} settings, refine the search to see the rest.
+            </p>
+          )}
+          {matches.length === 0 && <p className="text-sm text-gray-500 p-3">No settings match.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExpertSettings;
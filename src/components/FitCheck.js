@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import { autoOrient, checkFit, fitsRotatedZ, scaleToFitPercent } from "../utils/buildFit";
+import { placeOnBed, rotateMesh, scaleMesh } from "../utils/meshTransform";
+
+const AXIS_NAMES = ["wide (X)", "deep (Y)", "tall (Z)"];
+
+const FitCheck = ({ mesh, size, buildVolume, allowOversize, onAllowOversizeChange, onMeshChange }) => {
+  const fit = checkFit(size, buildVolume);
+  const suggestedPercent = scaleToFitPercent(size, buildVolume);
+  const [scalePercent, setScalePercent] = useState(suggestedPercent);
+  const [isOrienting, setIsOrienting] = useState(false);
+
+  useEffect(() => {
+    setScalePercent(suggestedPercent);
+  }, [suggestedPercent]);
+
+  if (fit.fits) {
+    return (
+      <p className="text-sm text-green-700 mb-6">
+        ✓ Fits the build volume ({buildVolume.width} × {buildVolume.depth} × {buildVolume.height} mm)
+      </p>
+    );
+  }
+
+  const problems = fit.overflow
+    .map((value, axis) => (value > 0 ? `${value.toFixed(1)} mm too ${AXIS_NAMES[axis]}` : null))
+    .filter(Boolean);
+
+  const handleAutoOrient = () => {
+    setIsOrienting(true);
+    // Let the button re-render before the search blocks the main thread
+    setTimeout(() => {
+      onMeshChange(autoOrient(mesh, buildVolume).mesh);
+      setIsOrienting(false);
+    }, 0);
+  };
+
+  const handleScale = () => {
+    const factor = scalePercent / 100;
+    onMeshChange(placeOnBed(scaleMesh(mesh, [factor, factor, factor])));
+  };
+
+  return (
+    <div className="bg-red-50 p-4 rounded-lg mb-6 border border-red-200">
+      <h4 className="font-semibold text-red-800 mb-1">Model does not fit this printer</h4>
+      <p className="text-sm text-red-700 mb-3">
+        It is {problems.join(", ")} for the {buildVolume.width} × {buildVolume.depth} × {buildVolume.height} mm build volume.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() => onMeshChange(placeOnBed(rotateMesh(mesh, "z", 90)))}
+          className="py-2 px-4 rounded-md font-medium bg-white border border-gray-300 hover:bg-gray-50"
+        >
+          Rotate 90° on Z{fitsRotatedZ(size, buildVolume) ? " (fits)" : ""}
+        </button>
+        <button
+          type="button"
+          onClick={handleAutoOrient}
+          disabled={isOrienting}
+          className="py-2 px-4 rounded-md font-medium bg-white border border-gray-300 hover:bg-gray-50"
+        >
+          {isOrienting ? "Searching..." : "Auto-orient (smallest footprint)"}
+        </button>
+        <label className="flex items-center text-sm text-gray-700">
+          Scale to
+          <input
+            type="number"
+            min="1"
+            max="100"
+            step="0.1"
+            value={scalePercent}
+            onChange={(e) => setScalePercent(parseFloat(e.target.value) || 0)}
+            className="w-24 mx-2 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          %
+        </label>
+        <button
+          type="button"
+          onClick={handleScale}
+          disabled={scalePercent <= 0}
+          className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Apply Scale
+        </button>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700 mt-3">
+        <input
+          type="checkbox"
+          checked={allowOversize}
+          onChange={(e) => onAllowOversizeChange(e.target.checked)}
+          className="mr-2"
+        />
+        Slice anyway (e.g. the printer is larger than its profile says)
+      </label>
+    </div>
+  );
+};
+
+export default FitCheck;
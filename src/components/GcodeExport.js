@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import { downloadBlob } from "../utils/download";
+import { buildGcodeFilename, createGcodeBlob, extractGcodeHeader } from "../utils/gcodeExport";
+
+const GcodeExport = ({ gcode, sourceName, printInfo }) => {
+  const [compressed, setCompressed] = useState(false);
+  const [copyStatus, setCopyStatus] = useState("");
+
+  const filename = buildGcodeFilename(sourceName, {
+    layerHeight: printInfo.layerHeight,
+    infillDensity: printInfo.infillDensity,
+    materialType: printInfo.materialType,
+  }, compressed);
+
+  const handleDownload = () => {
+    downloadBlob(createGcodeBlob(gcode, compressed), filename);
+  };
+
+  const handleCopyHeader = async () => {
+    try {
+      await navigator.clipboard.writeText(extractGcodeHeader(gcode));
+      setCopyStatus("Header copied!");
+    } catch (err) {
+      console.error("Clipboard error:", err);
+      setCopyStatus("Could not access the clipboard");
+    }
+    setTimeout(() => setCopyStatus(""), 2000);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-200">
+      <h4 className="font-semibold text-gray-700 mb-2">Export G-Code:</h4>
+      <div className="flex flex-wrap items-center gap-4">
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="py-2 px-4 rounded-md font-medium bg-green-600 text-white hover:bg-green-700"
+        >
+          Download {filename}
+        </button>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={compressed}
+            onChange={(e) => setCompressed(e.target.checked)}
+            className="mr-2"
+          />
+          Gzip compressed
+        </label>
+        <button
+          type="button"
+          onClick={handleCopyHeader}
+          className="py-2 px-4 rounded-md text-sm border border-gray-300 bg-white hover:bg-gray-100"
+        >
+          Copy Header
+        </button>
+        {copyStatus && <span className="text-sm text-gray-600">{copyStatus}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default GcodeExport;
@@ -0,0 +1,156 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+import { Canvas } from "@react-three/fiber";
+import { Grid, OrbitControls } from "@react-three/drei";
+import { FEATURE_TYPES, parseGcode } from "../utils/gcode";
+
+const FEATURE_COLORS = FEATURE_TYPES.map((feature) => new THREE.Color(feature.color));
+
+// Build one line-segment geometry for the visible layers, coloured per feature
+function buildToolpathGeometry(layers, from, to, hiddenTypes) {
+  let segmentCount = 0;
+  for (let l = from; l <= to; l++) {
+    for (const t of layers[l].types) {
+      if (!hiddenTypes.has(t)) segmentCount++;
+    }
+  }
+
+  const positions = new Float32Array(segmentCount * 6);
+  const colors = new Float32Array(segmentCount * 6);
+  let cursor = 0;
+  for (let l = from; l <= to; l++) {
+    const layer = layers[l];
+    for (let s = 0; s < layer.types.length; s++) {
+      if (hiddenTypes.has(layer.types[s])) continue;
+      const color = FEATURE_COLORS[layer.types[s]];
+      for (let i = 0; i < 6; i++) {
+        positions[cursor * 6 + i] = layer.positions[s * 6 + i];
+      }
+      for (let v = 0; v < 2; v++) {
+        colors[cursor * 6 + v * 3] = color.r;
+        colors[cursor * 6 + v * 3 + 1] = color.g;
+        colors[cursor * 6 + v * 3 + 2] = color.b;
+      }
+      cursor++;
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  return geometry;
+}
+
+const GcodeViewer = ({ gcode, buildVolume }) => {
+  const toolpath = useMemo(() => parseGcode(gcode), [gcode]);
+  const layerCount = toolpath.layers.length;
+
+  const [currentLayer, setCurrentLayer] = useState(layerCount - 1);
+  const [onlyCurrent, setOnlyCurrent] = useState(false);
+  const [hiddenTypes, setHiddenTypes] = useState(() => new Set());
+
+  // Jump to the top layer whenever a new slice comes in
+  useEffect(() => {
+    setCurrentLayer(layerCount - 1);
+  }, [layerCount]);
+
+  const shownLayer = Math.min(Math.max(currentLayer, 0), layerCount - 1);
+
+  const geometry = useMemo(() => {
+    if (layerCount === 0) return null;
+    const from = onlyCurrent ? shownLayer : 0;
+    return buildToolpathGeometry(toolpath.layers, from, shownLayer, hiddenTypes);
+  }, [toolpath, layerCount, shownLayer, onlyCurrent, hiddenTypes]);
+
+  useEffect(() => () => geometry?.dispose(), [geometry]);
+
+  const toggleType = (index) => {
+    setHiddenTypes((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  if (layerCount === 0) {
+    return (
+      <p className="text-sm text-gray-600">No printable layers were found in the generated G-code.</p>
+    );
+  }
+
+  // G-code is in machine coordinates, the grid is centred on the origin
+  const offsetX = buildVolume.centerIsZero ? 0 : -buildVolume.width / 2;
+  const offsetY = buildVolume.centerIsZero ? 0 : -buildVolume.depth / 2;
+  const reach = Math.max(buildVolume.width, buildVolume.depth, buildVolume.height);
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-gray-200 mt-4">
+      <h4 className="font-semibold text-gray-700 mb-2">Toolpath Preview</h4>
+
+      <div className="rounded-lg border border-gray-300 overflow-hidden" style={{ height: 400 }}>
+        <Canvas camera={{ fov: 45, near: 0.1, far: 10000, position: [reach * 0.8, reach * 0.8, reach * 0.8] }}>
+          <Grid
+            args={[buildVolume.width, buildVolume.depth]}
+            cellSize={10}
+            sectionSize={50}
+            cellColor="#9ca3af"
+            sectionColor="#3b82f6"
+          />
+          {/* G-code is Z up, three.js is Y up */}
+          <group rotation={[-Math.PI / 2, 0, 0]} position={[offsetX, 0, -offsetY]}>
+            {geometry && (
+              <lineSegments geometry={geometry}>
+                <lineBasicMaterial vertexColors />
+              </lineSegments>
+            )}
+          </group>
+          <OrbitControls makeDefault />
+        </Canvas>
+      </div>
+
+      <div className="mt-3">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Layer {shownLayer + 1} of {layerCount} (Z {toolpath.layers[shownLayer].z.toFixed(2)} mm)
+        </label>
+        <input
+          type="range"
+          min="0"
+          max={layerCount - 1}
+          value={shownLayer}
+          onChange={(e) => setCurrentLayer(parseInt(e.target.value))}
+          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+        />
+        <label className="flex items-center text-sm text-gray-700 mt-2">
+          <input
+            type="checkbox"
+            checked={onlyCurrent}
+            onChange={(e) => setOnlyCurrent(e.target.checked)}
+            className="mr-2"
+          />
+          Show only current layer
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-sm">
+        {FEATURE_TYPES.map((feature, index) => (
+          <label key={feature.type} className="flex items-center">
+            <input
+              type="checkbox"
+              checked={!hiddenTypes.has(index)}
+              onChange={() => toggleType(index)}
+              className="mr-1"
+            />
+            <span
+              className="inline-block w-3 h-3 rounded-full mr-1"
+              style={{ backgroundColor: feature.color }}
+            ></span>
+            {feature.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GcodeViewer;
@@ -0,0 +1,165 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { downloadBlob } from "../utils/download";
+import { formatTime } from "../utils/format";
+import { buildHistoryArchive, searchHistory, sortHistory } from "../utils/history";
+import { deleteHistoryEntries, listHistory, loadHistoryFiles } from "../utils/historyStore";
+
+const buttonClass = "px-2 py-1 border border-gray-300 rounded-md bg-white hover:bg-gray-100 disabled:opacity-50";
+
+const HistoryPanel = ({ refreshKey, onOpen, disabled }) => {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(new Set());
+  const [status, setStatus] = useState("loading"); // loading | ready | error
+  const [message, setMessage] = useState("");
+
+  const reload = useCallback(async () => {
+    try {
+      setEntries(sortHistory(await listHistory()));
+      setStatus("ready");
+    } catch (err) {
+      console.error("History error:", err);
+      setStatus("error");
+      setMessage(err.message);
+    }
+  }, []);
+
+  // refreshKey changes whenever the slicer saves a new entry
+  useEffect(() => {
+    reload();
+  }, [reload, refreshKey]);
+
+  const visible = useMemo(() => searchHistory(entries, query), [entries, query]);
+  const selectedEntries = visible.filter((entry) => selected.has(entry.id));
+
+  const toggle = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const open = async (entry, reslice) => {
+    try {
+      onOpen(entry, await loadHistoryFiles(entry.id), { reslice });
+    } catch (err) {
+      console.error("History error:", err);
+      setMessage(`Could not open ${entry.sourceName}: ${err.message}`);
+    }
+  };
+
+  const remove = async (ids) => {
+    if (!window.confirm(`Delete ${ids.length} history ${ids.length === 1 ? "entry" : "entries"}?`)) return;
+    try {
+      await deleteHistoryEntries(ids);
+      setSelected(new Set());
+      await reload();
+    } catch (err) {
+      console.error("History error:", err);
+      setMessage(`Could not delete: ${err.message}`);
+    }
+  };
+
+  const exportEntries = async (list) => {
+    try {
+      const filesById = {};
+      for (const entry of list) {
+        const files = await loadHistoryFiles(entry.id);
+        if (files) filesById[entry.id] = files;
+      }
+      const archive = buildHistoryArchive(list, filesById);
+      downloadBlob(new Blob([archive], { type: "application/zip" }), `slicing-history_${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (err) {
+      console.error("History export error:", err);
+      setMessage(`Could not export: ${err.message}`);
+    }
+  };
+
+  if (status === "error") {
+    return <p className="text-sm text-red-600 mb-6">{message}</p>;
+  }
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mb-6 border border-gray-200">
+      <h4 className="font-semibold text-gray-800 mb-3">Slicing History ({entries.length}):</h4>
+
+      <div className="flex flex-wrap gap-2 mb-3 text-sm">
+        <input
+          type="search"
+          value={query}
+          placeholder="Search file, printer, material, date (2024-05) or hash"
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 min-w-[14rem] px-3 py-1 border border-gray-300 rounded-md"
+        />
+        <button type="button" disabled={visible.length === 0} onClick={() => exportEntries(selectedEntries.length > 0 ? selectedEntries : visible)} className={buttonClass}>
+          Export {selectedEntries.length > 0 ? `${selectedEntries.length} selected` : "all shown"}
+        </button>
+        <button type="button" disabled={selectedEntries.length === 0} onClick={() => remove(selectedEntries.map((e) => e.id))} className={`${buttonClass} text-red-600`}>
+          Delete selected
+        </button>
+      </div>
+
+      {message && <p className="text-sm text-red-600 mb-2">{message}</p>}
+
+      {status === "loading" ? (
+        <p className="text-sm text-gray-600">Loading history...</p>
+      ) : visible.length === 0 ? (
+        <p className="text-sm text-gray-600">{entries.length === 0 ? "Finished slices are saved here." : "No entries match."}</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-sm border border-gray-200 bg-white">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-2 py-2"></th>
+                <th className="px-2 py-2 text-left">Date</th>
+                <th className="px-2 py-2 text-left">File</th>
+                <th className="px-2 py-2 text-left">Printer / Material</th>
+                <th className="px-2 py-2 text-right">Time</th>
+                <th className="px-2 py-2 text-right">Weight</th>
+                <th className="px-2 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((entry) => (
+                <tr key={entry.id} className="border-t border-gray-200">
+                  <td className="px-2 py-2">
+                    <input type="checkbox" checked={selected.has(entry.id)} onChange={() => toggle(entry.id)} aria-label={`Select ${entry.sourceName}`} />
+                  </td>
+                  <td className="px-2 py-2 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="px-2 py-2" title={entry.sourceHash ? `SHA-256 ${entry.sourceHash}` : undefined}>
+                    {entry.sourceName}
+                    {entry.sourceHash && <span className="block text-xs text-gray-400 font-mono">{entry.sourceHash.slice(0, 12)}</span>}
+                  </td>
+                  <td className="px-2 py-2">{entry.printerName} · {entry.materialName}</td>
+                  <td className="px-2 py-2 text-right">{formatTime(entry.printInfo?.estimatedTime)}</td>
+                  <td className="px-2 py-2 text-right">{entry.printInfo?.filamentUsedGrams} g</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap space-x-1">
+                    <button type="button" disabled={disabled} onClick={() => open(entry, false)} className={buttonClass}>
+                      Reopen
+                    </button>
+                    <button
+                      type="button"
+                      disabled={disabled || !entry.hasModel}
+                      onClick={() => open(entry, true)}
+                      className={buttonClass}
+                      title={entry.hasModel ? "Load the model and settings to slice again" : "The model was not stored"}
+                    >
+                      Re-slice
+                    </button>
+                    <button type="button" onClick={() => remove([entry.id])} className="text-red-600 hover:text-red-800" aria-label="Delete entry">
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
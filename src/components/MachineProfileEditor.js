@@ -0,0 +1,187 @@
+import React, { useState } from "react";
+import {
+  GCODE_FLAVORS,
+  createMachineProfile,
+  validateMachineProfile,
+} from "../utils/machineProfiles";
+
+const NUMBER_FIELDS = [
+  { key: "bedWidth", label: "Bed Width (mm)", step: 1 },
+  { key: "bedDepth", label: "Bed Depth (mm)", step: 1 },
+  { key: "bedHeight", label: "Max Build Height (mm)", step: 1 },
+  { key: "nozzleSize", label: "Nozzle Diameter (mm)", step: 0.05 },
+  { key: "filamentDiameter", label: "Filament Diameter (mm)", step: 0.05 },
+  { key: "maxFeedrateXY", label: "Max XY Speed (mm/s)", step: 10 },
+  { key: "maxFeedrateZ", label: "Max Z Speed (mm/s)", step: 1 },
+  { key: "maxAcceleration", label: "Acceleration (mm/s²)", step: 100 },
+  { key: "jerkXY", label: "XY Jerk (mm/s)", step: 1 },
+];
+
+const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const MachineProfileEditor = ({ profiles, activeProfileId, onSave, onDelete, onClose }) => {
+  // createMachineProfile fills fields added since a profile was saved
+  const [draft, setDraft] = useState(() => (
+    createMachineProfile(profiles.find((p) => p.id === activeProfileId))
+  ));
+  const [errors, setErrors] = useState({});
+
+  const isExisting = profiles.some((p) => p.id === draft.id);
+
+  const selectProfile = (id) => {
+    setDraft(createMachineProfile(profiles.find((p) => p.id === id)));
+    setErrors({});
+  };
+
+  const updateField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = () => {
+    const found = validateMachineProfile(draft);
+    setErrors(found);
+    if (Object.keys(found).length === 0) {
+      const saved = { ...draft, name: draft.name.trim() };
+      NUMBER_FIELDS.forEach(({ key }) => {
+        saved[key] = Number(saved[key]);
+      });
+      onSave(saved);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete machine profile "${draft.name}"?`)) {
+      onDelete(draft.id);
+      setDraft(createMachineProfile());
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg mb-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">Custom Machine Profiles</h3>
+        <button type="button" onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Profile</label>
+        <select
+          value={isExisting ? draft.id : ""}
+          onChange={(e) => selectProfile(e.target.value)}
+          className={inputClass}
+        >
+          <option value="">+ New profile</option>
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => updateField("name", e.target.value)}
+            className={inputClass}
+          />
+          {errors.name && <p className="text-xs text-red-600 mt-1">{errors.name}</p>}
+        </div>
+
+        {NUMBER_FIELDS.map((field) => (
+          <div key={field.key}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+            <input
+              type="number"
+              step={field.step}
+              value={draft[field.key]}
+              onChange={(e) => updateField(field.key, e.target.value)}
+              className={inputClass}
+            />
+            {errors[field.key] && <p className="text-xs text-red-600 mt-1">{errors[field.key]}</p>}
+          </div>
+        ))}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">G-code Flavor</label>
+          <select
+            value={draft.gcodeFlavor}
+            onChange={(e) => updateField("gcodeFlavor", e.target.value)}
+            className={inputClass}
+          >
+            {GCODE_FLAVORS.map((flavor) => (
+              <option key={flavor.value} value={flavor.value}>{flavor.label}</option>
+            ))}
+          </select>
+          {errors.gcodeFlavor && <p className="text-xs text-red-600 mt-1">{errors.gcodeFlavor}</p>}
+        </div>
+
+        <div className="flex flex-col justify-center space-y-2">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.originCenter}
+              onChange={(e) => updateField("originCenter", e.target.checked)}
+              className="mr-2"
+            />
+            Origin at bed center
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.heatedBed}
+              onChange={(e) => updateField("heatedBed", e.target.checked)}
+              className="mr-2"
+            />
+            Heated bed
+          </label>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Start G-code</label>
+          <textarea
+            rows={6}
+            value={draft.startGcode}
+            onChange={(e) => updateField("startGcode", e.target.value)}
+            className={`${inputClass} font-mono text-xs`}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">End G-code</label>
+          <textarea
+            rows={6}
+            value={draft.endGcode}
+            onChange={(e) => updateField("endGcode", e.target.value)}
+            className={`${inputClass} font-mono text-xs`}
+          />
+        </div>
+      </div>
+
+      <div className="flex gap-4 mt-4">
+        <button
+          type="button"
+          onClick={handleSave}
+          className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700"
+        >
+          {isExisting ? "Save Changes" : "Create Profile"}
+        </button>
+        {isExisting && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="py-2 px-4 rounded-md font-medium bg-red-600 text-white hover:bg-red-700"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MachineProfileEditor;
@@ -0,0 +1,223 @@
+import React, { useRef, useState } from "react";
+import { downloadBlob } from "../utils/download";
+import {
+  DEFAULT_MATERIALS,
+  createMaterial,
+  exportMaterials,
+  importMaterials,
+  mergeMaterials,
+  normalizeMaterial,
+  swatchColor,
+  validateMaterial,
+} from "../utils/materials";
+
+const FIELDS = [
+  { key: "printTemperature", label: "Nozzle Temp (°C)", step: 5 },
+  { key: "bedTemperature", label: "Bed Temp (°C)", step: 5 },
+  { key: "retractionAmount", label: "Retraction (mm)", step: 0.5 },
+  { key: "printSpeed", label: "Print Speed (mm/s)", step: 5 },
+  { key: "density", label: "Density (g/cm³)", step: 0.01 },
+  { key: "costPerKg", label: "Cost per kg", step: 0.5 },
+];
+
+const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// The editor works on colors as a comma separated string
+const toDraft = (material) => ({ ...material, colors: material.colors.join(", ") });
+const fromDraft = (draft) => ({
+  ...draft,
+  colors: draft.colors.split(",").map((c) => c.trim()).filter(Boolean),
+});
+
+const MaterialLibrary = ({ materials, onChange, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(materials[0] || createMaterial()));
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  const isExisting = materials.some((m) => m.id === draft.id);
+
+  const selectMaterial = (id) => {
+    setDraft(toDraft(materials.find((m) => m.id === id) || createMaterial()));
+    setErrors({});
+  };
+
+  const updateField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = () => {
+    const material = fromDraft(draft);
+    const found = validateMaterial(material);
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+
+    const saved = normalizeMaterial(material);
+    onChange(isExisting
+      ? materials.map((m) => (m.id === saved.id ? saved : m))
+      : [...materials, saved]);
+    setDraft(toDraft(saved));
+    setMessage(`Saved ${saved.name}`);
+  };
+
+  const handleDelete = () => {
+    if (materials.length <= 1) {
+      setMessage("The library needs at least one material");
+      return;
+    }
+    if (window.confirm(`Delete material "${draft.name}"?`)) {
+      const remaining = materials.filter((m) => m.id !== draft.id);
+      onChange(remaining);
+      setDraft(toDraft(remaining[0]));
+    }
+  };
+
+  const handleExport = () => {
+    downloadBlob(new Blob([exportMaterials(materials)], { type: "application/json" }), "materials.json");
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const imported = importMaterials(await file.text());
+      onChange(mergeMaterials(materials, imported));
+      setMessage(`Imported ${imported.length} material${imported.length === 1 ? "" : "s"} from ${file.name}`);
+    } catch (err) {
+      console.error("Material import error:", err);
+      setMessage(err.message);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm("Replace the material library with the built-in materials?")) {
+      onChange(DEFAULT_MATERIALS);
+      setDraft(toDraft(DEFAULT_MATERIALS[0]));
+      setErrors({});
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg mb-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">Material Library</h3>
+        <button type="button" onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Material</label>
+        <select
+          value={isExisting ? draft.id : ""}
+          onChange={(e) => selectMaterial(e.target.value)}
+          className={inputClass}
+        >
+          <option value="">+ New material</option>
+          {materials.map((material) => (
+            <option key={material.id} value={material.id}>{material.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => updateField("name", e.target.value)}
+            className={inputClass}
+          />
+          {errors.name && <p className="text-xs text-red-600 mt-1">{errors.name}</p>}
+        </div>
+
+        {FIELDS.map((field) => (
+          <div key={field.key}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+            <input
+              type="number"
+              step={field.step}
+              value={draft[field.key]}
+              onChange={(e) => updateField(field.key, e.target.value)}
+              className={inputClass}
+            />
+            {errors[field.key] && <p className="text-xs text-red-600 mt-1">{errors[field.key]}</p>}
+          </div>
+        ))}
+
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Colors (comma separated)</label>
+          <input
+            type="text"
+            value={draft.colors}
+            onChange={(e) => updateField("colors", e.target.value)}
+            className={inputClass}
+          />
+          {errors.colors && <p className="text-xs text-red-600 mt-1">{errors.colors}</p>}
+          <div className="flex gap-2 mt-2">
+            {fromDraft(draft).colors.map((color) => (
+              <div
+                key={color}
+                title={color}
+                className="w-5 h-5 rounded-full border-2 border-gray-300"
+                style={{ backgroundColor: swatchColor(color) }}
+              ></div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mt-4">
+        <button
+          type="button"
+          onClick={handleSave}
+          className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700"
+        >
+          {isExisting ? "Save Changes" : "Add Material"}
+        </button>
+        {isExisting && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="py-2 px-4 rounded-md font-medium bg-red-600 text-white hover:bg-red-700"
+          >
+            Delete
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleExport}
+          className="py-2 px-4 rounded-md font-medium bg-gray-200 text-gray-800 hover:bg-gray-300"
+        >
+          Export JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current.click()}
+          className="py-2 px-4 rounded-md font-medium bg-gray-200 text-gray-800 hover:bg-gray-300"
+        >
+          Import JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={handleReset}
+          className="py-2 px-4 rounded-md font-medium text-gray-600 hover:text-gray-900"
+        >
+          Restore Defaults
+        </button>
+      </div>
+      {message && <p className="text-sm text-gray-700 mt-3">{message}</p>}
+    </div>
+  );
+};
+
+export default MaterialLibrary;
@@ -0,0 +1,42 @@
+import React from "react";
+
+const formatNumber = (value, digits = 2) => value.toLocaleString(undefined, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits,
+});
+
+const ModelAnalysis = ({ analysis }) => {
+  const [width, depth, height] = analysis.boundingBox.size;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mb-6 border border-gray-200">
+      <h4 className="font-semibold text-gray-800 mb-2">Model Analysis:</h4>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+        <span><strong>Size:</strong> {formatNumber(width)} × {formatNumber(depth)} × {formatNumber(height)} mm</span>
+        <span><strong>Volume:</strong> {formatNumber(analysis.volume / 1000)} cm³</span>
+        <span><strong>Surface Area:</strong> {formatNumber(analysis.surfaceArea / 100)} cm²</span>
+        <span><strong>Triangles:</strong> {analysis.triangleCount.toLocaleString()}</span>
+        <span><strong>Shells:</strong> {analysis.shellCount}</span>
+        <span>
+          <strong>Watertight:</strong>{" "}
+          <span className={analysis.isWatertight ? "text-green-700" : "text-red-600"}>
+            {analysis.isWatertight ? "Yes" : "No"}
+          </span>
+        </span>
+      </div>
+      {!analysis.isWatertight && (
+        <p className="text-sm text-yellow-800 mt-2">
+          The mesh has {analysis.openEdges} open and {analysis.nonManifoldEdges} non-manifold edges.
+          Volume and weight may be off and the slice can have holes; consider repairing the model first.
+        </p>
+      )}
+      {analysis.shellCount > 1 && (
+        <p className="text-sm text-gray-600 mt-2">
+          The model consists of {analysis.shellCount} separate parts that will be printed together.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ModelAnalysis;
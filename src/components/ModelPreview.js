@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+import { Canvas, useThree } from "@react-three/fiber";
+import { Grid, OrbitControls } from "@react-three/drei";
+import { computeBounds } from "../utils/stl";
+
+const CAMERA_PRESETS = [
+  { value: "home", label: "Home" },
+  { value: "top", label: "Top" },
+  { value: "front", label: "Front" },
+  { value: "left", label: "Left" },
+  { value: "right", label: "Right" },
+];
+
+// Camera position for a preset in three.js space (Y up, bed centred on origin)
+function presetPosition(preset, buildVolume) {
+  const reach = Math.max(buildVolume.width, buildVolume.depth, buildVolume.height) * 1.4;
+  const midHeight = buildVolume.height / 3;
+  switch (preset) {
+    case "top":
+      return [0, reach, 0.001];
+    case "front":
+      return [0, midHeight, reach];
+    case "left":
+      return [-reach, midHeight, 0];
+    case "right":
+      return [reach, midHeight, 0];
+    default:
+      return [reach * 0.6, reach * 0.6, reach * 0.6];
+  }
+}
+
+// Moves the default camera/controls whenever a preset is picked
+const CameraRig = ({ preset, presetKey, buildVolume }) => {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+
+  useEffect(() => {
+    camera.position.set(...presetPosition(preset, buildVolume));
+    if (controls) {
+      controls.target.set(0, 0, 0);
+      controls.update();
+    } else {
+      camera.lookAt(0, 0, 0);
+    }
+  }, [camera, controls, preset, presetKey, buildVolume]);
+
+  return null;
+};
+
+const ModelPreview = ({ mesh, buildVolume, onFacePick }) => {
+  const [wireframe, setWireframe] = useState(false);
+  const [camera, setCamera] = useState({ preset: "home", key: 0 });
+
+  const bounds = useMemo(() => computeBounds(mesh.positions), [mesh]);
+
+  // Drawn where CuraEngine will slice it: mesh X/Y 0,0 is the middle of the
+  // bed and anything below Z = 0 is cut off
+  const geometry = useMemo(() => {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute("position", new THREE.BufferAttribute(mesh.positions.slice(), 3));
+    geo.computeVertexNormals();
+    return geo;
+  }, [mesh]);
+  const boundsCenter = bounds.min.map((value, axis) => value + bounds.size[axis] / 2);
+
+  const boxEdges = useMemo(
+    () => new THREE.EdgesGeometry(new THREE.BoxGeometry(...bounds.size)),
+    [bounds]
+  );
+
+  const volumeEdges = useMemo(
+    () => new THREE.EdgesGeometry(
+      new THREE.BoxGeometry(buildVolume.width, buildVolume.depth, buildVolume.height)
+    ),
+    [buildVolume]
+  );
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => boxEdges.dispose(), [boxEdges]);
+  useEffect(() => () => volumeEdges.dispose(), [volumeEdges]);
+
+  const halfBed = [buildVolume.width / 2, buildVolume.depth / 2];
+  const belowBed = bounds.min[2] < -0.01;
+  const offBed = [0, 1].some((axis) => bounds.min[axis] < -halfBed[axis] || bounds.max[axis] > halfBed[axis]);
+  const fitsBed = !belowBed && !offBed && bounds.max[2] <= buildVolume.height;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex gap-2">
+          {CAMERA_PRESETS.map((preset) => (
+            <button
+              key={preset.value}
+              type="button"
+              onClick={() => setCamera((prev) => ({ preset: preset.value, key: prev.key + 1 }))}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={wireframe}
+            onChange={(e) => setWireframe(e.target.checked)}
+            className="mr-2"
+          />
+          Wireframe
+        </label>
+      </div>
+
+      {onFacePick && (
+        <p className="text-sm text-yellow-800 mb-2">Click the face the model should rest on.</p>
+      )}
+      <div
+        className="rounded-lg border border-gray-300 overflow-hidden"
+        style={{ height: 400, cursor: onFacePick ? "crosshair" : undefined }}
+      >
+        <Canvas camera={{ fov: 45, near: 0.1, far: 10000 }}>
+          <ambientLight intensity={0.6} />
+          <directionalLight position={[200, 400, 300]} intensity={0.8} />
+
+          <Grid
+            args={[buildVolume.width, buildVolume.depth]}
+            cellSize={10}
+            sectionSize={50}
+            cellColor="#9ca3af"
+            sectionColor="#3b82f6"
+          />
+
+          {/* Cura models are Z up, three.js is Y up */}
+          <group rotation={[-Math.PI / 2, 0, 0]}>
+            <mesh
+              geometry={geometry}
+              onClick={onFacePick ? (event) => {
+                // Non-indexed geometry, so faceIndex is the triangle index in mesh.positions
+                event.stopPropagation();
+                onFacePick(event.faceIndex);
+              } : undefined}
+            >
+              <meshStandardMaterial color={onFacePick ? "#f59e0b" : "#3b82f6"} wireframe={wireframe} />
+            </mesh>
+            <lineSegments geometry={boxEdges} position={boundsCenter}>
+              <lineBasicMaterial color={fitsBed ? "#16a34a" : "#dc2626"} />
+            </lineSegments>
+            <lineSegments geometry={volumeEdges} position={[0, 0, buildVolume.height / 2]}>
+              <lineBasicMaterial color="#d1d5db" />
+            </lineSegments>
+          </group>
+
+          <OrbitControls makeDefault />
+          <CameraRig preset={camera.preset} presetKey={camera.key} buildVolume={buildVolume} />
+        </Canvas>
+      </div>
+
+      <p className="text-sm text-gray-600 mt-2">
+        <strong>Bounding box:</strong>{" "}
+        {bounds.size.map((v) => v.toFixed(1)).join(" × ")} mm
+        {" "}(bed {buildVolume.width} × {buildVolume.depth} × {buildVolume.height} mm),
+        centre at X {boundsCenter[0].toFixed(1)}, Y {boundsCenter[1].toFixed(1)} from the middle of the bed
+      </p>
+      {belowBed && (
+        <p className="text-sm text-red-600">
+          The part reaches {(-bounds.min[2]).toFixed(1)} mm below the bed, that part will not be printed. Use "Drop to bed".
+        </p>
+      )}
+      {offBed && (
+        <p className="text-sm text-red-600">The part sticks out past the edge of the bed. Use "Center on bed".</p>
+      )}
+    </div>
+  );
+};
+
+export default ModelPreview;
@@ -0,0 +1,261 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_ORDER_API_SETTINGS,
+  FINAL_ORDER_STATUSES,
+  ORDERS_STORAGE_KEY,
+  ORDER_API_STORAGE_KEY,
+  ORDER_STATUS_LABELS,
+  buildOrderPayload,
+  createOrderClient,
+  createOrderRecord,
+  updateOrderRecord,
+} from "../utils/orderClient";
+import { formatMoney } from "../utils/quote";
+import { writeBinaryStl } from "../utils/stl";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const inputClass = "w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const STATUS_CLASSES = {
+  completed: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-200 text-gray-700",
+};
+
+// Sends the sliced model, settings, printInfo and quote to the order backend
+const OrderPanel = ({ model, settings, printInfo, quote }) => {
+  const [api, setApi] = useState(() => ({ ...DEFAULT_ORDER_API_SETTINGS, ...loadJSON(ORDER_API_STORAGE_KEY, {}) }));
+  const [showApi, setShowApi] = useState(false);
+  const [customer, setCustomer] = useState({ name: "", email: "", notes: "" });
+  const [orders, setOrders] = useState(() => loadJSON(ORDERS_STORAGE_KEY, []));
+  const [status, setStatus] = useState(""); // progress or result message
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [refreshing, setRefreshing] = useState(null); // order id
+  const submitRef = useRef(null);
+
+  const client = useMemo(() => createOrderClient(api), [api]);
+
+  const updateApi = (changes) => {
+    const next = { ...api, ...changes };
+    setApi(next);
+    saveJSON(ORDER_API_STORAGE_KEY, next);
+  };
+
+  const saveOrders = (update) => {
+    setOrders((prev) => {
+      const next = update(prev);
+      saveJSON(ORDERS_STORAGE_KEY, next);
+      return next;
+    });
+  };
+
+  const submit = async () => {
+    const controller = new AbortController();
+    submitRef.current = controller;
+    setIsSubmitting(true);
+    setError("");
+    setStatus("Submitting order...");
+    try {
+      const payload = buildOrderPayload({
+        modelName: model.name,
+        modelBytes: writeBinaryStl(model.mesh.positions),
+        sourceHash: model.sourceHash,
+        settings,
+        printInfo,
+        quote,
+        customer,
+      });
+      const response = await client.submitOrder(payload, {
+        signal: controller.signal,
+        onRetry: (attempt, err) => setStatus(`${err.message}, retrying (${attempt} of ${api.retries})...`),
+        onUploadProgress: (event) => {
+          if (event.total) setStatus(`Uploading order... ${Math.round((event.loaded / event.total) * 100)}%`);
+        },
+      });
+      saveOrders((prev) => [createOrderRecord(payload, response), ...prev]);
+      setStatus(`Order ${response.id} submitted`);
+    } catch (err) {
+      console.error("Order error:", err);
+      setStatus("");
+      setError(err.message);
+    } finally {
+      submitRef.current = null;
+      setIsSubmitting(false);
+    }
+  };
+
+  const refresh = async (id) => {
+    setRefreshing(id);
+    setError("");
+    try {
+      const update = await client.getOrder(id);
+      saveOrders((prev) => updateOrderRecord(prev, update));
+    } catch (err) {
+      console.error("Order status error:", err);
+      setError(`Could not refresh ${id}: ${err.message}`);
+    } finally {
+      setRefreshing(null);
+    }
+  };
+
+  const forget = (id) => {
+    saveOrders((prev) => prev.filter((order) => order.id !== id));
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-200">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-gray-700">Order:</h4>
+        <button
+          type="button"
+          onClick={() => setShowApi((open) => !open)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          {showApi ? "Hide order server" : "Order server"}
+        </button>
+      </div>
+
+      {showApi && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 bg-white p-3 rounded border mb-3">
+          <label className="block text-sm text-gray-700 md:col-span-2">
+            Server address
+            <input
+              type="url"
+              value={api.baseUrl}
+              onChange={(e) => updateApi({ baseUrl: e.target.value })}
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Retries
+            <input
+              type="number"
+              min="0"
+              max="10"
+              value={api.retries}
+              onChange={(e) => updateApi({ retries: Math.min(10, Math.max(0, parseInt(e.target.value) || 0)) })}
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+          <label className="block text-sm text-gray-700 md:col-span-3">
+            API key
+            <input
+              type="password"
+              value={api.apiKey}
+              autoComplete="off"
+              onChange={(e) => updateApi({ apiKey: e.target.value })}
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+          <p className="text-xs text-gray-500 md:col-span-3">
+            Run <code>npm run mock:orders</code> for a local test server on http://localhost:4010.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+        <label className="block text-sm text-gray-700">
+          Customer name
+          <input
+            type="text"
+            value={customer.name}
+            onChange={(e) => setCustomer({ ...customer, name: e.target.value })}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="block text-sm text-gray-700">
+          Customer email
+          <input
+            type="email"
+            value={customer.email}
+            onChange={(e) => setCustomer({ ...customer, email: e.target.value })}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="block text-sm text-gray-700 md:col-span-2">
+          Notes
+          <textarea
+            rows={2}
+            value={customer.notes}
+            onChange={(e) => setCustomer({ ...customer, notes: e.target.value })}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        {isSubmitting ? (
+          <button
+            type="button"
+            onClick={() => submitRef.current?.abort()}
+            className="py-2 px-4 rounded-md font-medium bg-red-600 text-white hover:bg-red-700"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={submit}
+            disabled={!model || !api.baseUrl.trim()}
+            className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Submit Order ({formatMoney(quote.total, quote.currency)})
+          </button>
+        )}
+        {!model && <span className="text-sm text-gray-600">Load the model again to order this slice.</span>}
+        {status && <span className="text-sm text-gray-700">{status}</span>}
+        {error && <span className="text-sm text-red-600">{error}</span>}
+      </div>
+
+      {orders.length > 0 && (
+        <table className="w-full text-sm bg-white border border-gray-200 mt-3">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left">Order</th>
+              <th className="px-3 py-2 text-left">Model</th>
+              <th className="px-3 py-2 text-right">Total</th>
+              <th className="px-3 py-2 text-left">Status</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => (
+              <tr key={order.id} className="border-t border-gray-200">
+                <td className="px-3 py-2 font-mono text-xs">
+                  {order.id}
+                  <div className="text-gray-500 font-sans">{new Date(order.submittedAt).toLocaleString()}</div>
+                </td>
+                <td className="px-3 py-2">{order.modelName}</td>
+                <td className="px-3 py-2 text-right">{formatMoney(order.total, order.currency)}</td>
+                <td className="px-3 py-2">
+                  <span className={`px-2 py-0.5 rounded text-xs ${STATUS_CLASSES[order.status] || "bg-blue-100 text-blue-800"}`}>
+                    {ORDER_STATUS_LABELS[order.status] || order.status}
+                  </span>
+                  {order.message && <div className="text-xs text-gray-500">{order.message}</div>}
+                </td>
+                <td className="px-3 py-2 text-right whitespace-nowrap space-x-2">
+                  {!FINAL_ORDER_STATUSES.includes(order.status) && (
+                    <button
+                      type="button"
+                      disabled={refreshing === order.id}
+                      onClick={() => refresh(order.id)}
+                      className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      {refreshing === order.id ? "Checking..." : "Refresh"}
+                    </button>
+                  )}
+                  <button type="button" onClick={() => forget(order.id)} className="text-red-600 hover:text-red-800" aria-label="Remove order from list">
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default OrderPanel;
@@ -0,0 +1,131 @@
+import React, { useRef, useState } from "react";
+import { downloadBlob } from "../utils/download";
+import { createPreset, exportPresets, importPresets, upsertPreset } from "../utils/presets";
+import { normalizeUserSettings } from "../utils/userSettings";
+
+const buttonClass = "py-2 px-3 rounded-md text-sm font-medium bg-gray-200 text-gray-800 hover:bg-gray-300";
+
+const PresetPicker = ({ presets, userSettings, onPresetsChange, onLoad, disabled }) => {
+  const [selectedId, setSelectedId] = useState("");
+  const [newName, setNewName] = useState("");
+  const [message, setMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  const selected = presets.find((p) => p.id === selectedId);
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    const preset = presets.find((p) => p.id === id);
+    if (preset) {
+      onLoad(preset.settings);
+      setMessage(`Loaded "${preset.name}"`);
+    }
+  };
+
+  const handleSave = () => {
+    if (!newName.trim()) {
+      setMessage("Enter a name for the preset");
+      return;
+    }
+    const preset = createPreset(newName, userSettings);
+    const next = upsertPreset(presets, preset);
+    onPresetsChange(next);
+    setSelectedId(next.find((p) => p.name.toLowerCase() === preset.name.toLowerCase()).id);
+    setNewName("");
+    setMessage(`Saved "${preset.name}"`);
+  };
+
+  const handleUpdate = () => {
+    onPresetsChange(presets.map((p) => (
+      p.id === selected.id ? { ...p, settings: normalizeUserSettings(userSettings) } : p
+    )));
+    setMessage(`Updated "${selected.name}" with the current settings`);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete preset "${selected.name}"?`)) {
+      onPresetsChange(presets.filter((p) => p.id !== selected.id));
+      setSelectedId("");
+      setMessage("");
+    }
+  };
+
+  const handleExport = () => {
+    downloadBlob(new Blob([exportPresets(presets)], { type: "application/json" }), "slicer-presets.json");
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const imported = importPresets(await file.text());
+      onPresetsChange(imported.reduce(upsertPreset, presets));
+      setMessage(`Imported ${imported.length} preset${imported.length === 1 ? "" : "s"} from ${file.name}`);
+    } catch (err) {
+      console.error("Preset import error:", err);
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mb-4 border border-gray-200">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[12rem]">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Preset</label>
+          <select
+            value={selected ? selected.id : ""}
+            disabled={disabled}
+            onChange={(e) => handleSelect(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">{presets.length === 0 ? "No saved presets" : "Choose a preset..."}</option>
+            {presets.map((preset) => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </select>
+        </div>
+        {selected && (
+          <>
+            <button type="button" onClick={handleUpdate} disabled={disabled} className={buttonClass}>Update</button>
+            <button type="button" onClick={handleDelete} disabled={disabled} className={buttonClass}>Delete</button>
+          </>
+        )}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newName}
+            placeholder="New preset name"
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={disabled}
+            className="py-2 px-3 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Save as Preset
+          </button>
+        </div>
+        <button type="button" onClick={handleExport} disabled={presets.length === 0} className={buttonClass}>
+          Export
+        </button>
+        <button type="button" onClick={() => fileInputRef.current.click()} className={buttonClass}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      {message && <p className="text-sm text-gray-700 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+export default PresetPicker;
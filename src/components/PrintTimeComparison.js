@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { formatTime } from "../utils/format";
+import { compareEstimates } from "../utils/gcodeTime";
+
+// Differences within these shares of the simulated time are unremarkable
+const CLOSE_PERCENT = 10;
+const FAR_PERCENT = 25;
+
+const differenceClass = (percent) => {
+  const size = Math.abs(percent);
+  if (size <= CLOSE_PERCENT) return "text-green-700";
+  if (size <= FAR_PERCENT) return "bg-yellow-100 text-yellow-800";
+  return "bg-red-100 text-red-800";
+};
+
+// Cura's estimate next to the acceleration-aware simulation, with per-layer times
+const PrintTimeComparison = ({ printInfo }) => {
+  const [showLayers, setShowLayers] = useState(false);
+  const comparison = compareEstimates(printInfo.estimatedTime, printInfo.simulatedTime);
+  const layerTimes = printInfo.layerTimes || [];
+  const slowest = Math.max(0, ...layerTimes.map((l) => l.seconds));
+
+  return (
+    <div>
+      <p><span className="font-medium">Estimated Time (Cura):</span> {formatTime(printInfo.estimatedTime)}</p>
+      {printInfo.simulatedTime !== undefined && printInfo.simulatedTime !== "N/A" && (
+        <p>
+          <span className="font-medium">Simulated Time:</span> {formatTime(printInfo.simulatedTime)}
+          {comparison && (
+            <span
+              className={`ml-2 px-1 rounded text-sm ${differenceClass(comparison.percent)}`}
+              title="Cura's estimate compared with the G-code simulation using this printer's feedrate, acceleration and jerk limits"
+            >
+              Cura {comparison.difference < 0 ? "−" : "+"}{formatTime(Math.abs(comparison.difference))} ({comparison.percent > 0 ? "+" : ""}{comparison.percent.toFixed(0)}%)
+            </span>
+          )}
+        </p>
+      )}
+
+      {layerTimes.length > 0 && (
+        <div className="mt-1">
+          <button
+            type="button"
+            onClick={() => setShowLayers((open) => !open)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            {showLayers ? "Hide layer times" : `Layer times (slowest ${formatTime(slowest)})`}
+          </button>
+          {showLayers && (
+            <div className="mt-2 max-h-64 overflow-y-auto bg-white border border-gray-200 rounded p-2 text-xs">
+              {layerTimes.map((layer) => (
+                <div key={layer.index} className="flex items-center gap-2">
+                  <span className="w-10 text-right text-gray-500">{layer.index}</span>
+                  <div className="flex-1 bg-gray-100 h-2 rounded">
+                    <div
+                      className={`h-2 rounded ${layer.seconds === slowest ? "bg-orange-500" : "bg-blue-500"}`}
+                      style={{ width: `${slowest > 0 ? (layer.seconds / slowest) * 100 : 0}%` }}
+                    ></div>
+                  </div>
+                  <span className="w-14 text-right">{formatTime(layer.seconds)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PrintTimeComparison;
@@ -0,0 +1,66 @@
+import React, { useMemo } from "react";
+import { customPrinterId } from "../utils/machineProfiles";
+import { PRINTER_CATALOG } from "../utils/printerCatalog";
+
+const PrinterSelector = ({ printer, customProfiles = [], onChange, onManageProfiles, disabled }) => {
+  // Group the catalog by manufacturer for the dropdown
+  const groups = useMemo(() => {
+    const byManufacturer = {};
+    PRINTER_CATALOG.forEach((entry) => {
+      (byManufacturer[entry.manufacturer] = byManufacturer[entry.manufacturer] || []).push(entry);
+    });
+    return Object.entries(byManufacturer);
+  }, []);
+
+  const { width, depth, height } = printer.buildVolume;
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Printer
+        </label>
+        {onManageProfiles && (
+          <button
+            type="button"
+            onClick={onManageProfiles}
+            disabled={disabled}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Manage custom printers
+          </button>
+        )}
+      </div>
+      <select
+        value={printer.id}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {customProfiles.length > 0 && (
+          <optgroup label="Custom profiles">
+            {customProfiles.map((profile) => (
+              <option key={profile.id} value={customPrinterId(profile)}>
+                {profile.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {groups.map(([manufacturer, printers]) => (
+          <optgroup key={manufacturer} label={manufacturer}>
+            {printers.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.name}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">
+        Build volume {width} × {depth} × {height} mm · {printer.nozzleSize} mm nozzle · {printer.filamentDiameter} mm filament
+      </p>
+    </div>
+  );
+};
+
+export default PrinterSelector;
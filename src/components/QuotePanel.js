@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from "react";
+import { downloadBlob } from "../utils/download";
+import {
+  QUOTE_SETTINGS_STORAGE_KEY,
+  buildQuoteDocument,
+  calculateQuote,
+  formatMoney,
+  getFailureRiskPercent,
+  getPrinterRates,
+  withQuoteDefaults,
+} from "../utils/quote";
+import { loadJSON, saveJSON } from "../utils/storage";
+import OrderPanel from "./OrderPanel";
+
+const inputClass = "w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const NumberSetting = ({ label, value, step, onChange }) => (
+  <label className="block text-sm text-gray-700">
+    {label}
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Math.max(0, parseFloat(e.target.value) || 0))}
+      className={`${inputClass} mt-1`}
+    />
+  </label>
+);
+
+// `order` ({ model, settings }) enables submitting the quote as an order
+const QuotePanel = ({ printInfo, printerName, material, sourceName, order }) => {
+  const [settings, setSettings] = useState(() => withQuoteDefaults(loadJSON(QUOTE_SETTINGS_STORAGE_KEY, {})));
+  const [showSettings, setShowSettings] = useState(false);
+  const [printError, setPrintError] = useState("");
+
+  const quote = useMemo(
+    () => calculateQuote(printInfo, material, printInfo.printerId, settings),
+    [printInfo, material, settings]
+  );
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveJSON(QUOTE_SETTINGS_STORAGE_KEY, next);
+  };
+
+  const updatePrinterRate = (key, value) => {
+    const rates = getPrinterRates(settings, printInfo.printerId);
+    updateSettings({ printers: { ...settings.printers, [printInfo.printerId]: { ...rates, [key]: value } } });
+  };
+
+  const updateFailureRisk = (value) => {
+    updateSettings({ materials: { ...settings.materials, [material.id]: { failureRiskPercent: value } } });
+  };
+
+  if (!quote) {
+    return (
+      <div className="mt-4 pt-4 border-t border-green-200">
+        <h4 className="font-semibold text-gray-700 mb-2">Quote:</h4>
+        <p className="text-sm text-gray-600">No print time or filament usage was reported, so this slice cannot be quoted.</p>
+      </div>
+    );
+  }
+
+  const quoteDocument = () => buildQuoteDocument(quote, {
+    modelName: sourceName || "model",
+    printerName,
+    materialName: material.name,
+    materialColor: printInfo.materialColor,
+    layerHeight: printInfo.layerHeight,
+    infillDensity: printInfo.infillDensity,
+  });
+
+  const baseName = (sourceName || "model").replace(/\.[^.]+$/, "");
+
+  const handleDownload = () => {
+    downloadBlob(new Blob([quoteDocument()], { type: "text/html" }), `${baseName}_quote.html`);
+  };
+
+  const handlePrint = () => {
+    const popup = window.open("", "_blank");
+    if (!popup) {
+      setPrintError("Pop-up blocked, download the quote and print it instead");
+      return;
+    }
+    setPrintError("");
+    popup.document.write(quoteDocument());
+    popup.document.close();
+    popup.focus();
+    popup.print();
+  };
+
+  const rates = getPrinterRates(settings, printInfo.printerId);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-200">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-gray-700">Quote:</h4>
+        <button
+          type="button"
+          onClick={() => setShowSettings((open) => !open)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          {showSettings ? "Hide quote settings" : "Quote settings"}
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 bg-white p-3 rounded border mb-3">
+          <label className="block text-sm text-gray-700">
+            Currency
+            <input
+              type="text"
+              maxLength={3}
+              value={settings.currency}
+              onChange={(e) => updateSettings({ currency: e.target.value.toUpperCase() })}
+              className={`${inputClass} mt-1 uppercase`}
+            />
+          </label>
+          <NumberSetting label={`Hourly rate (${printerName})`} step={0.5} value={rates.hourlyRate} onChange={(v) => updatePrinterRate("hourlyRate", v)} />
+          <NumberSetting label={`Power draw W (${printerName})`} step={10} value={rates.powerWatts} onChange={(v) => updatePrinterRate("powerWatts", v)} />
+          <NumberSetting label="Electricity per kWh" step={0.01} value={settings.electricityPerKwh} onChange={(v) => updateSettings({ electricityPerKwh: v })} />
+          <NumberSetting label="Setup fee" step={0.5} value={settings.setupFee} onChange={(v) => updateSettings({ setupFee: v })} />
+          <NumberSetting label={`Failure risk % (${material.name})`} step={1} value={getFailureRiskPercent(settings, material.id)} onChange={updateFailureRisk} />
+          <NumberSetting label="Markup %" step={1} value={settings.markupPercent} onChange={(v) => updateSettings({ markupPercent: v })} />
+        </div>
+      )}
+
+      <table className="w-full text-sm bg-white border border-gray-200">
+        <tbody>
+          {quote.items.map((item) => (
+            <tr key={item.key} className="border-t border-gray-200">
+              <td className="px-3 py-2">
+                {item.label}
+                <div className="text-xs text-gray-500">{item.detail}</div>
+              </td>
+              <td className="px-3 py-2 text-right">{formatMoney(item.amount, quote.currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot className="bg-green-100 font-semibold">
+          <tr className="border-t-2 border-green-300">
+            <td className="px-3 py-2">Total</td>
+            <td className="px-3 py-2 text-right text-lg">{formatMoney(quote.total, quote.currency)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3">
+        <button
+          type="button"
+          onClick={handlePrint}
+          className="py-2 px-4 rounded-md font-medium bg-green-600 text-white hover:bg-green-700"
+        >
+          Print Quote
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="py-2 px-4 rounded-md font-medium bg-gray-200 text-gray-800 hover:bg-gray-300"
+        >
+          Download Quote (HTML)
+        </button>
+        {printError && <span className="text-sm text-red-600">{printError}</span>}
+      </div>
+
+      {order && <OrderPanel model={order.model} settings={order.settings} printInfo={printInfo} quote={quote} />}
+    </div>
+  );
+};
+
+export default QuotePanel;
@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+
+const formatValue = (value) => {
+  if (typeof value === "boolean") return value ? "true" : "false";
+  const text = String(value);
+  return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+};
+
+export const IssueList = ({ issues, className }) => (
+  <ul className={`text-sm list-disc pl-5 mb-2 ${className}`}>
+    {issues.map((issue) => (
+      <li key={issue.key}>
+        <strong>{issue.label}</strong> ({formatValue(issue.value)}, from {issue.source}) {issue.message}
+      </li>
+    ))}
+  </ul>
+);
+
+// The overrides a slice will send, one per key, with where each value came from
+const SettingsReport = ({ entries, errors, warnings }) => {
+  const [showAll, setShowAll] = useState(false);
+  const hasErrors = errors.length > 0;
+  const tone = hasErrors
+    ? "bg-red-50 border-red-200"
+    : warnings.length > 0 ? "bg-yellow-50 border-yellow-200" : "bg-gray-50 border-gray-200";
+
+  return (
+    <div className={`p-4 rounded-lg mb-6 border ${tone}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="font-semibold text-gray-800">
+          Settings check: {entries.length} settings,{" "}
+          <span className={hasErrors ? "text-red-700" : ""}>{errors.length} errors</span>,{" "}
+          <span className={warnings.length > 0 ? "text-yellow-700" : ""}>{warnings.length} warnings</span>
+        </h4>
+        <button type="button" onClick={() => setShowAll((open) => !open)} className="text-sm text-blue-600 hover:text-blue-800">
+          {showAll ? "Hide details" : "Show all settings"}
+        </button>
+      </div>
+
+      {hasErrors && (
+        <>
+          <p className="text-sm text-red-700 mb-1">Fix these before slicing:</p>
+          <IssueList issues={errors} className="text-red-700" />
+        </>
+      )}
+      {warnings.length > 0 && <IssueList issues={warnings} className="text-yellow-800" />}
+
+      {showAll && (
+        <div className="max-h-80 overflow-y-auto border border-gray-200 rounded bg-white mt-2">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left">Key</th>
+                <th className="px-3 py-2 text-left">Value</th>
+                <th className="px-3 py-2 text-left">Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.key} className="border-t border-gray-100">
+                  <td className="px-3 py-1 font-mono text-xs">{entry.key}</td>
+                  <td className="px-3 py-1">{formatValue(entry.value)}</td>
+                  <td className="px-3 py-1 text-gray-600">
+                    {entry.source}
+                    {entry.replaced.length > 0 && (
+                      <span className="text-xs text-gray-500">
+                        {" "}(replaces {entry.replaced.map((r) => `${formatValue(r.value)} from ${r.source}`).join(", ")})
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SettingsReport;
@@ -0,0 +1,112 @@
+import React from "react";
+import { SHELL_PRESETS, USER_SETTING_LIMITS, clampSetting, effectiveLineWidth, shellThickness } from "../utils/userSettings";
+
+const inputClass = "w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// Counts are what gets stored; thickness inputs convert to the nearest count
+const ShellSettings = ({ settings, printer, onChange }) => {
+  const lineWidth = effectiveLineWidth(settings, printer);
+  const thickness = shellThickness(settings, printer);
+  const activePreset = SHELL_PRESETS.find((p) => (
+    p.wallLineCount === settings.wallLineCount && p.topLayers === settings.topLayers && p.bottomLayers === settings.bottomLayers
+  ));
+
+  const applyPreset = (preset) => {
+    onChange('wallLineCount', preset.wallLineCount);
+    onChange('topLayers', preset.topLayers);
+    onChange('bottomLayers', preset.bottomLayers);
+  };
+
+  const rows = [
+    { key: "wallLineCount", label: "Walls", thickness: thickness.wall, step: lineWidth },
+    { key: "topLayers", label: "Top layers", thickness: thickness.top, step: settings.layerHeight },
+    { key: "bottomLayers", label: "Bottom layers", thickness: thickness.bottom, step: settings.layerHeight },
+  ];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Walls &amp; Top/Bottom
+        </label>
+        <div className="flex gap-1">
+          {SHELL_PRESETS.map((preset) => (
+            <button
+              key={preset.id}
+              type="button"
+              onClick={() => applyPreset(preset)}
+              className={`text-xs px-2 py-1 rounded border ${
+                activePreset?.id === preset.id ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-xs text-gray-600">
+        <span></span>
+        <span>Count</span>
+        <span>Thickness (mm)</span>
+        {rows.map((row) => (
+          <React.Fragment key={row.key}>
+            <span className="self-center">{row.label}</span>
+            <input
+              type="number"
+              min={USER_SETTING_LIMITS[row.key].min}
+              max={USER_SETTING_LIMITS[row.key].max}
+              step="1"
+              value={settings[row.key]}
+              onChange={(e) => {
+                const value = parseInt(e.target.value);
+                if (Number.isFinite(value)) onChange(row.key, clampSetting(row.key, value));
+              }}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="0"
+              step={row.step}
+              value={row.thickness}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) onChange(row.key, clampSetting(row.key, value / row.step));
+              }}
+              className={inputClass}
+            />
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mt-2">
+        <label className="text-xs text-gray-600">
+          Line width (mm, 0 = nozzle {printer.nozzleSize})
+          <input
+            type="number"
+            min={USER_SETTING_LIMITS.lineWidth.min}
+            max={USER_SETTING_LIMITS.lineWidth.max}
+            step="0.05"
+            value={settings.lineWidth}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (Number.isFinite(value)) onChange('lineWidth', clampSetting('lineWidth', value));
+            }}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="flex items-center text-xs text-gray-600 mt-4">
+          <input
+            type="checkbox"
+            checked={settings.outerWallFirst}
+            onChange={(e) => onChange('outerWallFirst', e.target.checked)}
+            className="mr-2"
+          />
+          Outer wall first
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ShellSettings;
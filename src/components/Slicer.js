@@ -1,297 +1,642 @@
-import React, { useState } from "react";
-import { CuraWASM } from "cura-wasm";
-import { resolveDefinition } from "cura-wasm-definitions";
-
-// 🔧 Helper to build overrides with correct format
-function buildOverrides(user) {
-  // Base overrides with default values - ALWAYS include infill density
-  const overrides = [
-    { scope: undefined, key: "speed_print", value: 80 }, // Default print speed
-    { scope: undefined, key: "material_bed_temperature", value: 70 }, // Default bed temp
-    { scope: undefined, key: "material_print_temperature", value: 210 }, // Default nozzle temp
-    // CRITICAL: Always set infill density first
-    { scope: undefined, key: "infill_sparse_density", value: user.infillDensity || 20 },
-  ];
-
-  // 1. Layer Height - Override only if user selects non-default
-  if (user.layerHeight && user.layerHeight !== 0.15) {
-    overrides.push({ scope: undefined, key: "layer_height", value: user.layerHeight });
-    // Adjust initial layer height proportionally
-    overrides.push({ scope: undefined, key: "initial_layer_height", value: user.layerHeight * 1.5 });
-  } else if (user.layerHeight === 0.15) {
-    // Explicitly set default if selected
-    overrides.push({ scope: undefined, key: "layer_height", value: 0.15 });
-    overrides.push({ scope: undefined, key: "initial_layer_height", value: 0.2 });
-  }
-  
-  // 2. Infill Pattern - Override if specified
-  if (user.infillPattern) {
-    overrides.push({ scope: undefined, key: "infill_pattern", value: user.infillPattern });
-  }
-  
-  // 3. Support Enable - Override if specified
-  if (user.supportEnable !== undefined) {
-    overrides.push({ scope: undefined, key: "support_enable", value: user.supportEnable });
-    if (user.supportEnable) {
-      overrides.push({ scope: undefined, key: "support_type", value: "buildplate" });
-      overrides.push({ scope: undefined, key: "support_angle", value: 50 });
-      overrides.push({ scope: undefined, key: "support_infill_rate", value: 15 });
-    }
-  }
-
-  // 4. Material Type - Override temperatures and settings based on material
-  if (user.materialType) {
-    switch (user.materialType.toLowerCase()) {
-      case "pla":
-        overrides.push({ scope: undefined, key: "material_print_temperature", value: 210 });
-        overrides.push({ scope: undefined, key: "material_bed_temperature", value: 60 });
-        overrides.push({ scope: undefined, key: "retraction_amount", value: 6.5 });
-        overrides.push({ scope: undefined, key: "speed_print", value: 80 });
-        break;
-      case "pla+":
-        overrides.push({ scope: undefined, key: "material_print_temperature", value: 220 });
-        overrides.push({ scope: undefined, key: "material_bed_temperature", value: 70 });
-        overrides.push({ scope: undefined, key: "retraction_amount", value: 6.5 });
-        overrides.push({ scope: undefined, key: "speed_print", value: 75 });
-        break;
-      case "abs":
-        overrides.push({ scope: undefined, key: "material_print_temperature", value: 250 });
-        overrides.push({ scope: undefined, key: "material_bed_temperature", value: 100 });
-        overrides.push({ scope: undefined, key: "retraction_amount", value: 4.5 });
-        overrides.push({ scope: undefined, key: "speed_print", value: 70 });
-        break;
-      default:
-        // Keep default values if unknown material
-        break;
-    }
-  }
-
-  // 5. Material Color - Set color based on selection
-  if (user.materialColor) {
-    overrides.push({ scope: undefined, key: "material_colour", value: user.materialColor });
-  }
-
-  // Add some quality settings for better results
-  overrides.push({ scope: undefined, key: "retraction_enable", value: true });
-  overrides.push({ scope: undefined, key: "wall_line_count", value: 3 });
-  overrides.push({ scope: undefined, key: "top_layers", value: 4 });
-  overrides.push({ scope: undefined, key: "bottom_layers", value: 3 });
-  overrides.push({ scope: undefined, key: "adhesion_type", value: "skirt" });
-
-  return overrides;
-}
+import React, { Suspense, lazy, useEffect, useMemo, useRef, useState } from "react";
+import { checkFit } from "../utils/buildFit";
+import { formatTime } from "../utils/format";
+import { decodeGcode, measureUsage } from "../utils/gcode";
+import { estimatePrintTime } from "../utils/gcodeTime";
+import { DEFAULT_MATERIALS, MATERIALS_STORAGE_KEY, findMaterial, swatchColor } from "../utils/materials";
+import { createHistoryEntry, hashBytes } from "../utils/history";
+import { saveHistoryEntry } from "../utils/historyStore";
+import { analyzeMesh } from "../utils/meshAnalysis";
+import { layFlat } from "../utils/meshTransform";
+import { MACHINE_PROFILES_STORAGE_KEY, customPrinterId, findProfileByPrinterId } from "../utils/machineProfiles";
+import { sliceOverrides } from "../utils/modelSlice";
+import { explainOverrides } from "../utils/overrides";
+import { buildPrintInfo } from "../utils/printInfo";
+import { DEFAULT_PRINTER_ID, PRINTER_STORAGE_KEY, getPrinter } from "../utils/printers";
+import { PRESETS_STORAGE_KEY } from "../utils/presets";
+import { buildShareUrl, readShareHash } from "../utils/shareLink";
+import { SliceCancelledError, startSliceJob } from "../utils/sliceJob";
+import { MAX_MODEL_FILE_BYTES, SUPPORTED_EXTENSIONS, importModelFile } from "../utils/modelImport";
+import { downloadModel } from "../utils/remoteModel";
+import { parseStl, writeBinaryStl } from "../utils/stl";
+import { loadJSON, saveJSON } from "../utils/storage";
+import {
+  DEFAULT_USER_SETTINGS,
+  INFILL_PATTERN_OPTIONS,
+  LAYER_HEIGHT_OPTIONS,
+  USER_SETTINGS_STORAGE_KEY,
+  getQualityDescription,
+  normalizeUserSettings,
+  shellThickness,
+} from "../utils/userSettings";
+import AdhesionSettings from "./AdhesionSettings";
+import BatchQueue from "./BatchQueue";
+import CompareMode from "./CompareMode";
+import FitCheck from "./FitCheck";
+import GcodeExport from "./GcodeExport";
+import HistoryPanel from "./HistoryPanel";
+import MachineProfileEditor from "./MachineProfileEditor";
+import MaterialLibrary from "./MaterialLibrary";
+import ModelAnalysis from "./ModelAnalysis";
+import PresetPicker from "./PresetPicker";
+import PrintTimeComparison from "./PrintTimeComparison";
+import PrinterSelector from "./PrinterSelector";
+import TransformPanel from "./TransformPanel";
+import QuotePanel from "./QuotePanel";
+import SettingsReport from "./SettingsReport";
+import ShellSettings from "./ShellSettings";
+import SupportSettings from "./SupportSettings";
+
+// three.js is heavy, only pull it in once there is a model to show
+const ModelPreview = lazy(() => import("./ModelPreview"));
+const GcodeViewer = lazy(() => import("./GcodeViewer"));
+// Carries the full Cura setting definitions, so only load it when opened
+const ExpertSettings = lazy(() => import("./ExpertSettings"));
+
+const HISTORY_FILES_STORAGE_KEY = "slicer.historyKeepFiles";
 
 const STLSlicer = () => {
-  const [file, setFile] = useState(null);
+  const [model, setModel] = useState(null); // { name, mesh, originalMesh? }
+  const [isPickingFace, setIsPickingFace] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showExpert, setShowExpert] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyKey, setHistoryKey] = useState(0); // bumped after each saved slice
+  const [keepFilesInHistory, setKeepFilesInHistory] = useState(() => loadJSON(HISTORY_FILES_STORAGE_KEY, true));
+  const analysis = useMemo(() => (model ? analyzeMesh(model.mesh) : null), [model]);
+  const [batchModels, setBatchModels] = useState([]);
   const [printInfo, setPrintInfo] = useState(null);
+  const [slicedSettings, setSlicedSettings] = useState(null); // userSettings the current printInfo came from
+  const [gcode, setGcode] = useState("");
   const [error, setError] = useState("");
   const [isSlicing, setIsSlicing] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [sliceTimeout, setSliceTimeout] = useState(30); // minutes, 0 = no limit
+  const sliceJobRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const dragDepthRef = useRef(0); // dragenter/leave also fire for every child
+  const [modelUrl, setModelUrl] = useState("");
+  const [download, setDownload] = useState(null); // { loaded, total } while a URL import runs
+  const downloadRef = useRef(null);
+
+  // Don't leave an engine running if the component goes away mid-slice
+  useEffect(() => () => sliceJobRef.current?.cancel(), []);
+  useEffect(() => () => downloadRef.current?.abort(), []);
+
+  const [printerId, setPrinterId] = useState(() => loadJSON(PRINTER_STORAGE_KEY, DEFAULT_PRINTER_ID));
+  const [machineProfiles, setMachineProfiles] = useState(() => loadJSON(MACHINE_PROFILES_STORAGE_KEY, []));
+  const [showProfileEditor, setShowProfileEditor] = useState(false);
+  const printer = useMemo(() => getPrinter(printerId, machineProfiles), [printerId, machineProfiles]);
+  const [allowOversize, setAllowOversize] = useState(false);
+  const fit = useMemo(
+    () => (analysis ? checkFit(analysis.boundingBox.size, printer.buildVolume) : null),
+    [analysis, printer]
+  );
 
-  // Simplified user settings focusing on the 6 main parameters
-  const [userSettings, setUserSettings] = useState({
-    layerHeight: 0.15, // Normal (default)
-    infillDensity: 20, // 20% default
-    infillPattern: "grid", // Grid default
-    supportEnable: false, // No support by default
-    materialType: "pla", // PLA default
-    materialColor: "blue", // Blue for PLA default
-  });
-
-  // Layer height options
-  const layerHeightOptions = [
-    { value: 0.06, label: "Extra Fine (0.06mm)" },
-    { value: 0.1, label: "Fine (0.1mm)" },
-    { value: 0.15, label: "Normal (0.15mm)" },
-    { value: 0.2, label: "Fast (0.2mm)" },
-    { value: 0.3, label: "Very Fast (0.3mm)" },
-  ];
-
-  // Material type options with auto-color assignment
-  const materialOptions = [
-    { value: "pla", label: "PLA", color: "blue" },
-    { value: "pla+", label: "PLA+", color: "grey" },
-    { value: "abs", label: "ABS", color: "yellow" },
-  ];
-
-  const handleFileSelect = (event) => {
-    const selectedFile = event.target.files[0];
-    if (selectedFile && selectedFile.name.toLowerCase().endsWith(".stl")) {
-      setFile(selectedFile);
-      setPrintInfo(null);
-      setError("");
-    } else {
-      setError("Please select a valid STL file");
+  const handlePrinterChange = (id) => {
+    setPrinterId(id);
+    saveJSON(PRINTER_STORAGE_KEY, id);
+  };
+
+  const updateMachineProfiles = (profiles) => {
+    setMachineProfiles(profiles);
+    saveJSON(MACHINE_PROFILES_STORAGE_KEY, profiles);
+  };
+
+  const handleProfileSave = (profile) => {
+    const exists = machineProfiles.some((p) => p.id === profile.id);
+    updateMachineProfiles(exists
+      ? machineProfiles.map((p) => (p.id === profile.id ? profile : p))
+      : [...machineProfiles, profile]);
+    handlePrinterChange(customPrinterId(profile));
+  };
+
+  const handleProfileDelete = (id) => {
+    updateMachineProfiles(machineProfiles.filter((p) => p.id !== id));
+    if (printerId === customPrinterId({ id })) handlePrinterChange(DEFAULT_PRINTER_ID);
+  };
+
+  // Simplified user settings focusing on the main parameters, restored from the last visit
+  const [userSettings, setUserSettings] = useState(() => (
+    normalizeUserSettings(loadJSON(USER_SETTINGS_STORAGE_KEY, DEFAULT_USER_SETTINGS))
+  ));
+  const [presets, setPresets] = useState(() => loadJSON(PRESETS_STORAGE_KEY, []));
+
+  useEffect(() => {
+    saveJSON(USER_SETTINGS_STORAGE_KEY, userSettings);
+  }, [userSettings]);
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    saveJSON(PRESETS_STORAGE_KEY, next);
+  };
+
+  const [materials, setMaterials] = useState(() => loadJSON(MATERIALS_STORAGE_KEY, DEFAULT_MATERIALS));
+  const [showMaterialLibrary, setShowMaterialLibrary] = useState(false);
+  const material = findMaterial(materials, userSettings.materialType);
+  const shell = shellThickness(userSettings, printer);
+
+  // Validation needs the full Cura definitions, which are loaded on demand
+  const [settingsReport, setSettingsReport] = useState(null);
+  useEffect(() => {
+    let active = true;
+    const entries = explainOverrides(userSettings, material, printer);
+    import("../utils/curaSettings").then(({ validateOverrides }) => {
+      if (active) setSettingsReport({ entries, ...validateOverrides(entries, printer.definition) });
+    });
+    return () => {
+      active = false;
+    };
+  }, [userSettings, material, printer]);
+
+  // Settings from a shared link (#share=...) replace the saved ones, on load or when a link is pasted
+  const [shareProblems, setShareProblems] = useState(null);
+  const [shareStatus, setShareStatus] = useState("");
+  useEffect(() => {
+    const applyShareLink = () => {
+      const shared = readShareHash(window.location.hash, { materials, customProfiles: machineProfiles });
+      if (!shared) return;
+      setUserSettings(shared.settings);
+      if (shared.printerId) {
+        setPrinterId(shared.printerId);
+        saveJSON(PRINTER_STORAGE_KEY, shared.printerId);
+      }
+      setShareProblems(shared.problems);
+      // Drop the hash so a reload doesn't undo later edits
+      window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+    };
+    applyShareLink();
+    window.addEventListener("hashchange", applyShareLink);
+    return () => window.removeEventListener("hashchange", applyShareLink);
+  }, [materials, machineProfiles]);
+
+  const copyShareLink = async () => {
+    const url = buildShareUrl(window.location, { settings: userSettings, printerId });
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("Link copied!");
+    } catch (err) {
+      console.error("Clipboard error:", err);
+      window.prompt("Copy this link:", url);
     }
+    setTimeout(() => setShareStatus(""), 2000);
   };
 
-  const handleSettingChange = (key, value) => {
-    let newSettings = { ...userSettings, [key]: value };
-    
-    // Auto-set material color based on material type
-    if (key === 'materialType') {
-      const selectedMaterial = materialOptions.find(m => m.value === value);
-      if (selectedMaterial) {
-        newSettings.materialColor = selectedMaterial.color;
+  const updateMaterials = (next) => {
+    setMaterials(next);
+    saveJSON(MATERIALS_STORAGE_KEY, next);
+    // Keep the selection valid when the selected material was edited or removed
+    const selected = findMaterial(next, userSettings.materialType);
+    if (selected.id !== userSettings.materialType || !selected.colors.includes(userSettings.materialColor)) {
+      setUserSettings((prev) => ({ ...prev, materialType: selected.id, materialColor: selected.colors[0] }));
+    }
+  };
+
+  // Picked, dropped, pasted and downloaded files all come through here
+  const importFiles = async (selectedFiles) => {
+    if (selectedFiles.length === 0) return;
+
+    setModel(null);
+    setAllowOversize(false);
+    setIsPickingFace(false);
+    setBatchModels([]);
+    setPrintInfo(null);
+    setGcode("");
+    setError("");
+
+    // STL, 3MF, OBJ and ZIP files all end up as a list of meshes
+    const models = [];
+    const problems = [];
+    for (const selectedFile of selectedFiles) {
+      try {
+        const result = await importModelFile(selectedFile);
+        models.push(...result.models);
+        problems.push(...result.warnings);
+      } catch (err) {
+        console.error("Model import error:", err);
+        problems.push(err.message);
       }
     }
-    
-    setUserSettings(newSettings);
+
+    // Several models go through the batch queue instead of the single-file flow
+    if (models.length > 1) {
+      setBatchModels(models);
+    } else if (models.length === 1) {
+      // History entries are matched to the customer's file by its hash
+      const sourceHash = selectedFiles.length === 1
+        ? await hashBytes(await selectedFiles[0].arrayBuffer()).catch(() => null)
+        : null;
+      setModel({ ...models[0], sourceHash });
+    }
+
+    if (models.length === 0) {
+      setError(problems.join("; ") || "Please select a valid model file");
+    } else if (problems.length > 0) {
+      setError(`Some files were skipped: ${problems.join("; ")}`);
+    }
+  };
+
+  const handleFileSelect = (event) => importFiles(Array.from(event.target.files));
+
+  const importFromUrl = async (url) => {
+    const controller = new AbortController();
+    downloadRef.current = controller;
+    setDownload({ loaded: 0, total: null });
+    setError("");
+    try {
+      const file = await downloadModel(url, { signal: controller.signal, onProgress: setDownload });
+      setModelUrl("");
+      await importFiles([file]);
+    } catch (err) {
+      console.error("Model download error:", err);
+      setError(err.message);
+    } finally {
+      downloadRef.current = null;
+      setDownload(null);
+    }
+  };
+
+  const handleDragEnter = (event) => {
+    event.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = () => {
+    dragDepthRef.current -= 1;
+    if (dragDepthRef.current <= 0) {
+      dragDepthRef.current = 0;
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+    if (isSlicing || download) return;
+
+    const files = Array.from(event.dataTransfer.files);
+    // Links dragged from another tab arrive as a URL instead of a file
+    const link = event.dataTransfer.getData("text/uri-list").split("\n").find((line) => line && !line.startsWith("#"));
+    if (files.length > 0) importFiles(files);
+    else if (link) importFromUrl(link.trim());
+  };
+
+  // Pasting anywhere on the page imports copied files; text pastes are left alone
+  const pasteHandlerRef = useRef(null);
+  pasteHandlerRef.current = (event) => {
+    const files = Array.from(event.clipboardData?.files || []);
+    if (files.length === 0 || isSlicing || download) return;
+    event.preventDefault();
+    importFiles(files);
+  };
+  useEffect(() => {
+    const onPaste = (event) => pasteHandlerRef.current(event);
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+  }, []);
+
+  // Functional update so several changes in one event (e.g. a shell preset) all apply
+  const handleSettingChange = (key, value) => {
+    setUserSettings((prev) => {
+      const newSettings = { ...prev, [key]: value };
+
+      // Auto-set material color to the material's first color
+      if (key === 'materialType') {
+        newSettings.materialColor = findMaterial(materials, value).colors[0];
+      }
+
+      return newSettings;
+    });
+  };
+
+  // Fixes from the fit check and transforms replace the mesh, earlier results no longer apply
+  // The imported mesh is kept so transforms can be undone in one step
+  const handleMeshChange = (mesh) => {
+    setModel((prev) => ({ ...prev, mesh, originalMesh: prev.originalMesh || prev.mesh }));
+    setPrintInfo(null);
+    setGcode("");
+  };
+
+  const handleTransformReset = () => {
+    setModel(({ originalMesh, ...prev }) => ({ ...prev, mesh: originalMesh || prev.mesh }));
+    setPrintInfo(null);
+    setGcode("");
+  };
+
+  const handleFacePick = (triangleIndex) => {
+    setIsPickingFace(false);
+    handleMeshChange(layFlat(model.mesh, triangleIndex));
   };
 
   const sliceFile = async () => {
-    if (!file) {
-      setError("Please select an STL file first");
+    if (!model) {
+      setError("Please select a model file first");
+      return;
+    }
+    if (fit && !fit.fits && !allowOversize) {
+      setError("The model does not fit the selected printer. Rotate, auto-orient or scale it first, or choose \"Slice anyway\".");
+      return;
+    }
+    if (settingsReport?.errors.length > 0) {
+      setError("Some print settings are out of range for this printer. Fix the errors in the settings check first.");
       return;
     }
 
     setIsSlicing(true);
     setProgress(0);
     setError("");
+    setGcode("");
 
     try {
       console.log("Building overrides with settings:", userSettings);
-      const overrides = buildOverrides(userSettings);
+      const overrides = sliceOverrides(printer, userSettings, material);
       console.log("Generated overrides:", overrides);
       
       // Double check infill setting
       const infillOverride = overrides.find(o => o.key === "infill_sparse_density");
       console.log("Infill override found:", infillOverride);
 
-      const slicer = new CuraWASM({
-        definition: resolveDefinition("ultimaker2"),
-        overrides: overrides,
-        verbose: true,
-      });
+      const arrayBuffer = writeBinaryStl(model.mesh.positions);
+      console.log("Starting slice operation...");
 
-      // Progress tracking
-      slicer.on('progress', (percent) => {
-        setProgress(percent);
-        console.log(`Slicing progress: ${percent}%`);
+      // CuraWASM runs in its own worker so the job can be cancelled
+      const job = startSliceJob({
+        model: arrayBuffer,
+        format: "stl",
+        definition: printer.definition,
+        overrides,
+        timeoutMs: sliceTimeout * 60 * 1000,
+        onProgress: (percent) => {
+          setProgress(percent);
+          console.log(`Slicing progress: ${percent}%`);
+        },
       });
+      sliceJobRef.current = job;
 
-      const arrayBuffer = await file.arrayBuffer();
-      console.log("Starting slice operation...");
-      
-      const result = await slicer.slice(arrayBuffer, "stl");
+      const result = await job.promise;
+
+      const gcodeText = decodeGcode(result.gcode);
+      setGcode(gcodeText);
 
       console.log("Slice completed!");
-      console.log("Generated G-code length:", result.gcode?.length || 0);
+      console.log("Generated G-code length:", gcodeText.length);
       console.log("Metadata:", result.metadata);
 
-      if (result.metadata) {
-        // Calculate filament usage more accurately
-        const filamentMm = result.metadata.filamentUsage || 
-                          result.metadata.material1Usage || 
-                          result.metadata.filament_used || 0;
-
-        // Get material density based on type
-        let materialDensity = 1.24; // PLA default
-        switch (userSettings.materialType?.toLowerCase()) {
-          case "pla":
-            materialDensity = 1.24;
-            break;
-          case "pla+":
-            materialDensity = 1.25;
-            break;
-          case "abs":
-            materialDensity = 1.05;
-            break;
-          default:
-            materialDensity = 1.24;
-        }
-
-        const filamentGrams = (filamentMm / 1000) * materialDensity;
-
-        const info = {
-          estimatedTime: result.metadata.printTime || 
-                        result.metadata.print_time || 
-                        result.metadata.estimated_time || "N/A",
-          filamentUsedMm: filamentMm,
-          filamentUsedGrams: filamentGrams.toFixed(2),
-          volume: result.metadata.volume || "N/A",
-          height: result.metadata.height || "N/A", 
-          width: result.metadata.width || "N/A",
-          depth: result.metadata.depth || "N/A",
-          layerCount: result.metadata.layers || result.metadata.layer_count || "N/A",
-          materialType: userSettings.materialType.toUpperCase(),
-          materialColor: userSettings.materialColor,
-          layerHeight: userSettings.layerHeight,
-          infillDensity: userSettings.infillDensity,
-        };
-        
-        console.log("Processed print info:", info);
-        setPrintInfo(info);
-      } else {
-        console.warn("No metadata received from slicing operation");
-        setPrintInfo({
-          estimatedTime: "N/A",
-          filamentUsedMm: "N/A", 
-          filamentUsedGrams: "N/A",
-          volume: "N/A",
-          height: "N/A",
-          width: "N/A",
-          depth: "N/A",
-          layerCount: "N/A",
-          materialType: userSettings.materialType.toUpperCase(),
-          materialColor: userSettings.materialColor,
-          layerHeight: userSettings.layerHeight,
-          infillDensity: userSettings.infillDensity,
-        });
-      }
-
-      // Clean up
-      slicer.dispose();
+      // Cura's own time estimate ignores acceleration, so simulate the G-code as well
+      const timing = estimatePrintTime(gcodeText, printer.motion);
+      const info = buildPrintInfo(result.metadata, userSettings, printer, material, analysis, measureUsage(gcodeText), timing);
+      console.log("Processed print info:", info);
+      setPrintInfo(info);
+      setSlicedSettings(userSettings);
+
+      const { entry, files } = createHistoryEntry({
+        sourceName: model.name,
+        sourceHash: model.sourceHash,
+        userSettings,
+        printer,
+        material,
+        metadata: result.metadata,
+        printInfo: info,
+        gcode: keepFilesInHistory ? gcodeText : null,
+        // The buffer that was sliced now belongs to the worker, so write a fresh one
+        modelBytes: keepFilesInHistory ? writeBinaryStl(model.mesh.positions) : null,
+      });
+      // A full history should not turn a finished slice into an error
+      saveHistoryEntry(entry, files)
+        .then(() => setHistoryKey((key) => key + 1))
+        .catch((err) => console.warn("Could not save slice to history:", err));
 
     } catch (err) {
-      console.error("Slicing error:", err);
-      setError(`Slicing failed: ${err.message}`);
+      if (err instanceof SliceCancelledError) {
+        setError(err.reason === "timeout"
+          ? `Slicing timed out after ${sliceTimeout} minutes`
+          : "Slicing cancelled");
+      } else {
+        console.error("Slicing error:", err);
+        setError(`Slicing failed: ${err.message}`);
+      }
     } finally {
+      sliceJobRef.current = null;
       setIsSlicing(false);
       setProgress(0);
     }
   };
 
-  const formatTime = (seconds) => {
-    if (!seconds || seconds === "N/A") return "N/A";
-    const numSeconds = typeof seconds === 'string' ? parseFloat(seconds) : seconds;
-    if (isNaN(numSeconds)) return "N/A";
-    
-    const hrs = Math.floor(numSeconds / 3600);
-    const mins = Math.floor((numSeconds % 3600) / 60);
-    const secs = Math.floor(numSeconds % 60);
-    
-    if (hrs > 0) {
-      return `${hrs}h ${mins}m`;
-    } else if (mins > 0) {
-      return `${mins}m ${secs}s`;
+  // Reopen shows the stored result, re-slice loads the model and settings to tweak
+  const handleHistoryOpen = (entry, files, { reslice }) => {
+    setError("");
+    setBatchModels([]);
+    setAllowOversize(false);
+    setIsPickingFace(false);
+    if (entry.printerId !== printerId) handlePrinterChange(entry.printerId);
+    setUserSettings(normalizeUserSettings(entry.settings));
+    setSlicedSettings(normalizeUserSettings(entry.settings));
+
+    if (files?.model) {
+      try {
+        setModel({ name: entry.sourceName, mesh: parseStl(files.model), sourceHash: entry.sourceHash });
+      } catch (err) {
+        setError(`Could not load the stored model: ${err.message}`);
+      }
     } else {
-      return `${secs}s`;
+      setModel(null);
     }
+    setPrintInfo(reslice ? null : entry.printInfo);
+    setGcode(reslice ? "" : files?.gcode || "");
   };
 
-  const getQualityDescription = (layerHeight) => {
-    const option = layerHeightOptions.find(opt => opt.value === layerHeight);
-    return option ? option.label : `${layerHeight}mm`;
+  const cancelSlice = () => {
+    if (sliceJobRef.current) {
+      sliceJobRef.current.cancel();
+    }
   };
 
   return (
-    <div className="max-w-4xl mx-auto p-6 bg-white rounded-lg shadow-lg">
+    <div
+      className="relative max-w-4xl mx-auto p-6 bg-white rounded-lg shadow-lg"
+      onDragEnter={handleDragEnter}
+      onDragOver={(e) => e.preventDefault()}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDragging && (
+        <div className="absolute inset-0 z-20 flex items-center justify-center rounded-lg border-4 border-dashed border-blue-400 bg-blue-50 bg-opacity-90 pointer-events-none">
+          <p className="text-xl font-semibold text-blue-700">Drop model files or a link to import</p>
+        </div>
+      )}
+
       <h2 className="text-3xl font-bold mb-6 text-gray-800">STL to G-Code Slicer</h2>
 
+      {shareProblems && (
+        <div className={`p-3 rounded-lg mb-4 border text-sm ${shareProblems.length > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-800'}`}>
+          <div className="flex justify-between gap-2">
+            <span>Settings loaded from a shared link{shareProblems.length > 0 ? ", with some values replaced:" : "."}</span>
+            <button type="button" onClick={() => setShareProblems(null)} aria-label="Dismiss">✕</button>
+          </div>
+          {shareProblems.length > 0 && (
+            <ul className="list-disc pl-5 mt-1">
+              {shareProblems.map((problem) => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Slicing History */}
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+        <button
+          type="button"
+          onClick={() => setShowHistory((open) => !open)}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          {showHistory ? "Hide history" : "Slicing history"}
+        </button>
+        <label className="flex items-center text-gray-700">
+          <input
+            type="checkbox"
+            checked={keepFilesInHistory}
+            onChange={(e) => {
+              setKeepFilesInHistory(e.target.checked);
+              saveJSON(HISTORY_FILES_STORAGE_KEY, e.target.checked);
+            }}
+            className="mr-2"
+          />
+          Keep G-code and model in history
+        </label>
+      </div>
+      {showHistory && (
+        <HistoryPanel refreshKey={historyKey} onOpen={handleHistoryOpen} disabled={isSlicing} />
+      )}
+
       {/* File Selection */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 mb-2">
-          Select STL File
+          Select Model File(s) (STL, 3MF, OBJ or ZIP)
         </label>
         <input 
           type="file" 
-          accept=".stl" 
+          accept={SUPPORTED_EXTENSIONS.join(",")} 
+          multiple
           onChange={handleFileSelect}
           className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
         />
+        <p className="text-xs text-gray-500 mt-1">
+          You can also drop files anywhere on this page or paste them, up to {MAX_MODEL_FILE_BYTES / 1024 / 1024} MB each.
+        </p>
+
+        <form
+          className="flex gap-2 mt-3"
+          onSubmit={(e) => {
+            e.preventDefault();
+            importFromUrl(modelUrl);
+          }}
+        >
+          <input
+            type="url"
+            value={modelUrl}
+            placeholder="Or import from a link, e.g. https://example.com/part.stl"
+            onChange={(e) => setModelUrl(e.target.value)}
+            disabled={Boolean(download)}
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {download ? (
+            <button
+              type="button"
+              onClick={() => downloadRef.current?.abort()}
+              className="px-4 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700"
+            >
+              Cancel
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!modelUrl.trim() || isSlicing}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              Import
+            </button>
+          )}
+        </form>
+        {download && (
+          <div className="mt-2">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span>Downloading...</span>
+              <span>
+                {(download.loaded / 1024 / 1024).toFixed(1)} MB
+                {download.total ? ` of ${(download.total / 1024 / 1024).toFixed(1)} MB` : ""}
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`bg-blue-600 h-2 rounded-full transition-all duration-300 ${download.total ? "" : "animate-pulse"}`}
+                style={{ width: download.total ? `${Math.round((download.loaded / download.total) * 100)}%` : "100%" }}
+              ></div>
+            </div>
+          </div>
+        )}
       </div>
 
+      {/* Model Preview */}
+      {model && (
+        <Suspense fallback={<p className="mb-6 text-sm text-gray-600">Loading preview...</p>}>
+          <ModelPreview
+            mesh={model.mesh}
+            buildVolume={printer.buildVolume}
+            onFacePick={isPickingFace ? handleFacePick : undefined}
+          />
+        </Suspense>
+      )}
+      {analysis && (
+        <TransformPanel
+          mesh={model.mesh}
+          size={analysis.boundingBox.size}
+          isPickingFace={isPickingFace}
+          canReset={Boolean(model.originalMesh)}
+          onPickFaceToggle={() => setIsPickingFace((picking) => !picking)}
+          onMeshChange={handleMeshChange}
+          onReset={handleTransformReset}
+        />
+      )}
+      {analysis && <ModelAnalysis analysis={analysis} />}
+      {analysis && (
+        <FitCheck
+          mesh={model.mesh}
+          size={analysis.boundingBox.size}
+          buildVolume={printer.buildVolume}
+          allowOversize={allowOversize}
+          onAllowOversizeChange={setAllowOversize}
+          onMeshChange={handleMeshChange}
+        />
+      )}
+
+      {/* Printer Selection */}
+      <PrinterSelector
+        printer={printer}
+        customProfiles={machineProfiles}
+        onChange={handlePrinterChange}
+        onManageProfiles={() => setShowProfileEditor((open) => !open)}
+        disabled={isSlicing}
+      />
+      {showProfileEditor && (
+        <MachineProfileEditor
+          profiles={machineProfiles}
+          activeProfileId={findProfileByPrinterId(machineProfiles, printerId)?.id}
+          onSave={handleProfileSave}
+          onDelete={handleProfileDelete}
+          onClose={() => setShowProfileEditor(false)}
+        />
+      )}
+
+      {/* Presets */}
+      <PresetPicker
+        presets={presets}
+        userSettings={userSettings}
+        onPresetsChange={updatePresets}
+        onLoad={setUserSettings}
+        disabled={isSlicing}
+      />
+
       {/* Settings Panel */}
       <div className="bg-gray-50 p-6 rounded-lg mb-6">
         <h3 className="text-lg font-semibold text-gray-800 mb-4">Print Settings</h3>
@@ -301,13 +646,16 @@ const STLSlicer = () => {
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Layer Height
+              <span className="font-normal text-xs text-gray-500 ml-2">
+                Shell: {shell.wall} mm walls, {shell.top} / {shell.bottom} mm top/bottom
+              </span>
             </label>
             <select
               value={userSettings.layerHeight}
               onChange={(e) => handleSettingChange('layerHeight', parseFloat(e.target.value))}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              {layerHeightOptions.map(option => (
+              {LAYER_HEIGHT_OPTIONS.map(option => (
                 <option key={option.value} value={option.value}>
                   {option.label}
                 </option>
@@ -346,64 +694,48 @@ const STLSlicer = () => {
               onChange={(e) => handleSettingChange('infillPattern', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              <option value="grid">Grid</option>
-              <option value="lines">Lines</option>
-              <option value="triangles">Triangles</option>
-              <option value="cubic">Cubic</option>
-              <option value="concentric">Concentric</option>
-              <option value="zigzag">Zigzag</option>
-              <option value="gyroid">Gyroid</option>
+              {INFILL_PATTERN_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
           </div>
 
-          {/* 4. Support Required */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Support Required
-            </label>
-            <div className="flex items-center space-x-4">
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  name="support"
-                  checked={!userSettings.supportEnable}
-                  onChange={() => handleSettingChange('supportEnable', false)}
-                  className="mr-2"
-                />
-                No
-              </label>
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  name="support"
-                  checked={userSettings.supportEnable}
-                  onChange={() => handleSettingChange('supportEnable', true)}
-                  className="mr-2"
-                />
-                Yes
-              </label>
-            </div>
-          </div>
+          {/* 4. Support */}
+          <SupportSettings settings={userSettings} onChange={handleSettingChange} />
 
           {/* 5. Material Type */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Material Type
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Material Type
+              </label>
+              <button
+                type="button"
+                onClick={() => setShowMaterialLibrary((open) => !open)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Edit library
+              </button>
+            </div>
             <select
-              value={userSettings.materialType}
+              value={material.id}
               onChange={(e) => handleSettingChange('materialType', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              {materialOptions.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
+              {materials.map(option => (
+                <option key={option.id} value={option.id}>
+                  {option.name}
                 </option>
               ))}
             </select>
+            <p className="text-xs text-gray-500 mt-1">
+              {material.printTemperature}°C nozzle · {material.bedTemperature}°C bed · {material.density} g/cm³
+            </p>
           </div>
 
-          {/* 6. Material Color (Display Only - Auto-set) */}
+          {/* 6. Material Color (from the material's available colors) */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Material Color
@@ -411,43 +743,165 @@ const STLSlicer = () => {
             <div className="flex items-center space-x-2">
               <div 
                 className="w-6 h-6 rounded-full border-2 border-gray-300"
-                style={{ backgroundColor: userSettings.materialColor }}
+                style={{ backgroundColor: swatchColor(userSettings.materialColor) }}
               ></div>
-              <span className="capitalize text-sm font-medium">
-                {userSettings.materialColor}
-              </span>
+              <select
+                value={userSettings.materialColor}
+                onChange={(e) => handleSettingChange('materialColor', e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md capitalize focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {material.colors.map(color => (
+                  <option key={color} value={color}>
+                    {color}
+                  </option>
+                ))}
+              </select>
             </div>
           </div>
+
+          {/* 7. Walls, Top/Bottom and Line Width */}
+          <ShellSettings settings={userSettings} printer={printer} onChange={handleSettingChange} />
+
+          {/* 8. Bed Adhesion */}
+          <AdhesionSettings settings={userSettings} onChange={handleSettingChange} />
         </div>
+
+        <button
+          type="button"
+          onClick={() => setShowExpert((open) => !open)}
+          className="mt-4 text-sm text-blue-600 hover:text-blue-800"
+        >
+          {showExpert ? "Hide expert settings" : "Expert settings"}
+          {Object.keys(userSettings.expertOverrides).length > 0 && ` (${Object.keys(userSettings.expertOverrides).length} overridden)`}
+        </button>
       </div>
 
+      {showExpert && (
+        <Suspense fallback={<p className="mb-6 text-sm text-gray-600">Loading Cura settings...</p>}>
+          <ExpertSettings
+            printer={printer}
+            overrides={userSettings.expertOverrides}
+            onChange={(expertOverrides) => setUserSettings((prev) => ({ ...prev, expertOverrides }))}
+            disabled={isSlicing}
+          />
+        </Suspense>
+      )}
+
+      {showMaterialLibrary && (
+        <MaterialLibrary
+          materials={materials}
+          onChange={updateMaterials}
+          onClose={() => setShowMaterialLibrary(false)}
+        />
+      )}
+
       {/* Current Settings Summary */}
       <div className="bg-blue-50 p-4 rounded-lg mb-6 border border-blue-200">
-        <h4 className="font-semibold text-blue-800 mb-2">Current Settings Summary:</h4>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h4 className="font-semibold text-blue-800">Current Settings Summary:</h4>
+          <div className="flex items-center gap-2 text-sm">
+            {shareStatus && <span className="text-green-700">{shareStatus}</span>}
+            <button type="button" onClick={copyShareLink} className="text-blue-600 hover:text-blue-800">
+              Copy share link
+            </button>
+          </div>
+        </div>
         <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
           <span><strong>Quality:</strong> {getQualityDescription(userSettings.layerHeight)}</span>
           <span><strong>Infill:</strong> {userSettings.infillDensity}% {userSettings.infillPattern}</span>
-          <span><strong>Support:</strong> {userSettings.supportEnable ? 'Enabled' : 'Disabled'}</span>
-          <span><strong>Material:</strong> {userSettings.materialType.toUpperCase()}</span>
+          <span><strong>Support:</strong> {userSettings.supportEnable ? `${userSettings.supportStructure}, ${userSettings.supportAngle}°, ${userSettings.supportDensity}%` : 'Disabled'}</span>
+          <span><strong>Shell:</strong> {userSettings.wallLineCount} walls, {userSettings.topLayers}/{userSettings.bottomLayers} top/bottom</span>
+          <span className="capitalize"><strong>Adhesion:</strong> {userSettings.adhesionType}</span>
+          <span><strong>Material:</strong> {material.name.toUpperCase()}</span>
           <span><strong>Color:</strong> {userSettings.materialColor}</span>
+          <span><strong>Printer:</strong> {printer.name}</span>
+          {Object.keys(userSettings.expertOverrides).length > 0 && (
+            <span><strong>Expert:</strong> {Object.keys(userSettings.expertOverrides).length} Cura overrides</span>
+          )}
         </div>
       </div>
 
+      {/* Settings Check */}
+      {settingsReport && (
+        <SettingsReport
+          entries={settingsReport.entries}
+          errors={settingsReport.errors}
+          warnings={settingsReport.warnings}
+        />
+      )}
+
+      {/* Batch Queue */}
+      {batchModels.length > 0 && (
+        <BatchQueue
+          models={batchModels}
+          printer={printer}
+          material={material}
+          userSettings={userSettings}
+          sliceTimeout={sliceTimeout}
+        />
+      )}
+
       {/* Slice Button */}
       <div className="mb-6">
-        <button 
-          onClick={sliceFile}
-          disabled={!file || isSlicing}
-          className={`w-full py-3 px-6 rounded-md font-medium ${
-            !file || isSlicing
-              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-              : 'bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500'
-          }`}
-        >
-          {isSlicing ? `Slicing... ${progress}%` : 'Slice STL to G-Code'}
-        </button>
+        {batchModels.length === 0 && (
+          <div className="flex gap-4">
+            <button 
+              onClick={sliceFile}
+              disabled={!model || isSlicing}
+              className={`w-full py-3 px-6 rounded-md font-medium ${
+                !model || isSlicing
+                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500'
+              }`}
+            >
+              {isSlicing ? `Slicing... ${progress}%` : 'Slice STL to G-Code'}
+            </button>
+            {isSlicing && (
+              <button
+                onClick={cancelSlice}
+                className="py-3 px-6 rounded-md font-medium bg-red-600 text-white hover:bg-red-700"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        )}
+        {model && batchModels.length === 0 && (
+          <label className="flex items-center text-sm text-gray-700 mt-2">
+            <input
+              type="checkbox"
+              checked={showCompare}
+              onChange={(e) => setShowCompare(e.target.checked)}
+              className="mr-2"
+            />
+            Compare several configurations
+          </label>
+        )}
+        <label className="flex items-center text-sm text-gray-700 mt-2">
+          Timeout (minutes, 0 = none):
+          <input
+            type="number"
+            min="0"
+            value={sliceTimeout}
+            disabled={isSlicing}
+            onChange={(e) => setSliceTimeout(Math.max(0, parseInt(e.target.value) || 0))}
+            className="ml-2 w-20 px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
       </div>
 
+      {/* Compare Mode */}
+      {showCompare && model && batchModels.length === 0 && (
+        <CompareMode
+          model={model}
+          analysis={analysis}
+          printer={printer}
+          materials={materials}
+          userSettings={userSettings}
+          sliceTimeout={sliceTimeout}
+        />
+      )}
+
       {/* Progress Bar */}
       {isSlicing && (
         <div className="mb-4">
@@ -475,9 +929,19 @@ const STLSlicer = () => {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div className="space-y-3">
               <h4 className="font-semibold text-gray-700">Print Details</h4>
-              <p><span className="font-medium">Estimated Time:</span> {formatTime(printInfo.estimatedTime)}</p>
+              <PrintTimeComparison printInfo={printInfo} />
               <p><span className="font-medium">Filament Used:</span> {(printInfo.filamentUsedMm / 1000).toFixed(2)} m</p>
               <p><span className="font-medium">Filament Weight:</span> {printInfo.filamentUsedGrams} g</p>
+              {printInfo.adhesionType !== "none" && printInfo.adhesionFilamentMm !== "N/A" && (
+                <p className="text-sm text-gray-600 capitalize">
+                  Includes {printInfo.adhesionType}: {(printInfo.adhesionFilamentMm / 1000).toFixed(2)} m, {printInfo.adhesionFilamentGrams} g, {formatTime(printInfo.adhesionTime)}
+                </p>
+              )}
+              {printInfo.supportEnable && printInfo.supportFilamentMm !== "N/A" && (
+                <p className="text-sm text-gray-600">
+                  Includes {printInfo.supportStructure} support: {(printInfo.supportFilamentMm / 1000).toFixed(2)} m, {printInfo.supportFilamentGrams} g, {formatTime(printInfo.supportTime)}
+                </p>
+              )}
               <p><span className="font-medium">Total Layers:</span> {printInfo.layerCount}</p>
             </div>
             <div className="space-y-3">
@@ -486,6 +950,13 @@ const STLSlicer = () => {
               <p><span className="font-medium">Width:</span> {printInfo.width} mm</p>
               <p><span className="font-medium">Depth:</span> {printInfo.depth} mm</p>
               <p><span className="font-medium">Volume:</span> {printInfo.volume} mm³</p>
+              {printInfo.triangleCount !== undefined && (
+                <>
+                  <p><span className="font-medium">Surface Area:</span> {printInfo.surfaceArea} mm²</p>
+                  <p><span className="font-medium">Triangles:</span> {printInfo.triangleCount.toLocaleString()} in {printInfo.shellCount} shell(s)</p>
+                  <p><span className="font-medium">Watertight:</span> {printInfo.isWatertight ? "Yes" : "No"}</p>
+                </>
+              )}
             </div>
           </div>
           
@@ -493,6 +964,9 @@ const STLSlicer = () => {
           <div className="mt-4 pt-4 border-t border-green-200">
             <h4 className="font-semibold text-gray-700 mb-2">Settings Used:</h4>
             <div className="flex flex-wrap gap-4 text-sm">
+              <span className="bg-white px-2 py-1 rounded border">
+                <strong>Printer:</strong> {printInfo.printerName}
+              </span>
               <span className="bg-white px-2 py-1 rounded border">
                 <strong>Material:</strong> {printInfo.materialType} ({printInfo.materialColor})
               </span>
@@ -504,6 +978,26 @@ const STLSlicer = () => {
               </span>
             </div>
           </div>
+
+          {/* Quote for the material the model was sliced with */}
+          <QuotePanel
+            printInfo={printInfo}
+            printerName={printInfo.printerName}
+            material={findMaterial(materials, printInfo.materialId)}
+            sourceName={model?.name}
+            order={{ model, settings: slicedSettings }}
+          />
+
+          {gcode && (
+            <GcodeExport gcode={gcode} sourceName={model?.name} printInfo={printInfo} />
+          )}
+
+          {/* Toolpath Preview */}
+          {gcode && (
+            <Suspense fallback={<p className="mt-4 text-sm text-gray-600">Loading toolpath...</p>}>
+              <GcodeViewer gcode={gcode} buildVolume={printer.buildVolume} />
+            </Suspense>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,120 @@
+import React from "react";
+import {
+  SUPPORT_PATTERN_OPTIONS,
+  SUPPORT_PLACEMENT_OPTIONS,
+  SUPPORT_STRUCTURE_OPTIONS,
+  USER_SETTING_LIMITS,
+  clampSetting,
+} from "../utils/userSettings";
+
+const inputClass = "w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const NUMBER_FIELDS = [
+  { key: "supportAngle", label: "Overhang angle (°)", step: 1 },
+  { key: "supportDensity", label: "Density (%)", step: 5 },
+  { key: "supportZDistance", label: "Z distance (mm)", step: 0.05 },
+  { key: "supportInterfaceLayers", label: "Interface layers", step: 1 },
+];
+
+const SELECT_FIELDS = [
+  { key: "supportStructure", label: "Structure", options: SUPPORT_STRUCTURE_OPTIONS },
+  { key: "supportPlacement", label: "Placement", options: SUPPORT_PLACEMENT_OPTIONS },
+  { key: "supportPattern", label: "Pattern", options: SUPPORT_PATTERN_OPTIONS },
+];
+
+const SupportSettings = ({ settings, onChange }) => {
+  const setNumber = (key, raw) => {
+    const value = parseFloat(raw);
+    if (Number.isFinite(value)) onChange(key, clampSetting(key, value));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Support Required
+      </label>
+      <div className="flex items-center space-x-4">
+        <label className="flex items-center">
+          <input
+            type="radio"
+            name="support"
+            checked={!settings.supportEnable}
+            onChange={() => onChange('supportEnable', false)}
+            className="mr-2"
+          />
+          No
+        </label>
+        <label className="flex items-center">
+          <input
+            type="radio"
+            name="support"
+            checked={settings.supportEnable}
+            onChange={() => onChange('supportEnable', true)}
+            className="mr-2"
+          />
+          Yes
+        </label>
+      </div>
+
+      {settings.supportEnable && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {SELECT_FIELDS.map((field) => (
+            <label key={field.key} className="text-xs text-gray-600">
+              {field.label}
+              <select
+                value={settings[field.key]}
+                onChange={(e) => onChange(field.key, e.target.value)}
+                className={`${inputClass} mt-1`}
+              >
+                {field.options.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {NUMBER_FIELDS.map((field) => (
+            <label key={field.key} className="text-xs text-gray-600">
+              {field.label}
+              <input
+                type="number"
+                min={USER_SETTING_LIMITS[field.key].min}
+                max={USER_SETTING_LIMITS[field.key].max}
+                step={field.step}
+                value={settings[field.key]}
+                onChange={(e) => setNumber(field.key, e.target.value)}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          ))}
+          <label className="flex items-center text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={settings.supportBrim}
+              onChange={(e) => onChange('supportBrim', e.target.checked)}
+              className="mr-2"
+            />
+            Support brim
+          </label>
+          {settings.supportBrim && (
+            <label className="text-xs text-gray-600">
+              Brim width (mm)
+              <input
+                type="number"
+                min={USER_SETTING_LIMITS.supportBrimWidth.min}
+                max={USER_SETTING_LIMITS.supportBrimWidth.max}
+                step="1"
+                value={settings.supportBrimWidth}
+                onChange={(e) => setNumber("supportBrimWidth", e.target.value)}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupportSettings;
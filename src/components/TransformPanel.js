@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from "react";
+import { centerOnBed, dropToBed, mirrorMesh, placeOnBed, rotateMesh, scaleMesh } from "../utils/meshTransform";
+
+const AXES = ["x", "y", "z"];
+
+const buttonClass = "px-3 py-1 text-sm border border-gray-300 rounded-md bg-white hover:bg-gray-100";
+const inputClass = "w-24 px-2 py-1 border border-gray-300 rounded-md";
+
+const TransformPanel = ({ mesh, size, isPickingFace, canReset, onPickFaceToggle, onMeshChange, onReset }) => {
+  const [scaleUnit, setScaleUnit] = useState("percent"); // "percent" | "mm"
+  const [uniform, setUniform] = useState(true);
+  const [scaleValues, setScaleValues] = useState([100, 100, 100]);
+  const [rotation, setRotation] = useState({ x: 90, y: 90, z: 90 });
+
+  // Scale inputs start from the current size whenever the mesh changes
+  useEffect(() => {
+    setScaleValues(scaleUnit === "percent" ? [100, 100, 100] : size.map((v) => Math.round(v * 100) / 100));
+  }, [size, scaleUnit]);
+
+  const updateScale = (axis, value) => {
+    if (!uniform) {
+      setScaleValues((prev) => prev.map((v, i) => (i === axis ? value : v)));
+      return;
+    }
+    // Uniform scaling keeps the proportions of the current model
+    const ratio = scaleUnit === "percent" ? value / 100 : value / size[axis];
+    setScaleValues(scaleUnit === "percent" ? [value, value, value] : size.map((v, i) => (i === axis ? value : v * ratio)));
+  };
+
+  const applyScale = () => {
+    const factors = scaleValues.map((value, axis) => (
+      scaleUnit === "percent" ? value / 100 : value / size[axis]
+    ));
+    if (factors.some((f) => !Number.isFinite(f) || f <= 0)) return;
+    onMeshChange(placeOnBed(scaleMesh(mesh, factors)));
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mb-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-800">Transform:</h4>
+        <button type="button" onClick={onReset} disabled={!canReset} className={buttonClass}>
+          Reset to original
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+        {/* Scale */}
+        <div>
+          <div className="flex items-center gap-3 mb-2">
+            <strong>Scale</strong>
+            <select value={scaleUnit} onChange={(e) => setScaleUnit(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md">
+              <option value="percent">%</option>
+              <option value="mm">mm</option>
+            </select>
+            <label className="flex items-center">
+              <input type="checkbox" checked={uniform} onChange={(e) => setUniform(e.target.checked)} className="mr-1" />
+              Uniform
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {AXES.map((axis, i) => (
+              <label key={axis} className="flex items-center uppercase">
+                {axis}
+                <input
+                  type="number"
+                  min="0"
+                  step={scaleUnit === "percent" ? 1 : 0.1}
+                  value={scaleValues[i]}
+                  onChange={(e) => updateScale(i, parseFloat(e.target.value) || 0)}
+                  className={`${inputClass} ml-1`}
+                />
+              </label>
+            ))}
+            <button type="button" onClick={applyScale} className={buttonClass}>Apply</button>
+          </div>
+        </div>
+
+        {/* Rotate */}
+        <div>
+          <strong className="block mb-2">Rotate (degrees)</strong>
+          <div className="flex flex-wrap items-center gap-2">
+            {AXES.map((axis) => (
+              <span key={axis} className="flex items-center">
+                <input
+                  type="number"
+                  step="1"
+                  value={rotation[axis]}
+                  onChange={(e) => setRotation((prev) => ({ ...prev, [axis]: parseFloat(e.target.value) || 0 }))}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                />
+                <button
+                  type="button"
+                  onClick={() => onMeshChange(placeOnBed(rotateMesh(mesh, axis, rotation[axis])))}
+                  className={`${buttonClass} ml-1 uppercase`}
+                >
+                  {axis}
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Mirror */}
+        <div>
+          <strong className="block mb-2">Mirror</strong>
+          <div className="flex gap-2">
+            {AXES.map((axis) => (
+              <button
+                key={axis}
+                type="button"
+                onClick={() => onMeshChange(placeOnBed(mirrorMesh(mesh, axis)))}
+                className={`${buttonClass} uppercase`}
+              >
+                {axis}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Placement */}
+        <div>
+          <strong className="block mb-2">Placement</strong>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={onPickFaceToggle}
+              className={`${buttonClass} ${isPickingFace ? "bg-yellow-100 border-yellow-400" : ""}`}
+            >
+              {isPickingFace ? "Cancel lay flat" : "Lay flat on face"}
+            </button>
+            <button type="button" onClick={() => onMeshChange(dropToBed(mesh))} className={buttonClass}>
+              Drop to bed
+            </button>
+            <button type="button" onClick={() => onMeshChange(centerOnBed(mesh))} className={buttonClass}>
+              Center on bed
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransformPanel;
@@ -0,0 +1,14 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// allows you to do things like:
+// expect(element).toHaveTextContent(/react/i)
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom does not ship the Encoding API that the model parsers rely on
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// Nor WebCrypto, which hashes files for the slicing history
+if (!global.crypto?.subtle) {
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+}
@@ -0,0 +1,101 @@
+import { multiplyMatrices, placeOnBed, rotationMatrix, transformMesh } from "./meshTransform";
+import { computeBounds } from "./stl";
+
+// Checks a model's bounding box against the printer's build volume and
+// works out the fixes offered before slicing.
+
+// Room kept free at the bed edges for skirt/brim and homing tolerances (mm)
+export const FIT_MARGIN = 2;
+
+export function checkFit(size, buildVolume, margin = FIT_MARGIN) {
+  const limits = [buildVolume.width - margin, buildVolume.depth - margin, buildVolume.height];
+  const overflow = size.map((value, axis) => Math.max(0, value - limits[axis]));
+  return {
+    fits: overflow.every((value) => value <= 0),
+    overflow, // mm over the limit on X, Y, Z
+  };
+}
+
+// A 90° turn on Z swaps width and depth
+export function fitsRotatedZ(size, buildVolume, margin = FIT_MARGIN) {
+  return checkFit([size[1], size[0], size[2]], buildVolume, margin).fits;
+}
+
+// Largest uniform scale (in %, rounded down to 0.1) that fits without rotating
+export function scaleToFitPercent(size, buildVolume, margin = FIT_MARGIN) {
+  const limits = [buildVolume.width - margin, buildVolume.depth - margin, buildVolume.height];
+  const factor = Math.min(...size.map((value, axis) => (value > 0 ? limits[axis] / value : Infinity)));
+  return Math.floor(factor * 1000) / 10;
+}
+
+// Distinct vertices only, STL meshes repeat every vertex ~6 times
+function uniqueVertices(positions) {
+  const seen = new Set();
+  const vertices = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    const key = `${positions[i]},${positions[i + 1]},${positions[i + 2]}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      vertices.push(positions[i], positions[i + 1], positions[i + 2]);
+    }
+  }
+  return vertices;
+}
+
+function rotatedSize(vertices, m) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < vertices.length; i += 3) {
+    const x = vertices[i], y = vertices[i + 1], z = vertices[i + 2];
+    const p = [
+      m[0] * x + m[1] * y + m[2] * z,
+      m[3] * x + m[4] * y + m[5] * z,
+      m[6] * x + m[7] * y + m[8] * z,
+    ];
+    for (let axis = 0; axis < 3; axis++) {
+      if (p[axis] < min[axis]) min[axis] = p[axis];
+      if (p[axis] > max[axis]) max[axis] = p[axis];
+    }
+  }
+  return [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+}
+
+// Each face of the bounding box down on the bed
+const UP_ORIENTATIONS = [
+  rotationMatrix("x", 0),
+  rotationMatrix("x", 90),
+  rotationMatrix("x", 180),
+  rotationMatrix("x", 270),
+  rotationMatrix("y", 90),
+  rotationMatrix("y", 270),
+];
+
+// Tries every face-down orientation combined with Z turns in `stepDegrees`
+// steps. Orientations that fit win, then the smallest footprint, then the
+// lowest height. Returns the rotation matrix, the resulting size and fit.
+export function findSmallestFootprint(mesh, buildVolume, { stepDegrees = 5, margin = FIT_MARGIN } = {}) {
+  const vertices = uniqueVertices(mesh.positions);
+  let best = null;
+
+  UP_ORIENTATIONS.forEach((up) => {
+    for (let degrees = 0; degrees < 180; degrees += stepDegrees) {
+      const matrix = multiplyMatrices(rotationMatrix("z", degrees), up);
+      const size = rotatedSize(vertices, matrix);
+      const fits = checkFit(size, buildVolume, margin).fits;
+      const footprint = size[0] * size[1];
+      const better = !best
+        || (fits && !best.fits)
+        || (fits === best.fits && (footprint < best.footprint - 1e-6
+          || (Math.abs(footprint - best.footprint) <= 1e-6 && size[2] < best.size[2])));
+      if (better) best = { matrix, size, fits, footprint };
+    }
+  });
+
+  return best;
+}
+
+export function autoOrient(mesh, buildVolume, options) {
+  const { matrix } = findSmallestFootprint(mesh, buildVolume, options);
+  const oriented = placeOnBed(transformMesh(mesh, matrix));
+  return { mesh: oriented, size: computeBounds(oriented.positions).size };
+}
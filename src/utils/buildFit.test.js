@@ -0,0 +1,58 @@
+import { autoOrient, checkFit, findSmallestFootprint, fitsRotatedZ, scaleToFitPercent } from "./buildFit";
+import { rotateMesh } from "./meshTransform";
+import { computeBounds } from "./stl";
+
+const bed = { width: 220, depth: 220, height: 250 };
+
+// Axis-aligned box as 12 triangles (winding does not matter for bounds)
+function box([w, d, h]) {
+  const c = [[0, 0, 0], [w, 0, 0], [w, d, 0], [0, d, 0], [0, 0, h], [w, 0, h], [w, d, h], [0, d, h]];
+  const faces = [[0, 1, 2], [0, 2, 3], [4, 5, 6], [4, 6, 7], [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5], [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]];
+  return { positions: new Float32Array(faces.flatMap((f) => f.flatMap((i) => c[i]))) };
+}
+
+test("reports overflow per axis with an edge margin", () => {
+  expect(checkFit([100, 100, 100], bed).fits).toBe(true);
+  expect(checkFit([219, 100, 100], bed)).toEqual({ fits: false, overflow: [1, 0, 0] });
+  expect(checkFit([100, 100, 260], bed).overflow[2]).toBe(10);
+});
+
+test("rotating on Z helps when only the footprint is swapped", () => {
+  const narrowBed = { width: 300, depth: 150, height: 200 };
+  expect(checkFit([100, 250, 50], narrowBed).fits).toBe(false);
+  expect(fitsRotatedZ([100, 250, 50], narrowBed)).toBe(true);
+});
+
+test("scale to fit rounds down to a tenth of a percent", () => {
+  expect(scaleToFitPercent([436, 100, 100], bed)).toBe(50);
+  expect(scaleToFitPercent([100, 100, 300], bed)).toBe(83.3);
+});
+
+test("auto-orient lays a tall part on its side", () => {
+  const lowBed = { width: 220, depth: 220, height: 150 };
+  const tall = box([20, 30, 200]);
+  expect(checkFit([20, 30, 200], lowBed).fits).toBe(false);
+
+  const { size } = autoOrient(tall, lowBed);
+  expect(checkFit(size, lowBed).fits).toBe(true);
+  expect(Math.max(...size)).toBeCloseTo(200);
+});
+
+test("auto-orient leaves the part centred on the bed and resting on it", () => {
+  const { mesh, size } = autoOrient(box([240, 10, 20]), bed);
+  const { min, max } = computeBounds(mesh.positions);
+
+  expect(checkFit(size, bed).fits).toBe(true);
+  expect(min[2]).toBeCloseTo(0, 4);
+  expect((min[0] + max[0]) / 2).toBeCloseTo(0, 4);
+  expect((min[1] + max[1]) / 2).toBeCloseTo(0, 4);
+});
+
+test("auto-orient picks the smallest footprint", () => {
+  // Lying diagonally the bar covers ~78 × 78 mm, turned square it covers 100 × 10
+  const skewedBar = rotateMesh(box([100, 10, 10]), "z", 45);
+  expect(findSmallestFootprint(skewedBar, bed).footprint).toBeLessThanOrEqual(1000 + 1e-3);
+
+  const upright = box([10, 10, 100]);
+  expect(findSmallestFootprint(rotateMesh(upright, "x", 90), bed).footprint).toBeCloseTo(100);
+});
@@ -0,0 +1,44 @@
+// Compare mode: one model sliced with several userSettings variants.
+
+export const MAX_VARIANTS = 8;
+
+export function describeVariant(settings) {
+  return `${settings.layerHeight}mm · ${settings.infillDensity}% ${settings.infillPattern}`
+    + `${settings.supportEnable ? " · support" : ""} · ${settings.materialType.toUpperCase()}`;
+}
+
+export function createVariant(settings) {
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    settings: { ...settings },
+  };
+}
+
+// The option sets we quote most often, built on top of the current settings
+export function quickVariants(base, kind) {
+  switch (kind) {
+    case "layerHeight":
+      return [0.1, 0.2, 0.3].map((layerHeight) => createVariant({ ...base, layerHeight }));
+    case "infill":
+      return [15, 30].map((infillDensity) => createVariant({ ...base, infillDensity }));
+    default:
+      throw new Error(`Unknown variant set: ${kind}`);
+  }
+}
+
+// Index of the finished row with the lowest value, null when none finished
+function lowest(rows, pick) {
+  let best = null;
+  rows.forEach((row, index) => {
+    const value = row.status === "done" ? pick(row) : NaN;
+    if (Number.isFinite(value) && (best === null || value < pick(rows[best]))) best = index;
+  });
+  return best;
+}
+
+export function findHighlights(rows) {
+  return {
+    cheapest: lowest(rows, (row) => (row.quote ? row.quote.total : NaN)),
+    fastest: lowest(rows, (row) => parseFloat(row.printInfo?.estimatedTime)),
+  };
+}
@@ -0,0 +1,26 @@
+import { findHighlights, quickVariants } from "./compare";
+import { readLayerCount } from "./gcode";
+import { DEFAULT_USER_SETTINGS } from "./userSettings";
+
+test("quick variants keep the base settings", () => {
+  const variants = quickVariants({ ...DEFAULT_USER_SETTINGS, materialType: "petg" }, "layerHeight");
+  expect(variants.map((v) => v.settings.layerHeight)).toEqual([0.1, 0.2, 0.3]);
+  expect(variants.every((v) => v.settings.materialType === "petg")).toBe(true);
+  expect(new Set(variants.map((v) => v.id)).size).toBe(3);
+});
+
+test("highlights the cheapest and fastest finished variant", () => {
+  const rows = [
+    { status: "done", printInfo: { estimatedTime: 7200 }, quote: { total: 9 } },
+    { status: "done", printInfo: { estimatedTime: 3600 }, quote: { total: 12 } },
+    { status: "failed", printInfo: null, quote: null },
+    { status: "done", printInfo: { estimatedTime: "N/A" }, quote: null },
+  ];
+  expect(findHighlights(rows)).toEqual({ cheapest: 0, fastest: 1 });
+  expect(findHighlights([{ status: "queued" }])).toEqual({ cheapest: null, fastest: null });
+});
+
+test("reads the layer count Cura writes", () => {
+  expect(readLayerCount(";FLAVOR:Marlin\n;LAYER_COUNT:142\n;LAYER:0\n")).toBe(142);
+  expect(readLayerCount("G1 X0")).toBeNull();
+});
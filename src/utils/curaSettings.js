@@ -0,0 +1,194 @@
+import fdmprinter from "cura-wasm-definitions/src/definitions/fdmprinter.def.json";
+
+// The full Cura setting tree from fdmprinter.def.json, flattened for the
+// expert panel. This module pulls in a ~440 kB JSON file, so only import it
+// from code that is loaded lazily.
+
+// Types the panel can edit; polygons, extruder pickers and int lists are left to Cura
+export const EDITABLE_TYPES = ["float", "int", "bool", "enum", "str"];
+
+// Setting expressions are Python. Only plain literals are used as values,
+// anything else (e.g. "0.8 * machine_nozzle_size") is computed by CuraEngine.
+export function literalValue(expression) {
+  if (typeof expression !== "string") return expression;
+  const text = expression.trim();
+  if (text === "True") return true;
+  if (text === "False") return false;
+  const quoted = /^(['"])(.*)\1$/s.exec(text);
+  if (quoted) return quoted[2];
+  const number = Number(text);
+  return text !== "" && Number.isFinite(number) ? number : undefined;
+}
+
+// Every key CuraEngine knows, including the types the panel cannot edit
+const ALL_KEYS = new Set();
+
+function flatten(nodes, category, parents, out) {
+  Object.entries(nodes).forEach(([key, node]) => {
+    if (node.type === "category") {
+      flatten(node.children || {}, { key, label: node.label }, [], out);
+      return;
+    }
+    ALL_KEYS.add(key);
+    if (EDITABLE_TYPES.includes(node.type)) {
+      const computedValue = node.value !== undefined ? literalValue(node.value) : undefined;
+      out.push({
+        key,
+        label: node.label,
+        description: node.description,
+        type: node.type,
+        unit: node.unit || "",
+        category: category.key,
+        categoryLabel: category.label,
+        depth: parents.length,
+        defaultValue: computedValue !== undefined ? computedValue : node.default_value,
+        // True when Cura derives the value from other settings
+        computed: node.value !== undefined && computedValue === undefined,
+        minimum: literalValue(node.minimum_value),
+        maximum: literalValue(node.maximum_value),
+        minimumWarning: literalValue(node.minimum_value_warning),
+        maximumWarning: literalValue(node.maximum_value_warning),
+        options: node.options || null,
+      });
+    }
+    if (node.children) flatten(node.children, category, [...parents, key], out);
+  });
+  return out;
+}
+
+export const CURA_SETTINGS = flatten(fdmprinter.settings, null, [], []);
+
+const SETTINGS_BY_KEY = new Map(CURA_SETTINGS.map((setting) => [setting.key, setting]));
+
+export const getCuraSetting = (key) => SETTINGS_BY_KEY.get(key);
+
+export const isCuraSetting = (key) => ALL_KEYS.has(key);
+
+export const CURA_CATEGORIES = CURA_SETTINGS.reduce((categories, setting) => {
+  if (!categories.some((c) => c.key === setting.category)) {
+    categories.push({ key: setting.category, label: setting.categoryLabel });
+  }
+  return categories;
+}, []);
+
+// What the selected printer's definition sets for a key, extruder first
+function definitionOverride(definition, key) {
+  const sources = [definition?.extruders?.[0]?.overrides?.[key], definition?.printer?.overrides?.[key]];
+  for (const source of sources) {
+    if (!source) continue;
+    const value = source.value !== undefined ? literalValue(source.value) : undefined;
+    if (value !== undefined) return value;
+    if (source.default_value !== undefined) return source.default_value;
+  }
+  return undefined;
+}
+
+// Default shown in the panel: the printer definition's value, else fdmprinter's
+export function settingDefault(setting, definition) {
+  const value = definitionOverride(definition, setting.key);
+  return value !== undefined ? value : setting.defaultValue;
+}
+
+// Limits for a setting, where the printer definition may tighten fdmprinter's.
+// Expression limits (e.g. "machine_height") can't be evaluated and are undefined.
+export function settingLimits(setting, definition) {
+  const overrides = [definition?.extruders?.[0]?.overrides?.[setting.key], definition?.printer?.overrides?.[setting.key]];
+  const limit = (field, fallback) => {
+    for (const source of overrides) {
+      if (source?.[field] !== undefined) return literalValue(source[field]);
+    }
+    return fallback;
+  };
+  return {
+    minimum: limit("minimum_value", setting.minimum),
+    maximum: limit("maximum_value", setting.maximum),
+    minimumWarning: limit("minimum_value_warning", setting.minimumWarning),
+    maximumWarning: limit("maximum_value_warning", setting.maximumWarning),
+  };
+}
+
+export function searchSettings(settings, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return settings;
+  return settings.filter((setting) => {
+    const haystack = `${setting.key} ${setting.label}`.toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+// Converts an input's value to the setting's type, undefined when it does not parse
+export function parseSettingInput(setting, raw) {
+  switch (setting.type) {
+    case "bool":
+      return Boolean(raw);
+    case "int": {
+      const value = parseInt(raw, 10);
+      return Number.isFinite(value) ? value : undefined;
+    }
+    case "float": {
+      const value = parseFloat(raw);
+      return Number.isFinite(value) ? value : undefined;
+    }
+    case "enum":
+      return setting.options && raw in setting.options ? raw : undefined;
+    default:
+      return String(raw);
+  }
+}
+
+function typeProblem(setting, value) {
+  switch (setting.type) {
+    case "int":
+      return Number.isInteger(value) ? "" : "must be a whole number";
+    case "float":
+      return typeof value === "number" && Number.isFinite(value) ? "" : "must be a number";
+    case "bool":
+      return typeof value === "boolean" ? "" : "must be on or off";
+    case "enum":
+      return setting.options && value in setting.options
+        ? ""
+        : `must be one of ${Object.keys(setting.options || {}).join(", ")}`;
+    default:
+      return typeof value === "string" ? "" : "must be text";
+  }
+}
+
+// Checks normalized overrides ({ key, value, source }) against the setting
+// definitions. Errors are values CuraEngine would reject or clamp, warnings are
+// values Cura itself flags as unusual.
+export function validateOverrides(entries, definition) {
+  const errors = [];
+  const warnings = [];
+
+  entries.forEach(({ key, value, source }) => {
+    const setting = getCuraSetting(key);
+    const issue = (message) => ({ key, label: setting?.label || key, value, source, message });
+
+    if (!setting) {
+      // Polygons, extruder numbers and other types the panel doesn't edit are left alone
+      if (!isCuraSetting(key)) warnings.push(issue("is not a Cura setting and will be ignored"));
+      return;
+    }
+
+    const problem = typeProblem(setting, value);
+    if (problem) {
+      errors.push(issue(problem));
+      return;
+    }
+    if (typeof value !== "number") return;
+
+    const unit = setting.unit ? ` ${setting.unit}` : "";
+    const { minimum, maximum, minimumWarning, maximumWarning } = settingLimits(setting, definition);
+    if (typeof minimum === "number" && value < minimum) {
+      errors.push(issue(`is below the minimum of ${minimum}${unit}`));
+    } else if (typeof maximum === "number" && value > maximum) {
+      errors.push(issue(`is above the maximum of ${maximum}${unit}`));
+    } else if (typeof minimumWarning === "number" && value < minimumWarning) {
+      warnings.push(issue(`is below the recommended ${minimumWarning}${unit}`));
+    } else if (typeof maximumWarning === "number" && value > maximumWarning) {
+      warnings.push(issue(`is above the recommended ${maximumWarning}${unit}`));
+    }
+  });
+
+  return { errors, warnings };
+}
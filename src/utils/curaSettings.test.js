@@ -0,0 +1,103 @@
+import {
+  CURA_CATEGORIES,
+  CURA_SETTINGS,
+  getCuraSetting,
+  literalValue,
+  parseSettingInput,
+  searchSettings,
+  settingDefault,
+  settingLimits,
+  validateOverrides,
+} from "./curaSettings";
+import { findMaterial } from "./materials";
+import { checkSliceSettings } from "./modelSlice";
+import { buildOverrides, explainOverrides } from "./overrides";
+import { getPrinter } from "./printers";
+import { DEFAULT_USER_SETTINGS } from "./userSettings";
+
+test("reads plain literals from setting expressions", () => {
+  expect(literalValue("True")).toBe(true);
+  expect(literalValue("False")).toBe(false);
+  expect(literalValue("'skirt'")).toBe("skirt");
+  expect(literalValue("0.1")).toBe(0.1);
+  expect(literalValue("0.8 * machine_nozzle_size")).toBeUndefined();
+  expect(literalValue(50)).toBe(50);
+});
+
+test("flattens the fdmprinter tree into editable settings", () => {
+  const layerHeight = getCuraSetting("layer_height");
+  expect(layerHeight).toMatchObject({ type: "float", unit: "mm", minimum: 0.001, category: "resolution" });
+  expect(getCuraSetting("wall_line_count").computed).toBe(true);
+  expect(getCuraSetting("machine_disallowed_areas")).toBeUndefined();
+
+  const keys = CURA_SETTINGS.map((s) => s.key);
+  expect(new Set(keys).size).toBe(keys.length);
+  expect(CURA_CATEGORIES.map((c) => c.key)).toContain("support");
+});
+
+test("defaults come from the printer definition when it sets them", () => {
+  const { definition } = getPrinter("creality_ender3");
+  expect(settingDefault(getCuraSetting("speed_print"), definition)).toBe(50);
+  expect(settingDefault(getCuraSetting("adhesion_type"), definition)).toBe("skirt");
+  expect(settingDefault(getCuraSetting("layer_height"), definition)).toBe(0.1);
+});
+
+test("searches keys and labels with every term", () => {
+  const keys = searchSettings(CURA_SETTINGS, "retraction amount").map((s) => s.key);
+  expect(keys).toContain("retraction_amount");
+  expect(keys.every((key) => key.includes("retract"))).toBe(true);
+  expect(searchSettings(CURA_SETTINGS, "  ")).toBe(CURA_SETTINGS);
+});
+
+test("parses input to the setting type", () => {
+  expect(parseSettingInput(getCuraSetting("wall_line_count"), "3")).toBe(3);
+  expect(parseSettingInput(getCuraSetting("layer_height"), "0.")).toBe(0);
+  expect(parseSettingInput(getCuraSetting("layer_height"), "")).toBeUndefined();
+  expect(parseSettingInput(getCuraSetting("adhesion_type"), "brim")).toBe("brim");
+  expect(parseSettingInput(getCuraSetting("adhesion_type"), "glue")).toBeUndefined();
+});
+
+test("expert overrides are appended last so they win", () => {
+  const settings = { ...DEFAULT_USER_SETTINGS, expertOverrides: { infill_sparse_density: 55, ironing_enabled: true } };
+  const overrides = buildOverrides(settings, findMaterial([], "pla"));
+  expect(overrides.slice(-2)).toEqual([
+    { scope: undefined, key: "infill_sparse_density", value: 55 },
+    { scope: undefined, key: "ironing_enabled", value: true },
+  ]);
+});
+
+test("printer definitions can replace fdmprinter limits", () => {
+  const definition = { printer: { overrides: { material_bed_temperature: { maximum_value: "110" } } } };
+  expect(settingLimits(getCuraSetting("material_bed_temperature"), definition).maximum).toBe(110);
+  expect(settingLimits(getCuraSetting("layer_height"), null).minimum).toBe(0.001);
+});
+
+test("validates types and limits of the overrides sent to Cura", () => {
+  const entries = [
+    { key: "layer_height", value: 0, source: "Expert settings" },
+    { key: "wall_line_count", value: 2.5, source: "Expert settings" },
+    { key: "adhesion_type", value: "glue", source: "Expert settings" },
+    { key: "layer_height_0", value: 0.05, source: "Print settings" },
+    { key: "not_a_setting", value: 1, source: "Printer profile" },
+    { key: "machine_disallowed_areas", value: [], source: "Printer profile" },
+  ];
+  const { errors, warnings } = validateOverrides(entries, null);
+  expect(errors.map((e) => e.key)).toEqual(["layer_height", "wall_line_count", "adhesion_type"]);
+  expect(errors[0].message).toBe("is below the minimum of 0.001 mm");
+  expect(warnings.map((w) => w.key)).toEqual(["layer_height_0", "not_a_setting"]);
+});
+
+test("the default settings pass validation", () => {
+  const printer = getPrinter("creality_ender3");
+  const entries = explainOverrides(DEFAULT_USER_SETTINGS, findMaterial([], "pla"), printer);
+  expect(validateOverrides(entries, printer.definition)).toEqual({ errors: [], warnings: [] });
+});
+
+test("batch and compare runs check their settings the same way", async () => {
+  const printer = getPrinter("creality_ender3");
+  const pla = findMaterial([], "pla");
+
+  expect((await checkSliceSettings(printer, DEFAULT_USER_SETTINGS, pla)).errors).toEqual([]);
+  const { errors } = await checkSliceSettings(printer, { ...DEFAULT_USER_SETTINGS, expertOverrides: { layer_height: 0 } }, pla);
+  expect(errors.map((e) => e.key)).toContain("layer_height");
+});
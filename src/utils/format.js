@@ -0,0 +1,17 @@
+export const formatTime = (seconds) => {
+  if (!seconds || seconds === "N/A") return "N/A";
+  const numSeconds = typeof seconds === 'string' ? parseFloat(seconds) : seconds;
+  if (isNaN(numSeconds)) return "N/A";
+  
+  const hrs = Math.floor(numSeconds / 3600);
+  const mins = Math.floor((numSeconds % 3600) / 60);
+  const secs = Math.floor(numSeconds % 60);
+  
+  if (hrs > 0) {
+    return `${hrs}h ${mins}m`;
+  } else if (mins > 0) {
+    return `${mins}m ${secs}s`;
+  } else {
+    return `${secs}s`;
+  }
+};
@@ -0,0 +1,196 @@
+// G-code helpers for the toolpath viewer.
+
+// Cura's ;TYPE: comments, in the order they are drawn in the legend
+export const FEATURE_TYPES = [
+  { type: "WALL-OUTER", label: "Outer wall", color: "#ef4444" },
+  { type: "WALL-INNER", label: "Inner wall", color: "#22c55e" },
+  { type: "SKIN", label: "Top/bottom skin", color: "#eab308" },
+  { type: "FILL", label: "Infill", color: "#f97316" },
+  { type: "SUPPORT", label: "Support", color: "#06b6d4" },
+  { type: "SKIRT", label: "Skirt/brim", color: "#a855f7" },
+  { type: "OTHER", label: "Other", color: "#9ca3af" },
+];
+
+const TYPE_INDEX = FEATURE_TYPES.reduce((acc, feature, index) => {
+  acc[feature.type] = index;
+  return acc;
+}, {});
+
+// Cura has a few more specific types that we fold into the main ones
+const TYPE_ALIASES = {
+  "SUPPORT-INTERFACE": "SUPPORT",
+  "SUPPORT-INFILL": "SUPPORT",
+  "PRIME-TOWER": "OTHER",
+};
+
+function featureIndex(type) {
+  const name = TYPE_ALIASES[type] || type;
+  return TYPE_INDEX[name] ?? TYPE_INDEX.OTHER;
+}
+
+// CuraWASM hands back an ArrayBuffer, older callers may already have text
+export function decodeGcode(gcode) {
+  if (!gcode) return "";
+  if (typeof gcode === "string") return gcode;
+  return new TextDecoder().decode(gcode);
+}
+
+export function readWords(line) {
+  const words = {};
+  const pattern = /([A-Z])\s*(-?\d*\.?\d+)/gi;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    words[match[1].toUpperCase()] = parseFloat(match[2]);
+  }
+  return words;
+}
+
+// Cura writes ";LAYER_COUNT:<n>" before the first layer
+export function readLayerCount(text) {
+  const match = /^;LAYER_COUNT:(\d+)/m.exec(text);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Parse G-code into per-layer extrusion segments.
+// Each layer holds `positions` (6 floats per segment: x1 y1 z1 x2 y2 z2)
+// and `types` (one FEATURE_TYPES index per segment).
+export function parseGcode(text) {
+  const layers = [];
+  let layer = null;
+  let positions = [];
+  let types = [];
+  let type = featureIndex("OTHER");
+
+  const pos = { x: 0, y: 0, z: 0, e: 0 };
+  let absolute = true;
+  let absoluteE = true;
+
+  const closeLayer = () => {
+    if (layer) {
+      layer.positions = new Float32Array(positions);
+      layer.types = Uint8Array.from(types);
+      layers.push(layer);
+    }
+    positions = [];
+    types = [];
+  };
+
+  const lines = text.split("\n");
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith(";")) {
+      if (line.startsWith(";LAYER:")) {
+        closeLayer();
+        layer = { index: parseInt(line.slice(7), 10), z: pos.z };
+      } else if (line.startsWith(";TYPE:")) {
+        type = featureIndex(line.slice(6).trim());
+      }
+      continue;
+    }
+
+    const code = line.split(";")[0].trim();
+    const command = code.split(/\s+/)[0].toUpperCase();
+
+    if (command === "G90") absolute = absoluteE = true;
+    else if (command === "G91") absolute = absoluteE = false;
+    else if (command === "M82") absoluteE = true;
+    else if (command === "M83") absoluteE = false;
+    else if (command === "G92") {
+      const words = readWords(code.slice(3));
+      if (words.E !== undefined) pos.e = words.E;
+    } else if (command === "G0" || command === "G1") {
+      const words = readWords(code.slice(command.length));
+      const next = { ...pos };
+      for (const axis of ["x", "y", "z"]) {
+        const value = words[axis.toUpperCase()];
+        if (value !== undefined) next[axis] = absolute ? value : pos[axis] + value;
+      }
+      let extruded = 0;
+      if (words.E !== undefined) {
+        next.e = absoluteE ? words.E : pos.e + words.E;
+        extruded = next.e - pos.e;
+      }
+
+      const moved = next.x !== pos.x || next.y !== pos.y || next.z !== pos.z;
+      if (layer && extruded > 0 && moved) {
+        positions.push(pos.x, pos.y, pos.z, next.x, next.y, next.z);
+        types.push(type);
+        if (next.z > layer.z) layer.z = next.z;
+      }
+      Object.assign(pos, next);
+    }
+  }
+  closeLayer();
+
+  return { layers };
+}
+
+// Which share of the print a move belongs to: bed adhesion is Cura's SKIRT
+// type (skirt and brim) plus raft layers, which it numbers below zero.
+function usageGroup(layerIndex, type) {
+  if (layerIndex === null) return null;
+  if (layerIndex < 0 || type === "SKIRT") return "adhesion";
+  if (type.startsWith("SUPPORT")) return "support";
+  return null;
+}
+
+// Filament and time spent on bed adhesion and on support. Time is distance
+// over feed rate, without acceleration, so it reads a little short.
+export function measureUsage(text) {
+  const usage = { adhesion: { filamentMm: 0, seconds: 0 }, support: { filamentMm: 0, seconds: 0 } };
+  const pos = { x: 0, y: 0, z: 0, e: 0 };
+  let absolute = true;
+  let absoluteE = true;
+  let feedrate = 0; // mm/min
+  let layerIndex = null;
+  let type = "";
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith(";")) {
+      if (line.startsWith(";LAYER:")) layerIndex = parseInt(line.slice(7), 10);
+      else if (line.startsWith(";TYPE:")) type = line.slice(6).trim();
+      continue;
+    }
+
+    const code = line.split(";")[0].trim();
+    const command = code.split(/\s+/)[0].toUpperCase();
+
+    if (command === "G90") absolute = absoluteE = true;
+    else if (command === "G91") absolute = absoluteE = false;
+    else if (command === "M82") absoluteE = true;
+    else if (command === "M83") absoluteE = false;
+    else if (command === "G92") {
+      const words = readWords(code.slice(3));
+      if (words.E !== undefined) pos.e = words.E;
+    } else if (command === "G0" || command === "G1") {
+      const words = readWords(code.slice(command.length));
+      if (words.F !== undefined) feedrate = words.F;
+      const next = { ...pos };
+      for (const axis of ["x", "y", "z"]) {
+        const value = words[axis.toUpperCase()];
+        if (value !== undefined) next[axis] = absolute ? value : pos[axis] + value;
+      }
+      if (words.E !== undefined) next.e = absoluteE ? words.E : pos.e + words.E;
+
+      const group = usageGroup(layerIndex, type);
+      if (group) {
+        const extruded = next.e - pos.e;
+        const travel = Math.hypot(next.x - pos.x, next.y - pos.y, next.z - pos.z);
+        // Only extrusion along a move lays down plastic; an E-only prime just
+        // pushes back the filament the retraction before it pulled out
+        if (extruded > 0 && travel > 0) usage[group].filamentMm += extruded;
+        // Retractions move only the filament
+        const distance = travel || Math.abs(extruded);
+        if (feedrate > 0) usage[group].seconds += distance / (feedrate / 60);
+      }
+      Object.assign(pos, next);
+    }
+  }
+
+  return usage;
+}
@@ -0,0 +1,93 @@
+import { FEATURE_TYPES, decodeGcode, measureUsage, parseGcode } from "./gcode";
+
+const typeIndex = (type) => FEATURE_TYPES.findIndex((f) => f.type === type);
+
+const sample = `;FLAVOR:Marlin
+;LAYER_COUNT:2
+G92 E0
+G0 X10 Y10 Z0.2
+;LAYER:0
+;TYPE:SKIRT
+G1 X20 Y10 E1
+;TYPE:WALL-OUTER
+G1 X20 Y20 E2
+G0 X30 Y30
+;TYPE:SUPPORT-INTERFACE
+G1 X40 Y30 E2.5
+;LAYER:1
+G0 Z0.4
+M83
+;TYPE:FILL
+G1 X50 Y30 E0.4
+G1 X60 Y30 E-1
+`;
+
+test("splits extrusion moves into layers and features", () => {
+  const { layers } = parseGcode(sample);
+  expect(layers).toHaveLength(2);
+
+  expect(Array.from(layers[0].types)).toEqual([
+    typeIndex("SKIRT"),
+    typeIndex("WALL-OUTER"),
+    typeIndex("SUPPORT"),
+  ]);
+  const [x1, y1, z1, x2, y2] = layers[0].positions;
+  expect([x1, y1, x2, y2]).toEqual([10, 10, 20, 10]);
+  expect(z1).toBeCloseTo(0.2);
+  expect(layers[0].z).toBeCloseTo(0.2);
+
+  // Travel and retraction moves are not drawn
+  expect(Array.from(layers[1].types)).toEqual([typeIndex("FILL")]);
+  expect(layers[1].z).toBeCloseTo(0.4);
+});
+
+test("decodes ArrayBuffer output", () => {
+  const buffer = new TextEncoder().encode(";LAYER:0").buffer;
+  expect(decodeGcode(buffer)).toBe(";LAYER:0");
+  expect(decodeGcode(null)).toBe("");
+});
+
+test("measures skirt and raft filament and time", () => {
+  const raft = `G92 E0
+;LAYER:-1
+G0 F6000 X0 Y0 Z0.3
+;TYPE:SUPPORT
+G1 F1200 X20 Y0 E2
+;LAYER:0
+G0 F6000 X0 Y0 Z0.6
+;TYPE:WALL-OUTER
+G1 F1200 X10 Y0 E3
+`;
+  const { adhesion, support } = measureUsage(raft);
+  expect(adhesion.filamentMm).toBeCloseTo(2);
+  // 0.3 mm at 100 mm/s then 20 mm at 20 mm/s
+  expect(adhesion.seconds).toBeCloseTo(0.003 + 1);
+  // Support-typed lines on raft layers are part of the raft
+  expect(support.filamentMm).toBe(0);
+
+  // Skirt on layer 0 only, not the wall after it
+  expect(measureUsage(sample).adhesion.filamentMm).toBeCloseTo(1);
+});
+
+test("measures support separately from the model", () => {
+  // SUPPORT-INTERFACE on layer 0 extrudes 0.5 mm of filament
+  expect(measureUsage(sample).support.filamentMm).toBeCloseTo(0.5);
+});
+
+test("retractions and the primes after them are not counted as filament used", () => {
+  const gcode = `G92 E0
+;LAYER:0
+;TYPE:SUPPORT
+G1 X10 Y0 E1 F1200
+G1 E-1.5 F2700
+G0 X30 Y0
+G1 E1 F2700
+G1 X40 Y0 E2 F1200
+M83
+G1 E-1.5 F2700
+G0 X50 Y0
+G1 E1.5 F2700
+G1 X60 Y0 E0.5 F1200
+`;
+  expect(measureUsage(gcode).support.filamentMm).toBeCloseTo(2.5);
+});
@@ -0,0 +1,37 @@
+import { gzipSync, strToU8 } from "fflate";
+
+function sanitizePart(value) {
+  return String(value)
+    .trim()
+    .replace(/[^A-Za-z0-9.+-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// e.g. bracket.stl + 0.2mm / 20% / PLA -> bracket_0.2mm_20pct_PLA.gcode
+export function buildGcodeFilename(sourceName, { layerHeight, infillDensity, materialType }, compressed = false) {
+  const base = sanitizePart((sourceName || "model").replace(/\.[^.]+$/, "")) || "model";
+  const parts = [base];
+  if (layerHeight !== undefined) parts.push(`${layerHeight}mm`);
+  if (infillDensity !== undefined) parts.push(`${infillDensity}pct`);
+  if (materialType) parts.push(sanitizePart(materialType.toUpperCase()));
+  return `${parts.join("_")}.gcode${compressed ? ".gz" : ""}`;
+}
+
+// The comment block Cura writes before the first command (flavor, time, filament, bounds...)
+export function extractGcodeHeader(text) {
+  const header = [];
+  for (const line of text.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (!trimmed.startsWith(";") || trimmed.startsWith(";LAYER:")) break;
+    header.push(trimmed);
+  }
+  return header.join("\n");
+}
+
+export function createGcodeBlob(text, compressed = false) {
+  if (compressed) {
+    return new Blob([gzipSync(strToU8(text))], { type: "application/gzip" });
+  }
+  return new Blob([text], { type: "text/x-gcode" });
+}
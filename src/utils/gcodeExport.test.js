@@ -0,0 +1,13 @@
+import { buildGcodeFilename, extractGcodeHeader } from "./gcodeExport";
+
+test("names exports after the source file and settings", () => {
+  const settings = { layerHeight: 0.2, infillDensity: 20, materialType: "pla" };
+  expect(buildGcodeFilename("bracket.stl", settings)).toBe("bracket_0.2mm_20pct_PLA.gcode");
+  expect(buildGcodeFilename("my part (v2).STL", settings, true)).toBe("my-part-v2_0.2mm_20pct_PLA.gcode.gz");
+  expect(buildGcodeFilename(undefined, {})).toBe("model.gcode");
+});
+
+test("extracts the leading comment block", () => {
+  const gcode = ";FLAVOR:Marlin\n;TIME:120\n;Generated with Cura\nM140 S60\n;LAYER:0\n";
+  expect(extractGcodeHeader(gcode)).toBe(";FLAVOR:Marlin\n;TIME:120\n;Generated with Cura");
+});
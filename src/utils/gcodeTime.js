@@ -0,0 +1,221 @@
+import { readWords } from "./gcode";
+
+// Print time estimate independent of CuraEngine: replays the G-code through a
+// planner modelled on Marlin's. Every move is a trapezoid (accelerate, cruise,
+// decelerate) limited by the printer's max feedrates and accelerations, and
+// the speed through a corner is limited by classic jerk. Like the firmware,
+// only a short buffer of moves is looked ahead, so the machine slows to a
+// stop-safe speed at the end of what it can see.
+//
+// Heat-up waits (M109/M190) and homing are not timed, dwells (G4) are.
+
+const AXES = ["x", "y", "z", "e"];
+const LETTERS = ["X", "Y", "Z", "E"]; // the same axes as G-code words
+const LOOKAHEAD = 16; // Marlin's default BLOCK_BUFFER_SIZE
+
+// Motion limits in mm/s and mm/s², as read from the printer definition
+export const DEFAULT_MOTION_LIMITS = {
+  maxFeedrate: { x: 500, y: 500, z: 10, e: 50 },
+  maxAcceleration: { x: 1000, y: 1000, z: 100, e: 5000 },
+  acceleration: 500,
+  jerk: { x: 10, y: 10, z: 0.4, e: 5 },
+};
+
+// Time to cover `length` starting at v0 and ending at v1, never above vMax
+export function trapezoidTime(length, v0, v1, vMax, accel) {
+  if (length <= 0) return 0;
+  const accelDistance = (vMax * vMax - v0 * v0) / (2 * accel);
+  const decelDistance = (vMax * vMax - v1 * v1) / (2 * accel);
+  if (accelDistance + decelDistance <= length) {
+    return (vMax - v0) / accel + (vMax - v1) / accel + (length - accelDistance - decelDistance) / vMax;
+  }
+  // Never reaches cruise speed: a triangle peaking where both ramps meet
+  const peak = Math.sqrt(Math.max((2 * accel * length + v0 * v0 + v1 * v1) / 2, v0 * v0, v1 * v1));
+  return (peak - v0) / accel + (peak - v1) / accel;
+}
+
+// Speed a block can start or stop at from rest without exceeding jerk
+function safeSpeed(block, jerk) {
+  let speed = block.nominal;
+  for (let i = 0; i < AXES.length; i++) {
+    const share = Math.abs(block.unit[i]);
+    if (share > 0) speed = Math.min(speed, jerk[AXES[i]] / share);
+  }
+  return speed;
+}
+
+// Classic jerk: scale the corner speed until no axis changes speed by more than its jerk
+function junctionSpeed(prev, block, jerk) {
+  const speed = Math.min(prev.nominal, block.nominal);
+  let scale = 1;
+  for (let i = 0; i < AXES.length; i++) {
+    const jump = Math.abs(speed * (block.unit[i] - prev.unit[i]));
+    if (jump > jerk[AXES[i]]) scale = Math.min(scale, jerk[AXES[i]] / jump);
+  }
+  return Math.max(speed * scale, Math.min(safeSpeed(block, jerk), safeSpeed(prev, jerk)));
+}
+
+// Returns { totalSeconds, startSeconds, layers: [{ index, seconds }] }.
+// `startSeconds` is the start G-code before Cura's first ;LAYER: comment.
+export function estimatePrintTime(text, limits = DEFAULT_MOTION_LIMITS) {
+  // M201/M203/M204/M205 in the G-code override the printer's limits
+  const maxFeedrate = { ...limits.maxFeedrate };
+  const maxAcceleration = { ...limits.maxAcceleration };
+  const jerk = { ...limits.jerk };
+  const accel = { print: limits.acceleration, travel: limits.acceleration, retract: limits.acceleration };
+
+  const layers = [];
+  let layer = null; // the layers entry moves are currently added to
+  let startSeconds = 0;
+  const addTime = (target, seconds) => {
+    if (target) target.seconds += seconds;
+    else startSeconds += seconds;
+  };
+
+  // Planner: queue[0].entry is fixed, the others are recomputed as moves arrive
+  const queue = [];
+  let previous = null; // last block, for the corner speed into the next one
+
+  const plan = (finalExit) => {
+    let next = finalExit;
+    for (let i = queue.length - 1; i > 0; i--) {
+      const block = queue[i];
+      block.entry = Math.min(block.maxEntry, Math.sqrt(next * next + 2 * block.accel * block.length));
+      next = block.entry;
+    }
+    for (let i = 1; i < queue.length; i++) {
+      const prev = queue[i - 1];
+      queue[i].entry = Math.min(queue[i].entry, Math.sqrt(prev.entry * prev.entry + 2 * prev.accel * prev.length));
+    }
+  };
+
+  const execute = (block, exit) => {
+    addTime(block.layer, trapezoidTime(block.length, block.entry, exit, block.nominal, block.accel));
+  };
+
+  // Run everything queued and come to a stop, as for a dwell or heat-up wait
+  const flush = () => {
+    if (queue.length === 0) return;
+    const last = queue[queue.length - 1];
+    plan(safeSpeed(last, jerk));
+    queue.forEach((block, i) => execute(block, i + 1 < queue.length ? queue[i + 1].entry : safeSpeed(last, jerk)));
+    queue.length = 0;
+    previous = null;
+  };
+
+  const push = (delta, feedrate, extruding) => {
+    const xyz = Math.sqrt(delta[0] * delta[0] + delta[1] * delta[1] + delta[2] * delta[2]);
+    // Extruder-only moves (retract, prime) are measured along the filament
+    const length = xyz > 0 ? xyz : Math.abs(delta[3]);
+    if (length === 0 || feedrate <= 0) return;
+
+    const unit = delta.map((d) => d / length);
+    let nominal = feedrate;
+    let blockAccel = xyz === 0 ? accel.retract : extruding ? accel.print : accel.travel;
+    for (let i = 0; i < AXES.length; i++) {
+      const share = Math.abs(unit[i]);
+      if (share === 0) continue;
+      nominal = Math.min(nominal, maxFeedrate[AXES[i]] / share);
+      blockAccel = Math.min(blockAccel, maxAcceleration[AXES[i]] / share);
+    }
+
+    const block = { length, unit, nominal, accel: blockAccel, layer };
+    block.maxEntry = previous ? junctionSpeed(previous, block, jerk) : safeSpeed(block, jerk);
+    block.entry = queue.length === 0 ? block.maxEntry : 0;
+    previous = block;
+    queue.push(block);
+
+    if (queue.length > LOOKAHEAD) {
+      plan(safeSpeed(block, jerk));
+      const done = queue.shift();
+      execute(done, queue[0].entry);
+    }
+  };
+
+  const pos = [0, 0, 0, 0];
+  let absolute = true;
+  let absoluteE = true;
+  let feedrate = 0; // mm/s
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith(";")) {
+      if (line.startsWith(";LAYER:")) {
+        layer = { index: parseInt(line.slice(7), 10), seconds: 0 };
+        layers.push(layer);
+      }
+      continue;
+    }
+
+    const code = line.split(";")[0].trim();
+    const command = code.split(/\s+/)[0].toUpperCase();
+    const words = () => readWords(code.slice(command.length));
+
+    if (command === "G0" || command === "G1") {
+      const w = words();
+      if (w.F !== undefined) feedrate = w.F / 60;
+      const delta = [0, 0, 0, 0];
+      for (let i = 0; i < LETTERS.length; i++) {
+        const value = w[LETTERS[i]];
+        if (value === undefined) continue;
+        const isAbsolute = i === 3 ? absoluteE : absolute;
+        delta[i] = isAbsolute ? value - pos[i] : value;
+        pos[i] += delta[i];
+      }
+      push(delta, feedrate, delta[3] > 0);
+    } else if (command === "G90") absolute = absoluteE = true;
+    else if (command === "G91") absolute = absoluteE = false;
+    else if (command === "M82") absoluteE = true;
+    else if (command === "M83") absoluteE = false;
+    else if (command === "G92") {
+      const w = words();
+      LETTERS.forEach((letter, i) => {
+        if (w[letter] !== undefined) pos[i] = w[letter];
+      });
+    } else if (command === "G4") {
+      const w = words();
+      flush();
+      addTime(layer, w.S !== undefined ? w.S : (w.P || 0) / 1000);
+    } else if (command === "G28" || command === "M109" || command === "M190" || command === "M400") {
+      flush();
+    } else if (command === "M201") {
+      const w = words();
+      LETTERS.forEach((letter, i) => {
+        if (w[letter] !== undefined) maxAcceleration[AXES[i]] = w[letter];
+      });
+    } else if (command === "M203") {
+      const w = words();
+      LETTERS.forEach((letter, i) => {
+        if (w[letter] !== undefined) maxFeedrate[AXES[i]] = w[letter];
+      });
+    } else if (command === "M204") {
+      // S sets printing and travel; P, T and R are Marlin 2's separate values
+      const w = words();
+      if (w.S !== undefined) accel.print = accel.travel = w.S;
+      if (w.P !== undefined) accel.print = w.P;
+      if (w.T !== undefined) accel.travel = w.T;
+      if (w.R !== undefined) accel.retract = w.R;
+    } else if (command === "M205") {
+      const w = words();
+      if (w.X !== undefined) jerk.x = w.X;
+      if (w.Y !== undefined) jerk.y = w.Y;
+      if (w.Z !== undefined) jerk.z = w.Z;
+      if (w.E !== undefined) jerk.e = w.E;
+    }
+  }
+  flush();
+
+  const totalSeconds = startSeconds + layers.reduce((sum, l) => sum + l.seconds, 0);
+  return { totalSeconds, startSeconds, layers };
+}
+
+// How far Cura's estimate is from ours; null when either is missing
+export function compareEstimates(curaSeconds, simulatedSeconds) {
+  const cura = parseFloat(curaSeconds);
+  const simulated = parseFloat(simulatedSeconds);
+  if (!Number.isFinite(cura) || !Number.isFinite(simulated) || simulated <= 0) return null;
+  const difference = cura - simulated;
+  return { difference, percent: (difference / simulated) * 100 };
+}
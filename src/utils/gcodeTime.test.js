@@ -0,0 +1,82 @@
+import { DEFAULT_MOTION_LIMITS, compareEstimates, estimatePrintTime, trapezoidTime } from "./gcodeTime";
+
+const LIMITS = {
+  maxFeedrate: { x: 500, y: 500, z: 10, e: 50 },
+  maxAcceleration: { x: 1000, y: 1000, z: 100, e: 5000 },
+  acceleration: 1000,
+  jerk: { x: 10, y: 10, z: 0.4, e: 5 },
+};
+
+test("trapezoid and triangle profiles", () => {
+  // 0 -> 100 mm/s at 1000 mm/s² takes 0.1 s and 5 mm each way
+  expect(trapezoidTime(110, 0, 0, 100, 1000)).toBeCloseTo(0.2 + 1);
+  // Too short to reach 100 mm/s: peaks at sqrt(1000 * 10) = 100 exactly at 10 mm
+  expect(trapezoidTime(10, 0, 0, 100, 1000)).toBeCloseTo(0.2);
+  expect(trapezoidTime(2.5, 0, 0, 100, 1000)).toBeCloseTo(0.1);
+  expect(trapezoidTime(100, 100, 100, 100, 1000)).toBeCloseTo(1);
+});
+
+test("a single move accelerates from and decelerates to the jerk speed", () => {
+  const { totalSeconds } = estimatePrintTime("G1 X110 F6000", LIMITS);
+  // Starts and stops at 10 mm/s: 0.09 s and 4.95 mm per ramp
+  expect(totalSeconds).toBeCloseTo(0.18 + (110 - 9.9) / 100);
+});
+
+test("straight continuous moves are as fast as one long move", () => {
+  const split = Array.from({ length: 11 }, (_, i) => `G1 X${(i + 1) * 10} F6000`).join("\n");
+  expect(estimatePrintTime(split, LIMITS).totalSeconds).toBeCloseTo(estimatePrintTime("G1 X110 F6000", LIMITS).totalSeconds);
+});
+
+test("sharp corners slow the print down", () => {
+  const zigzag = Array.from({ length: 20 }, (_, i) => `G1 X${i % 2 ? 0 : 50} Y${i} F6000`).join("\n");
+  const time = estimatePrintTime(zigzag, LIMITS).totalSeconds;
+  const naive = 20 * Math.hypot(50, 1) / 100;
+  expect(time).toBeGreaterThan(naive * 1.1);
+});
+
+test("the printer's limits and the G-code's M20x commands cap speed and acceleration", () => {
+  const slowZ = estimatePrintTime("G1 Z20 F6000", LIMITS).totalSeconds;
+  expect(slowZ).toBeGreaterThan(2); // 10 mm/s max Z feedrate
+
+  const gentle = estimatePrintTime("M204 S100\nG1 X110 F6000", LIMITS).totalSeconds;
+  const capped = estimatePrintTime("M203 X50\nG1 X110 F6000", LIMITS).totalSeconds;
+  const base = estimatePrintTime("G1 X110 F6000", LIMITS).totalSeconds;
+  expect(gentle).toBeGreaterThan(base);
+  expect(capped).toBeGreaterThan(base * 1.8);
+});
+
+test("splits time per layer and counts dwells and retractions", () => {
+  const gcode = [
+    "G28",
+    "G1 X10 F6000",
+    ";LAYER_COUNT:2",
+    ";LAYER:0",
+    "G1 X60 E5 F3000",
+    "G1 E3 F2400",
+    "G4 P500",
+    ";LAYER:1",
+    "G91",
+    "G1 Y50 E2 F3000",
+    "G4 S2",
+  ].join("\n");
+  const { totalSeconds, startSeconds, layers } = estimatePrintTime(gcode, LIMITS);
+
+  expect(layers.map((l) => l.index)).toEqual([0, 1]);
+  expect(startSeconds).toBeGreaterThan(0);
+  expect(layers[0].seconds).toBeGreaterThan(0.5 + 50 / 50);
+  expect(layers[1].seconds).toBeGreaterThan(2 + 50 / 50);
+  expect(totalSeconds).toBeCloseTo(startSeconds + layers[0].seconds + layers[1].seconds);
+});
+
+test("falls back to default limits", () => {
+  expect(estimatePrintTime("G1 X100 F3000").totalSeconds).toBeCloseTo(
+    estimatePrintTime("G1 X100 F3000", DEFAULT_MOTION_LIMITS).totalSeconds
+  );
+  expect(estimatePrintTime("").totalSeconds).toBe(0);
+});
+
+test("compares Cura's estimate with the simulated time", () => {
+  expect(compareEstimates("3000", 4000)).toEqual({ difference: -1000, percent: -25 });
+  expect(compareEstimates("N/A", 4000)).toBeNull();
+  expect(compareEstimates(3000, "N/A")).toBeNull();
+});
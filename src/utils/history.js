@@ -0,0 +1,76 @@
+import { strToU8, zipSync } from "fflate";
+import { buildGcodeFilename } from "./gcodeExport";
+
+// Completed slices kept for later ("what did we quote this customer last
+// month?"). Entries are small and listed together; the G-code and model bytes
+// of each entry are stored separately and only loaded when reopened.
+
+// SHA-256 of a file as hex, null where WebCrypto is unavailable (plain http)
+export async function hashBytes(buffer) {
+  const subtle = window.crypto?.subtle;
+  if (!subtle) return null;
+  const digest = await subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Returns { entry, files } where files holds the optional gcode text and model bytes
+export function createHistoryEntry({ sourceName, sourceHash, userSettings, printer, material, metadata, printInfo, gcode, modelBytes }) {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return {
+    entry: {
+      id,
+      createdAt: new Date().toISOString(),
+      sourceName: sourceName || "model",
+      sourceHash: sourceHash || null,
+      printerId: printer.id,
+      printerName: printer.name,
+      materialName: material?.name || printInfo?.materialType || "",
+      settings: userSettings,
+      metadata: metadata || null,
+      printInfo,
+      hasGcode: Boolean(gcode),
+      hasModel: Boolean(modelBytes),
+    },
+    files: { id, gcode: gcode || null, model: modelBytes || null },
+  };
+}
+
+// Every term has to match the name, printer, material, date (YYYY-MM-DD) or hash
+export function searchHistory(entries, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+  return entries.filter((entry) => {
+    const haystack = [
+      entry.sourceName,
+      entry.printerName,
+      entry.materialName,
+      entry.createdAt.slice(0, 10),
+      entry.sourceHash || "",
+    ].join(" ").toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
+// Newest first
+export const sortHistory = (entries) => [...entries].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+// ZIP with history.json plus each entry's G-code and model, when stored.
+// `filesById` maps entry ids to { gcode, model }.
+export function buildHistoryArchive(entries, filesById = {}) {
+  const archive = {
+    "history.json": strToU8(JSON.stringify({ version: 1, entries }, null, 2)),
+  };
+  entries.forEach((entry) => {
+    const files = filesById[entry.id];
+    if (!files) return;
+    const folder = `${entry.createdAt.slice(0, 10)}_${entry.id}`;
+    if (files.gcode) {
+      archive[`${folder}/${buildGcodeFilename(entry.sourceName, entry.printInfo || {})}`] = strToU8(files.gcode);
+    }
+    if (files.model) {
+      const base = entry.sourceName.replace(/\.[^.]+$/, "").replace(/[\\/]+/g, "-") || "model";
+      archive[`${folder}/${base}.stl`] = new Uint8Array(files.model);
+    }
+  });
+  return zipSync(archive);
+}
@@ -0,0 +1,52 @@
+import { strFromU8, unzipSync } from "fflate";
+import { buildHistoryArchive, createHistoryEntry, hashBytes, searchHistory, sortHistory } from "./history";
+
+const printer = { id: "creality_ender3", name: "Creality Ender-3" };
+const printInfo = { layerHeight: 0.2, infillDensity: 20, materialType: "PETG", estimatedTime: 3600, filamentUsedGrams: "12.00" };
+
+const entryFor = (sourceName, createdAt, extra = {}) => ({
+  ...createHistoryEntry({ sourceName, printer, material: { name: "PETG" }, userSettings: {}, printInfo, ...extra }).entry,
+  createdAt,
+});
+
+test("splits the stored files from the listed entry", () => {
+  const { entry, files } = createHistoryEntry({
+    sourceName: "bracket.stl",
+    sourceHash: "abc",
+    userSettings: { layerHeight: 0.2 },
+    printer,
+    material: { name: "PETG" },
+    metadata: { printTime: 3600 },
+    printInfo,
+    gcode: ";gcode",
+    modelBytes: new ArrayBuffer(84),
+  });
+  expect(entry).toMatchObject({ sourceName: "bracket.stl", printerName: "Creality Ender-3", materialName: "PETG", hasGcode: true, hasModel: true });
+  expect(entry.gcode).toBeUndefined();
+  expect(files).toMatchObject({ id: entry.id, gcode: ";gcode" });
+});
+
+test("searches name, printer, material and month", () => {
+  const entries = [
+    entryFor("acme-bracket.stl", "2024-05-02T10:00:00.000Z"),
+    entryFor("widget.3mf", "2024-06-10T10:00:00.000Z"),
+  ];
+  expect(searchHistory(entries, "acme").map((e) => e.sourceName)).toEqual(["acme-bracket.stl"]);
+  expect(searchHistory(entries, "2024-06 petg").map((e) => e.sourceName)).toEqual(["widget.3mf"]);
+  expect(searchHistory(entries, "ender")).toHaveLength(2);
+  expect(sortHistory(entries)[0].sourceName).toBe("widget.3mf");
+});
+
+test("archives the entries with their G-code and models", () => {
+  const entry = entryFor("part/one.stl", "2024-05-02T10:00:00.000Z");
+  const files = unzipSync(buildHistoryArchive([entry], { [entry.id]: { gcode: ";LAYER:0", model: new Uint8Array([1, 2]).buffer } }));
+
+  expect(JSON.parse(strFromU8(files["history.json"])).entries).toHaveLength(1);
+  const folder = `2024-05-02_${entry.id}`;
+  expect(strFromU8(files[`${folder}/part-one_0.2mm_20pct_PETG.gcode`])).toBe(";LAYER:0");
+  expect(Array.from(files[`${folder}/part-one.stl`])).toEqual([1, 2]);
+});
+
+test("hashes bytes as SHA-256 hex", async () => {
+  expect(await hashBytes(new TextEncoder().encode("abc"))).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+});
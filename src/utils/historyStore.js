@@ -0,0 +1,81 @@
+// IndexedDB store for the slicing history. localStorage is too small for
+// G-code and model bytes, so history lives in its own database with two
+// stores: "entries" (listed together) and "files" (loaded one at a time).
+
+export const HISTORY_DB_NAME = "slicer-history";
+const DB_VERSION = 1;
+const ENTRIES = "entries";
+const FILES = "files";
+
+export class HistoryUnavailableError extends Error {
+  constructor(message = "History needs IndexedDB, which this browser does not allow") {
+    super(message);
+    this.name = "HistoryUnavailableError";
+  }
+}
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new HistoryUnavailableError());
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ENTRIES)) db.createObjectStore(ENTRIES, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(FILES)) db.createObjectStore(FILES, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new HistoryUnavailableError(`Could not open history: ${request.error?.message}`));
+    });
+    // Let a later call retry, e.g. after the user allows storage
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `work(stores)` in one transaction and resolves when it commits
+async function transaction(storeNames, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = storeNames.map((name) => tx.objectStore(name));
+    let result;
+    const request = work(...stores);
+    if (request) request.onsuccess = () => { result = request.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History transaction aborted"));
+  });
+}
+
+export function listHistory() {
+  return transaction([ENTRIES], "readonly", (entries) => entries.getAll());
+}
+
+export function saveHistoryEntry(entry, files) {
+  return transaction([ENTRIES, FILES], "readwrite", (entries, fileStore) => {
+    entries.put(entry);
+    if (files && (files.gcode || files.model)) fileStore.put(files);
+  });
+}
+
+// { id, gcode, model } or undefined when nothing was stored
+export function loadHistoryFiles(id) {
+  return transaction([FILES], "readonly", (fileStore) => fileStore.get(id));
+}
+
+export function deleteHistoryEntries(ids) {
+  return transaction([ENTRIES, FILES], "readwrite", (entries, fileStore) => {
+    ids.forEach((id) => {
+      entries.delete(id);
+      fileStore.delete(id);
+    });
+  });
+}
@@ -0,0 +1,156 @@
+// Locally stored machine profiles for printers that have no entry in
+// cura-wasm-definitions. A profile is turned into a Cura definition that
+// inherits fdmprinter, plus overrides that pin the same machine settings.
+
+export const MACHINE_PROFILES_STORAGE_KEY = "slicer.machineProfiles";
+export const CUSTOM_PRINTER_PREFIX = "custom:";
+
+// Labels from fdmprinter's machine_gcode_flavor enum, mapped to Cura's values
+export const GCODE_FLAVORS = [
+  { value: "RepRap (Marlin/Sprinter)", label: "Marlin" },
+  { value: "RepRap (Volumetric)", label: "Marlin (Volumetric)" },
+  { value: "RepRap (RepRap)", label: "RepRap" },
+  { value: "UltiGCode", label: "Ultimaker 2" },
+  { value: "Griffin", label: "Griffin" },
+  { value: "Makerbot", label: "Makerbot" },
+  { value: "BFB", label: "Bits from Bytes" },
+  { value: "MACH3", label: "Mach3" },
+  { value: "Repetier", label: "Repetier" },
+];
+
+export const DEFAULT_MACHINE_PROFILE = {
+  name: "Custom Printer",
+  bedWidth: 220,
+  bedDepth: 220,
+  bedHeight: 250,
+  nozzleSize: 0.4,
+  filamentDiameter: 1.75,
+  originCenter: false,
+  heatedBed: true,
+  gcodeFlavor: "RepRap (Marlin/Sprinter)",
+  // Firmware motion limits, used for the print time estimate
+  maxFeedrateXY: 500,
+  maxFeedrateZ: 10,
+  maxAcceleration: 1000,
+  jerkXY: 10,
+  startGcode: "G28 ; Home all axes\nG92 E0 ; Reset extruder\nG1 Z2.0 F3000 ; Lift nozzle",
+  endGcode: "G91 ; Relative positioning\nG1 E-2 F2700 ; Retract\nG1 Z10 F3000 ; Raise Z\nG90 ; Absolute positioning\nG28 X0 Y0 ; Home X and Y\nM104 S0 ; Hotend off\nM140 S0 ; Bed off\nM84 ; Motors off",
+};
+
+export function createMachineProfile(fields = {}) {
+  return {
+    ...DEFAULT_MACHINE_PROFILE,
+    ...fields,
+    id: fields.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  };
+}
+
+export const customPrinterId = (profile) => `${CUSTOM_PRINTER_PREFIX}${profile.id}`;
+
+export function findProfileByPrinterId(profiles, printerId) {
+  if (!printerId || !printerId.startsWith(CUSTOM_PRINTER_PREFIX)) return null;
+  const id = printerId.slice(CUSTOM_PRINTER_PREFIX.length);
+  return profiles.find((p) => p.id === id) || null;
+}
+
+// Returns { field: message } for every invalid field, empty when valid
+export function validateMachineProfile(profile) {
+  const errors = {};
+  if (!profile.name || !profile.name.trim()) errors.name = "Name is required";
+
+  const ranges = {
+    bedWidth: [1, 2000],
+    bedDepth: [1, 2000],
+    bedHeight: [1, 2000],
+    nozzleSize: [0.1, 2],
+    filamentDiameter: [1, 3.5],
+    maxFeedrateXY: [1, 2000],
+    maxFeedrateZ: [0.1, 500],
+    maxAcceleration: [10, 100000],
+    jerkXY: [0.1, 100],
+  };
+  Object.entries(ranges).forEach(([field, [min, max]]) => {
+    const value = Number(profile[field]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors[field] = `Must be between ${min} and ${max}`;
+    }
+  });
+
+  if (!GCODE_FLAVORS.some((f) => f.value === profile.gcodeFlavor)) {
+    errors.gcodeFlavor = "Unknown G-code flavor";
+  }
+  return errors;
+}
+
+// Profiles saved before the motion fields existed get the defaults
+function motionSettings(profile) {
+  return {
+    machine_max_feedrate_x: Number(profile.maxFeedrateXY),
+    machine_max_feedrate_y: Number(profile.maxFeedrateXY),
+    machine_max_feedrate_z: Number(profile.maxFeedrateZ),
+    machine_max_acceleration_x: Number(profile.maxAcceleration),
+    machine_max_acceleration_y: Number(profile.maxAcceleration),
+    machine_acceleration: Number(profile.maxAcceleration),
+    machine_max_jerk_xy: Number(profile.jerkXY),
+  };
+}
+
+function machineSettings(profile) {
+  return {
+    machine_name: profile.name,
+    machine_width: Number(profile.bedWidth),
+    machine_depth: Number(profile.bedDepth),
+    machine_height: Number(profile.bedHeight),
+    machine_center_is_zero: Boolean(profile.originCenter),
+    machine_heated_bed: Boolean(profile.heatedBed),
+    machine_gcode_flavor: profile.gcodeFlavor,
+    machine_start_gcode: profile.startGcode || "",
+    machine_end_gcode: profile.endGcode || "",
+    ...motionSettings({ ...DEFAULT_MACHINE_PROFILE, ...profile }),
+  };
+}
+
+// Same shape resolveDefinition() returns, so CuraWASM can use it directly
+export function profileToDefinition(profile) {
+  const printerOverrides = {};
+  Object.entries(machineSettings(profile)).forEach(([key, value]) => {
+    printerOverrides[key] = { default_value: value };
+  });
+
+  return {
+    printer: {
+      version: 2,
+      name: profile.name,
+      inherits: "fdmprinter",
+      metadata: {
+        visible: true,
+        author: "Dimensify3D",
+        manufacturer: "Custom",
+        machine_extruder_trains: { 0: "extruder-0" },
+      },
+      overrides: printerOverrides,
+    },
+    extruders: [
+      {
+        version: 2,
+        name: "Extruder 1",
+        inherits: "fdmextruder",
+        metadata: { machine: "printer", position: "0" },
+        overrides: {
+          extruder_nr: { default_value: 0 },
+          machine_nozzle_size: { default_value: Number(profile.nozzleSize) },
+          material_diameter: { default_value: Number(profile.filamentDiameter) },
+        },
+      },
+    ],
+  };
+}
+
+export function profileToOverrides(profile) {
+  const settings = {
+    ...machineSettings(profile),
+    machine_nozzle_size: Number(profile.nozzleSize),
+    material_diameter: Number(profile.filamentDiameter),
+  };
+  return Object.entries(settings).map(([key, value]) => ({ scope: undefined, key, value }));
+}
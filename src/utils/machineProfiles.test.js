@@ -0,0 +1,61 @@
+import {
+  createMachineProfile,
+  customPrinterId,
+  profileToDefinition,
+  profileToOverrides,
+  validateMachineProfile,
+} from "./machineProfiles";
+import { getPrinter } from "./printers";
+
+test("accepts the default profile and rejects out-of-range fields", () => {
+  expect(validateMachineProfile(createMachineProfile())).toEqual({});
+
+  const errors = validateMachineProfile(createMachineProfile({
+    name: " ",
+    bedWidth: 0,
+    nozzleSize: "abc",
+    gcodeFlavor: "Klipper",
+  }));
+  expect(Object.keys(errors).sort()).toEqual(["bedWidth", "gcodeFlavor", "name", "nozzleSize"]);
+});
+
+test("builds a definition inheriting fdmprinter with one extruder", () => {
+  const profile = createMachineProfile({ name: "Voron 2.4", bedWidth: 300, bedDepth: 300, bedHeight: 280, nozzleSize: 0.6 });
+  const definition = profileToDefinition(profile);
+
+  expect(definition.printer.inherits).toBe("fdmprinter");
+  expect(definition.printer.overrides.machine_width).toEqual({ default_value: 300 });
+  expect(definition.extruders).toHaveLength(1);
+  expect(definition.extruders[0].overrides.machine_nozzle_size).toEqual({ default_value: 0.6 });
+});
+
+test("overrides pin the machine settings for CuraWASM", () => {
+  const profile = createMachineProfile({ originCenter: true, startGcode: "G28" });
+  const overrides = Object.fromEntries(profileToOverrides(profile).map((o) => [o.key, o.value]));
+
+  expect(overrides.machine_center_is_zero).toBe(true);
+  expect(overrides.machine_start_gcode).toBe("G28");
+  expect(overrides.material_diameter).toBe(1.75);
+});
+
+test("custom printer ids resolve to the stored profile", () => {
+  const profile = createMachineProfile({ name: "Shop Printer", bedHeight: 400 });
+  const printer = getPrinter(customPrinterId(profile), [profile]);
+
+  expect(printer.custom).toBe(true);
+  expect(printer.name).toBe("Shop Printer");
+  expect(printer.buildVolume).toMatchObject({ width: 220, depth: 220, height: 400 });
+  expect(printer.overrides.length).toBeGreaterThan(0);
+});
+
+test("motion limits reach the printer, with defaults for older profiles", () => {
+  const profile = createMachineProfile({ maxFeedrateXY: 300, maxAcceleration: 2500, jerkXY: 8 });
+  const { motion } = getPrinter(customPrinterId(profile), [profile]);
+  expect(motion.maxFeedrate).toMatchObject({ x: 300, y: 300, z: 10 });
+  expect(motion.maxAcceleration).toMatchObject({ x: 2500, y: 2500 });
+  expect(motion.acceleration).toBe(2500);
+  expect(motion.jerk).toMatchObject({ x: 8, y: 8 });
+
+  const { maxFeedrateXY, maxFeedrateZ, maxAcceleration, jerkXY, ...legacy } = profile;
+  expect(getPrinter(customPrinterId(legacy), [legacy]).motion.maxFeedrate.x).toBe(500);
+});
@@ -0,0 +1,153 @@
+// Material library: every filament the shop stocks, with the settings sent to
+// CuraWASM and the numbers used for weight and cost. Stored in localStorage
+// and exchanged between machines as JSON.
+
+export const MATERIALS_STORAGE_KEY = "slicer.materials";
+export const DEFAULT_MATERIAL_ID = "pla";
+
+// Temperatures in °C, retraction in mm, speed in mm/s, density in g/cm³.
+// The first color is picked when the material is selected.
+export const DEFAULT_MATERIALS = [
+  { id: "pla", name: "PLA", printTemperature: 210, bedTemperature: 60, retractionAmount: 6.5, printSpeed: 80, density: 1.24, costPerKg: 20, colors: ["blue", "white", "black", "red"] },
+  { id: "pla+", name: "PLA+", printTemperature: 220, bedTemperature: 70, retractionAmount: 6.5, printSpeed: 75, density: 1.25, costPerKg: 24, colors: ["grey", "white", "black"] },
+  { id: "abs", name: "ABS", printTemperature: 250, bedTemperature: 100, retractionAmount: 4.5, printSpeed: 70, density: 1.05, costPerKg: 22, colors: ["yellow", "white", "black"] },
+  { id: "petg", name: "PETG", printTemperature: 235, bedTemperature: 80, retractionAmount: 5, printSpeed: 60, density: 1.27, costPerKg: 25, colors: ["clear", "black", "orange"] },
+  { id: "tpu", name: "TPU 95A", printTemperature: 225, bedTemperature: 50, retractionAmount: 1, printSpeed: 25, density: 1.21, costPerKg: 35, colors: ["black", "white"] },
+  { id: "asa", name: "ASA", printTemperature: 255, bedTemperature: 100, retractionAmount: 4.5, printSpeed: 60, density: 1.07, costPerKg: 30, colors: ["white", "black", "grey"] },
+  { id: "nylon", name: "Nylon (PA12)", printTemperature: 260, bedTemperature: 80, retractionAmount: 5, printSpeed: 50, density: 1.01, costPerKg: 55, colors: ["natural", "black"] },
+  { id: "pla-cf", name: "PLA-CF", printTemperature: 220, bedTemperature: 60, retractionAmount: 5, printSpeed: 60, density: 1.29, costPerKg: 45, colors: ["black"] },
+  { id: "petg-cf", name: "PETG-CF", printTemperature: 245, bedTemperature: 80, retractionAmount: 4, printSpeed: 50, density: 1.3, costPerKg: 50, colors: ["black"] },
+];
+
+// Names that CSS does not know, used for the color swatch
+const SWATCH_COLORS = {
+  clear: "rgba(200, 230, 255, 0.6)",
+  natural: "#f3ecd8",
+};
+
+export const swatchColor = (color) => SWATCH_COLORS[color] || color;
+
+const NUMBER_RANGES = {
+  printTemperature: [150, 450],
+  bedTemperature: [0, 150],
+  retractionAmount: [0, 15],
+  printSpeed: [5, 500],
+  density: [0.5, 3],
+  costPerKg: [0, 10000],
+};
+
+export const MATERIAL_NUMBER_FIELDS = Object.keys(NUMBER_RANGES);
+
+export function createMaterial(fields = {}) {
+  return {
+    ...DEFAULT_MATERIALS[0],
+    name: "New Material",
+    colors: ["white"],
+    ...fields,
+    id: fields.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  };
+}
+
+export function findMaterial(materials, id) {
+  return materials.find((m) => m.id === id)
+    || materials.find((m) => m.id === DEFAULT_MATERIAL_ID)
+    || materials[0]
+    || DEFAULT_MATERIALS[0];
+}
+
+// Returns { field: message } for every invalid field, empty when valid
+export function validateMaterial(material) {
+  const errors = {};
+  if (!material.id || typeof material.id !== "string") errors.id = "ID is required";
+  if (!material.name || !String(material.name).trim()) errors.name = "Name is required";
+
+  Object.entries(NUMBER_RANGES).forEach(([field, [min, max]]) => {
+    const value = Number(material[field]);
+    if (material[field] === "" || !Number.isFinite(value) || value < min || value > max) {
+      errors[field] = `Must be between ${min} and ${max}`;
+    }
+  });
+
+  if (!Array.isArray(material.colors) || material.colors.length === 0
+    || material.colors.some((c) => typeof c !== "string" || !c.trim())) {
+    errors.colors = "At least one color is required";
+  }
+  return errors;
+}
+
+export function normalizeMaterial(material) {
+  const normalized = {
+    ...material,
+    name: String(material.name).trim(),
+    colors: material.colors.map((c) => c.trim()),
+  };
+  MATERIAL_NUMBER_FIELDS.forEach((field) => {
+    normalized[field] = Number(material[field]);
+  });
+  return normalized;
+}
+
+export function materialOverrides(material) {
+  return [
+    { scope: undefined, key: "material_print_temperature", value: material.printTemperature },
+    { scope: undefined, key: "material_bed_temperature", value: material.bedTemperature },
+    { scope: undefined, key: "retraction_amount", value: material.retractionAmount },
+    { scope: undefined, key: "speed_print", value: material.printSpeed },
+  ];
+}
+
+// Takes a volume in mm³, as CuraEngine reports filament usage; density is g/cm³
+export function filamentWeightGrams(volumeMm3, material) {
+  return (volumeMm3 / 1000) * material.density;
+}
+
+const filamentArea = (diameterMm) => Math.PI * (diameterMm / 2) ** 2;
+
+// Converts between a length of filament and the plastic it holds
+export function filamentVolumeMm3(lengthMm, diameterMm) {
+  return lengthMm * filamentArea(diameterMm);
+}
+
+export function filamentLengthMm(volumeMm3, diameterMm) {
+  return volumeMm3 / filamentArea(diameterMm);
+}
+
+export function filamentCost(grams, material) {
+  return (grams / 1000) * material.costPerKg;
+}
+
+export function exportMaterials(materials) {
+  return JSON.stringify({ version: 1, materials }, null, 2);
+}
+
+// Accepts either { materials: [...] } or a bare array. Throws on the first invalid entry.
+export function importMaterials(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error("Material file is not valid JSON");
+  }
+
+  const list = Array.isArray(data) ? data : data?.materials;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Material file does not contain any materials");
+  }
+
+  return list.map((material, index) => {
+    const errors = validateMaterial(material || {});
+    const fields = Object.keys(errors);
+    if (fields.length > 0) {
+      const label = material?.name || `#${index + 1}`;
+      throw new Error(`Material ${label}: ${fields.map((f) => `${f} ${errors[f].toLowerCase()}`).join(", ")}`);
+    }
+    return normalizeMaterial(material);
+  });
+}
+
+// Imported materials replace library entries with the same id
+export function mergeMaterials(library, imported) {
+  const byId = new Map(library.map((m) => [m.id, m]));
+  imported.forEach((m) => byId.set(m.id, m));
+  return Array.from(byId.values());
+}
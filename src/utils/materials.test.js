@@ -0,0 +1,65 @@
+import {
+  DEFAULT_MATERIALS,
+  exportMaterials,
+  filamentLengthMm,
+  filamentVolumeMm3,
+  filamentWeightGrams,
+  findMaterial,
+  importMaterials,
+  mergeMaterials,
+  validateMaterial,
+} from "./materials";
+import { buildOverrides } from "./overrides";
+
+const overrideValue = (overrides, key) => overrides.filter((o) => o.key === key).pop()?.value;
+
+test("material settings drive the slicing overrides", () => {
+  const petg = findMaterial(DEFAULT_MATERIALS, "petg");
+  const overrides = buildOverrides({ infillDensity: 20, materialType: "petg" }, petg);
+
+  expect(overrideValue(overrides, "material_print_temperature")).toBe(235);
+  expect(overrideValue(overrides, "material_bed_temperature")).toBe(80);
+  expect(overrideValue(overrides, "speed_print")).toBe(60);
+});
+
+test("weight uses the material density", () => {
+  expect(filamentWeightGrams(2000, findMaterial(DEFAULT_MATERIALS, "abs"))).toBeCloseTo(2.1);
+});
+
+test("filament length converts to the volume it holds and back", () => {
+  expect(filamentVolumeMm3(1000, 1.75)).toBeCloseTo(2405.28, 1);
+  expect(filamentLengthMm(filamentVolumeMm3(1234, 2.85), 2.85)).toBeCloseTo(1234);
+});
+
+test("unknown ids fall back to PLA", () => {
+  expect(findMaterial(DEFAULT_MATERIALS, "unobtainium").id).toBe("pla");
+});
+
+test("built-in materials are valid", () => {
+  DEFAULT_MATERIALS.forEach((material) => {
+    expect(validateMaterial(material)).toEqual({});
+  });
+});
+
+test("export and import round-trip the library", () => {
+  expect(importMaterials(exportMaterials(DEFAULT_MATERIALS))).toEqual(DEFAULT_MATERIALS);
+});
+
+test("import normalizes numbers and rejects invalid entries", () => {
+  const [asa] = importMaterials(JSON.stringify([
+    { ...DEFAULT_MATERIALS[5], printTemperature: "260", colors: [" white "] },
+  ]));
+  expect(asa.printTemperature).toBe(260);
+  expect(asa.colors).toEqual(["white"]);
+
+  expect(() => importMaterials("{")).toThrow("not valid JSON");
+  expect(() => importMaterials(JSON.stringify({ materials: [{ id: "x", name: "Bad", colors: [] }] })))
+    .toThrow(/Material Bad: .*colors/);
+});
+
+test("imported materials replace entries with the same id", () => {
+  const cheaperPla = { ...DEFAULT_MATERIALS[0], costPerKg: 15 };
+  const merged = mergeMaterials(DEFAULT_MATERIALS, [cheaperPla]);
+  expect(merged).toHaveLength(DEFAULT_MATERIALS.length);
+  expect(findMaterial(merged, "pla").costPerKg).toBe(15);
+});
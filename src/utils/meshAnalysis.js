@@ -0,0 +1,98 @@
+import { computeBounds } from "./stl";
+
+// Geometry report for an imported mesh, computed before slicing so the
+// dimensions do not depend on what CuraWASM puts in its metadata.
+//
+// Volume and watertightness follow node-stl (signed tetrahedron volumes,
+// every edge paired with one running the opposite way), but work on our
+// { positions } meshes so OBJ and 3MF imports are covered too and nothing
+// needs Node's Buffer in the browser.
+
+// Vertices are welded on their exact float32 coordinates, like STL exporters write them
+function weldVertices(positions) {
+  const ids = new Map();
+  const indices = new Uint32Array(positions.length / 3);
+  for (let i = 0; i < indices.length; i++) {
+    const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`;
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(key, id);
+    }
+    indices[i] = id;
+  }
+  return { indices, vertexCount: ids.size };
+}
+
+function findRoot(parents, i) {
+  while (parents[i] !== i) {
+    parents[i] = parents[parents[i]];
+    i = parents[i];
+  }
+  return i;
+}
+
+export function analyzeMesh(mesh) {
+  const { positions } = mesh;
+  const triangleCount = positions.length / 9;
+  const { indices, vertexCount } = weldVertices(positions);
+
+  let signedVolume = 0;
+  let surfaceArea = 0;
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const ax = positions[o], ay = positions[o + 1], az = positions[o + 2];
+    const bx = positions[o + 3], by = positions[o + 4], bz = positions[o + 5];
+    const cx = positions[o + 6], cy = positions[o + 7], cz = positions[o + 8];
+
+    // Tetrahedron against the origin
+    signedVolume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    surfaceArea += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+  }
+
+  // Directed edge counts: a closed, consistently wound mesh has every edge
+  // a->b exactly once and its twin b->a exactly once
+  const edges = new Map();
+  const parents = new Uint32Array(vertexCount).map((_, i) => i);
+  for (let t = 0; t < triangleCount; t++) {
+    const corners = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    for (let k = 0; k < 3; k++) {
+      const a = corners[k];
+      const b = corners[(k + 1) % 3];
+      const key = a * vertexCount + b;
+      edges.set(key, (edges.get(key) || 0) + 1);
+      const rootA = findRoot(parents, a);
+      const rootB = findRoot(parents, b);
+      if (rootA !== rootB) parents[rootA] = rootB;
+    }
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  edges.forEach((count, key) => {
+    const a = Math.floor(key / vertexCount);
+    const b = key % vertexCount;
+    const twin = edges.get(b * vertexCount + a) || 0;
+    if (count > 1 || twin > 1) nonManifoldEdges++;
+    else if (twin === 0) openEdges++;
+  });
+
+  // Shells are groups of triangles connected through shared vertices
+  const shells = new Set();
+  for (let i = 0; i < indices.length; i++) shells.add(findRoot(parents, indices[i]));
+
+  return {
+    triangleCount,
+    boundingBox: computeBounds(positions),
+    volume: Math.abs(signedVolume), // mm³
+    surfaceArea, // mm²
+    shellCount: shells.size,
+    openEdges,
+    nonManifoldEdges,
+    isWatertight: triangleCount > 0 && openEdges === 0 && nonManifoldEdges === 0,
+  };
+}
@@ -0,0 +1,53 @@
+import NodeStl from "node-stl";
+import { analyzeMesh } from "./meshAnalysis";
+import { writeBinaryStl } from "./stl";
+
+// Closed, outward-facing cube from 12 triangles
+function cube(size, [ox, oy, oz] = [0, 0, 0]) {
+  const v = (x, y, z) => [ox + x * size, oy + y * size, oz + z * size];
+  const quads = [
+    [v(0, 0, 0), v(0, 1, 0), v(1, 1, 0), v(1, 0, 0)], // bottom
+    [v(0, 0, 1), v(1, 0, 1), v(1, 1, 1), v(0, 1, 1)], // top
+    [v(0, 0, 0), v(1, 0, 0), v(1, 0, 1), v(0, 0, 1)], // front
+    [v(0, 1, 0), v(0, 1, 1), v(1, 1, 1), v(1, 1, 0)], // back
+    [v(0, 0, 0), v(0, 0, 1), v(0, 1, 1), v(0, 1, 0)], // left
+    [v(1, 0, 0), v(1, 1, 0), v(1, 1, 1), v(1, 0, 1)], // right
+  ];
+  return quads.flatMap(([a, b, c, d]) => [...a, ...b, ...c, ...a, ...c, ...d]);
+}
+
+test("measures a closed cube", () => {
+  const analysis = analyzeMesh({ positions: new Float32Array(cube(10)) });
+
+  expect(analysis.triangleCount).toBe(12);
+  expect(analysis.volume).toBeCloseTo(1000);
+  expect(analysis.surfaceArea).toBeCloseTo(600);
+  expect(analysis.boundingBox.size).toEqual([10, 10, 10]);
+  expect(analysis.shellCount).toBe(1);
+  expect(analysis.isWatertight).toBe(true);
+});
+
+test("counts separate shells", () => {
+  const positions = new Float32Array([...cube(10), ...cube(5, [20, 0, 0])]);
+  const analysis = analyzeMesh({ positions });
+
+  expect(analysis.shellCount).toBe(2);
+  expect(analysis.volume).toBeCloseTo(1125);
+  expect(analysis.isWatertight).toBe(true);
+});
+
+test("detects open meshes", () => {
+  const analysis = analyzeMesh({ positions: new Float32Array(cube(10).slice(18)) }); // no bottom
+  expect(analysis.isWatertight).toBe(false);
+  expect(analysis.openEdges).toBe(4);
+});
+
+test("agrees with node-stl on volume, area and watertightness", () => {
+  const positions = new Float32Array([...cube(12.5, [3, -4, 1]), ...cube(4, [30, 30, 0])]);
+  const reference = new NodeStl(Buffer.from(writeBinaryStl(positions)));
+  const analysis = analyzeMesh({ positions });
+
+  expect(analysis.volume / 1000).toBeCloseTo(reference.volume, 6); // node-stl reports cm³
+  expect(analysis.surfaceArea).toBeCloseTo(reference.area, 6);
+  expect(analysis.isWatertight).toBe(reference.isWatertight);
+});
@@ -0,0 +1,153 @@
+// Linear transforms on { positions } meshes. Matrices are 3×3, row-major,
+// applied to column vectors (p' = M · p). Transforms always return a new mesh.
+
+export const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+export function multiplyMatrices(a, b) {
+  const out = new Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      out[row * 3 + col] = a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+    }
+  }
+  return out;
+}
+
+export function rotationMatrix(axis, degrees) {
+  const radians = (degrees * Math.PI) / 180;
+  // Exact values for quarter turns keep axis-aligned models axis-aligned
+  const quarter = degrees % 90 === 0;
+  const cos = quarter ? Math.round(Math.cos(radians)) : Math.cos(radians);
+  const sin = quarter ? Math.round(Math.sin(radians)) : Math.sin(radians);
+  switch (axis) {
+    case "x":
+      return [1, 0, 0, 0, cos, -sin, 0, sin, cos];
+    case "y":
+      return [cos, 0, sin, 0, 1, 0, -sin, 0, cos];
+    case "z":
+      return [cos, -sin, 0, sin, cos, 0, 0, 0, 1];
+    default:
+      throw new Error(`Unknown rotation axis: ${axis}`);
+  }
+}
+
+export function scaleMatrix([sx, sy, sz]) {
+  return [sx, 0, 0, 0, sy, 0, 0, 0, sz];
+}
+
+const determinant = (m) => m[0] * (m[4] * m[8] - m[5] * m[7])
+  - m[1] * (m[3] * m[8] - m[5] * m[6])
+  + m[2] * (m[3] * m[7] - m[4] * m[6]);
+
+export function transformMesh(mesh, matrix) {
+  const source = mesh.positions;
+  const positions = new Float32Array(source.length);
+  for (let i = 0; i < source.length; i += 3) {
+    const x = source[i], y = source[i + 1], z = source[i + 2];
+    positions[i] = matrix[0] * x + matrix[1] * y + matrix[2] * z;
+    positions[i + 1] = matrix[3] * x + matrix[4] * y + matrix[5] * z;
+    positions[i + 2] = matrix[6] * x + matrix[7] * y + matrix[8] * z;
+  }
+
+  // Mirroring turns triangles inside out, swap two corners to keep normals outward
+  if (determinant(matrix) < 0) {
+    for (let t = 0; t < positions.length; t += 9) {
+      for (let k = 0; k < 3; k++) {
+        const tmp = positions[t + 3 + k];
+        positions[t + 3 + k] = positions[t + 6 + k];
+        positions[t + 6 + k] = tmp;
+      }
+    }
+  }
+  return { ...mesh, positions };
+}
+
+export const rotateMesh = (mesh, axis, degrees) => transformMesh(mesh, rotationMatrix(axis, degrees));
+
+export const scaleMesh = (mesh, factors) => transformMesh(mesh, scaleMatrix(factors));
+
+export function mirrorMesh(mesh, axis) {
+  const factors = [1, 1, 1];
+  factors[["x", "y", "z"].indexOf(axis)] = -1;
+  return scaleMesh(mesh, factors);
+}
+
+export function translateMesh(mesh, [dx, dy, dz]) {
+  const positions = Float32Array.from(mesh.positions);
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i] += dx;
+    positions[i + 1] += dy;
+    positions[i + 2] += dz;
+  }
+  return { ...mesh, positions };
+}
+
+function boundsOf(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    const axis = i % 3;
+    if (positions[i] < min[axis]) min[axis] = positions[i];
+    if (positions[i] > max[axis]) max[axis] = positions[i];
+  }
+  return { min, max };
+}
+
+export function dropToBed(mesh) {
+  const { min } = boundsOf(mesh.positions);
+  return translateMesh(mesh, [0, 0, -min[2]]);
+}
+
+// Transforms pivot on the origin, so a rotated or scaled part can end up
+// below the bed or off to one side. CuraEngine slices what is above Z = 0 at
+// the mesh's real XY position, so put the part back: centred on X/Y 0,0
+// (the middle of the bed in CuraEngine's mesh coordinates) and resting on Z = 0.
+export function placeOnBed(mesh) {
+  const { min, max } = boundsOf(mesh.positions);
+  return translateMesh(mesh, [-(min[0] + max[0]) / 2, -(min[1] + max[1]) / 2, -min[2]]);
+}
+
+// Centres X/Y on 0,0. CuraEngine adds half the bed to mesh coordinates on
+// printers whose origin is the front-left corner, so 0,0 is the middle of the
+// bed on every printer.
+export function centerOnBed(mesh) {
+  const { min, max } = boundsOf(mesh.positions);
+  return translateMesh(mesh, [-(min[0] + max[0]) / 2, -(min[1] + max[1]) / 2, 0]);
+}
+
+export function triangleNormal(positions, triangleIndex) {
+  const o = triangleIndex * 9;
+  const u = [positions[o + 3] - positions[o], positions[o + 4] - positions[o + 1], positions[o + 5] - positions[o + 2]];
+  const v = [positions[o + 6] - positions[o], positions[o + 7] - positions[o + 1], positions[o + 8] - positions[o + 2]];
+  const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  const length = Math.hypot(...n);
+  return length > 0 ? n.map((c) => c / length) : null;
+}
+
+// Rotation taking unit vector `from` onto unit vector `to` (Rodrigues)
+export function alignVectors(from, to) {
+  const axis = [from[1] * to[2] - from[2] * to[1], from[2] * to[0] - from[0] * to[2], from[0] * to[1] - from[1] * to[0]];
+  const cos = from[0] * to[0] + from[1] * to[1] + from[2] * to[2];
+  const sin = Math.hypot(...axis);
+
+  if (sin < 1e-9) {
+    if (cos > 0) return IDENTITY;
+    // Opposite vectors: half turn around any axis perpendicular to `from`
+    return Math.abs(from[0]) < 0.9 ? rotationMatrix("x", 180) : rotationMatrix("y", 180);
+  }
+
+  const [x, y, z] = axis.map((c) => c / sin);
+  const t = 1 - cos;
+  return [
+    t * x * x + cos, t * x * y - sin * z, t * x * z + sin * y,
+    t * x * y + sin * z, t * y * y + cos, t * y * z - sin * x,
+    t * x * z - sin * y, t * y * z + sin * x, t * z * z + cos,
+  ];
+}
+
+// Rotates the mesh so the given triangle faces the bed, then places it back on the bed
+export function layFlat(mesh, triangleIndex) {
+  const normal = triangleNormal(mesh.positions, triangleIndex);
+  if (!normal) return mesh;
+  return placeOnBed(transformMesh(mesh, alignVectors(normal, [0, 0, -1])));
+}
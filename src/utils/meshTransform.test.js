@@ -0,0 +1,69 @@
+import { analyzeMesh } from "./meshAnalysis";
+import { centerOnBed, dropToBed, layFlat, mirrorMesh, placeOnBed, rotateMesh, scaleMesh, triangleNormal } from "./meshTransform";
+import { computeBounds } from "./stl";
+
+// Right-angled wedge: closed, outward facing, resting on its 20 × 10 base
+const wedge = () => {
+  const a = [0, 0, 0], b = [20, 0, 0], c = [20, 10, 0], d = [0, 10, 0], e = [0, 0, 5], f = [0, 10, 5];
+  const faces = [[a, c, b], [a, d, c], [a, b, e], [d, f, c], [b, c, f], [b, f, e], [a, e, f], [a, f, d]];
+  return { positions: new Float32Array(faces.flat(2)) };
+};
+
+const expectArrayClose = (actual, expected) => {
+  expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 4));
+};
+
+test("scales per axis", () => {
+  const { size } = computeBounds(scaleMesh(wedge(), [2, 1, 0.5]).positions);
+  expectArrayClose(size, [40, 10, 2.5]);
+});
+
+test("quarter turns stay axis aligned", () => {
+  const { size } = computeBounds(rotateMesh(wedge(), "z", 90).positions);
+  expect(Array.from(size)).toEqual([10, 20, 5]);
+});
+
+test("mirroring keeps the mesh closed and its volume positive", () => {
+  const mirrored = mirrorMesh(wedge(), "x");
+  const before = analyzeMesh(wedge());
+  const after = analyzeMesh(mirrored);
+
+  expect(computeBounds(mirrored.positions).min[0]).toBe(-20);
+  expect(after.volume).toBeCloseTo(before.volume);
+  expect(after.isWatertight).toBe(true);
+  // Outward normals: the base still points down
+  expectArrayClose(triangleNormal(mirrored.positions, 0), [0, 0, -1]);
+});
+
+test("drop to bed and center on bed", () => {
+  const lifted = { positions: wedge().positions.map((v, i) => (i % 3 === 2 ? v + 7 : v)) };
+  expect(computeBounds(dropToBed(lifted).positions).min[2]).toBe(0);
+
+  // CuraEngine treats mesh X/Y 0,0 as the middle of the bed on every printer
+  const centered = computeBounds(centerOnBed(wedge()).positions);
+  expectArrayClose(centered.min, [-10, -5, 0]);
+  expectArrayClose(centered.max, [10, 5, 5]);
+});
+
+test("rotating an off-centre part and placing it keeps it in the middle of the bed", () => {
+  // Rotations pivot on the origin: a part at X 30…50 turned on X lands at Y −5…0, Z 0…10
+  const offCentre = { positions: wedge().positions.map((v, i) => (i % 3 === 0 ? v + 30 : v)) };
+  const placed = computeBounds(placeOnBed(rotateMesh(offCentre, "x", 90)).positions);
+
+  expectArrayClose(placed.min, [-10, -2.5, 0]);
+  expectArrayClose(placed.max, [10, 2.5, 10]);
+});
+
+test("lay flat puts the picked face on the bed", () => {
+  // Triangle 5 is half of the sloped face
+  const flat = layFlat(wedge(), 5);
+  const bounds = computeBounds(flat.positions);
+
+  expectArrayClose(triangleNormal(flat.positions, 5), [0, 0, -1]);
+  expect(bounds.min[2]).toBeCloseTo(0, 4);
+  expect(bounds.min[0] + bounds.max[0]).toBeCloseTo(0, 4);
+  expect(bounds.min[1] + bounds.max[1]).toBeCloseTo(0, 4);
+  for (let corner = 0; corner < 3; corner++) {
+    expect(flat.positions[5 * 9 + corner * 3 + 2]).toBeCloseTo(0, 4);
+  }
+});
@@ -0,0 +1,310 @@
+import { strFromU8, unzipSync } from "fflate";
+import { parseStl } from "./stl";
+
+// Importers turning customer files into meshes ({ positions }) for the slicer.
+// Every importer returns a list of { name, mesh } models.
+
+export const SUPPORTED_EXTENSIONS = [".stl", ".3mf", ".obj", ".zip"];
+
+// Anything bigger would not fit in the slicer worker's memory anyway
+export const MAX_MODEL_FILE_BYTES = 200 * 1024 * 1024;
+
+export class UnsupportedModelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedModelError";
+  }
+}
+
+export function getExtension(name) {
+  const match = /\.[^./\\]+$/.exec(name || "");
+  return match ? match[0].toLowerCase() : "";
+}
+
+export function isSupportedModel(name) {
+  return SUPPORTED_EXTENSIONS.includes(getExtension(name));
+}
+
+function baseName(path) {
+  return path.split(/[\\/]/).pop();
+}
+
+// ---------------------------------------------------------------------------
+// OBJ
+
+// OBJ files from Blender and most DCC tools are Y up, slicers are Z up
+function objToZUp(x, y, z) {
+  return [x, -z, y];
+}
+
+export function parseObj(text) {
+  const vertices = [];
+  const positions = [];
+  const groups = new Set();
+
+  const lines = text.split("\n");
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const parts = line.split(/\s+/);
+
+    if (parts[0] === "v") {
+      const [x, y, z] = parts.slice(1, 4).map(parseFloat);
+      if ([x, y, z].some(isNaN)) throw new UnsupportedModelError(`OBJ has a malformed vertex: "${line}"`);
+      vertices.push(objToZUp(x, y, z));
+    } else if (parts[0] === "f") {
+      // Indices are 1-based, negative ones count back from the latest vertex
+      const indices = parts.slice(1).map((token) => {
+        const index = parseInt(token.split("/")[0], 10);
+        return index < 0 ? vertices.length + index : index - 1;
+      });
+      if (indices.length < 3 || indices.some((i) => isNaN(i) || !vertices[i])) {
+        throw new UnsupportedModelError(`OBJ has a face with invalid vertex references: "${line}"`);
+      }
+      // Fan-triangulate polygons
+      for (let i = 1; i < indices.length - 1; i++) {
+        positions.push(...vertices[indices[0]], ...vertices[indices[i]], ...vertices[indices[i + 1]]);
+      }
+    } else if (parts[0] === "g" || parts[0] === "o") {
+      groups.add(parts.slice(1).join(" ") || "default");
+    }
+  }
+
+  if (positions.length === 0) {
+    throw new UnsupportedModelError("OBJ file has no faces (point clouds and curves cannot be printed)");
+  }
+  return { positions: new Float32Array(positions), groupCount: Math.max(groups.size, 1) };
+}
+
+// ---------------------------------------------------------------------------
+// 3MF
+
+const UNIT_TO_MM = {
+  micron: 0.001,
+  millimeter: 1,
+  centimeter: 10,
+  inch: 25.4,
+  foot: 304.8,
+  meter: 1000,
+};
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+// 3MF transforms are "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+// applied to row vectors: [x y z 1] * M
+function parseTransform(value) {
+  if (!value) return IDENTITY;
+  const m = value.trim().split(/\s+/).map(parseFloat);
+  if (m.length !== 12 || m.some(isNaN)) {
+    throw new UnsupportedModelError(`3MF has an invalid transform: "${value}"`);
+  }
+  return m;
+}
+
+// Apply `a` first, then `b`
+function multiplyTransforms(a, b) {
+  const out = new Array(12);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 3; col++) {
+      out[row * 3 + col] = a[row * 3] * b[col]
+        + a[row * 3 + 1] * b[3 + col]
+        + a[row * 3 + 2] * b[6 + col]
+        + (row === 3 ? b[9 + col] : 0);
+    }
+  }
+  return out;
+}
+
+function applyTransform(m, x, y, z) {
+  return [
+    x * m[0] + y * m[3] + z * m[6] + m[9],
+    x * m[1] + y * m[4] + z * m[7] + m[10],
+    x * m[2] + y * m[5] + z * m[8] + m[11],
+  ];
+}
+
+const byLocalName = (node, name) => Array.from(node.getElementsByTagNameNS("*", name));
+
+function findModelPath(files) {
+  const rels = files["_rels/.rels"];
+  if (rels) {
+    const doc = new DOMParser().parseFromString(strFromU8(rels), "application/xml");
+    const target = byLocalName(doc, "Relationship")
+      .find((rel) => (rel.getAttribute("Type") || "").endsWith("/3dmodel"));
+    if (target) return target.getAttribute("Target").replace(/^\//, "");
+  }
+  return Object.keys(files).find((path) => path.toLowerCase().endsWith(".model"));
+}
+
+export function parse3mf(arrayBuffer) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(arrayBuffer));
+  } catch (err) {
+    throw new UnsupportedModelError("3MF file is not a valid ZIP package");
+  }
+
+  const rootPath = findModelPath(files);
+  if (!rootPath || !files[rootPath]) {
+    throw new UnsupportedModelError("3MF package does not contain a 3D model part");
+  }
+
+  // Parsed .model documents, keyed by path inside the package
+  const documents = {};
+  const loadDocument = (path) => {
+    if (!documents[path]) {
+      const bytes = files[path];
+      if (!bytes) throw new UnsupportedModelError(`3MF references a missing model part: ${path}`);
+      const doc = new DOMParser().parseFromString(strFromU8(bytes), "application/xml");
+      if (byLocalName(doc, "parsererror").length > 0) {
+        throw new UnsupportedModelError(`3MF model part is not valid XML: ${path}`);
+      }
+      const objects = {};
+      byLocalName(doc, "object").forEach((object) => {
+        objects[object.getAttribute("id")] = object;
+      });
+      documents[path] = { doc, objects };
+    }
+    return documents[path];
+  };
+
+  const positions = [];
+
+  // Objects are either a mesh or a list of components pointing at other objects
+  const addObject = (path, id, transform, depth) => {
+    if (depth > 16) throw new UnsupportedModelError("3MF components are nested too deeply");
+    const { objects } = loadDocument(path);
+    const object = objects[id];
+    if (!object) throw new UnsupportedModelError(`3MF build refers to unknown object ${id}`);
+
+    const type = object.getAttribute("type");
+    if (type === "support" || type === "other") return;
+
+    const mesh = byLocalName(object, "mesh")[0];
+    if (mesh) {
+      const vertices = byLocalName(mesh, "vertex").map((v) => [
+        parseFloat(v.getAttribute("x")),
+        parseFloat(v.getAttribute("y")),
+        parseFloat(v.getAttribute("z")),
+      ]);
+      byLocalName(mesh, "triangle").forEach((t) => {
+        ["v1", "v2", "v3"].forEach((attr) => {
+          const vertex = vertices[parseInt(t.getAttribute(attr), 10)];
+          if (!vertex) throw new UnsupportedModelError(`3MF object ${id} has an invalid triangle`);
+          positions.push(...applyTransform(transform, ...vertex));
+        });
+      });
+      return;
+    }
+
+    byLocalName(object, "component").forEach((component) => {
+      // Production extension: components may live in another model part
+      const componentPath = (component.getAttribute("p:path") || "").replace(/^\//, "") || path;
+      const componentTransform = parseTransform(component.getAttribute("transform"));
+      addObject(componentPath, component.getAttribute("objectid"), multiplyTransforms(componentTransform, transform), depth + 1);
+    });
+  };
+
+  const root = loadDocument(rootPath);
+
+  // Vertices and transforms are both in the package's unit
+  const unit = byLocalName(root.doc, "model")[0]?.getAttribute("unit") || "millimeter";
+  const scale = UNIT_TO_MM[unit];
+  if (!scale) throw new UnsupportedModelError(`3MF uses an unknown unit: ${unit}`);
+  const items = byLocalName(root.doc, "item");
+  if (items.length === 0) {
+    throw new UnsupportedModelError("3MF build plate is empty");
+  }
+  items.forEach((item) => {
+    if (item.getAttribute("printable") === "0") return;
+    const itemPath = (item.getAttribute("p:path") || "").replace(/^\//, "") || rootPath;
+    addObject(itemPath, item.getAttribute("objectid"), parseTransform(item.getAttribute("transform")), 0);
+  });
+
+  if (positions.length === 0) {
+    throw new UnsupportedModelError("3MF file has no printable meshes");
+  }
+  return {
+    positions: Float32Array.from(positions, (v) => v * scale),
+    itemCount: items.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Dispatch
+
+export function importModelBuffer(name, arrayBuffer, { allowArchives = true } = {}) {
+  const extension = getExtension(name);
+  switch (extension) {
+    case ".stl":
+      return { models: [{ name, mesh: parseStl(arrayBuffer) }], warnings: [] };
+    case ".obj":
+      return { models: [{ name, mesh: parseObj(new TextDecoder().decode(arrayBuffer)) }], warnings: [] };
+    case ".3mf":
+      return { models: [{ name, mesh: parse3mf(arrayBuffer) }], warnings: [] };
+    case ".zip":
+      if (!allowArchives) {
+        throw new UnsupportedModelError("archives inside archives are not supported");
+      }
+      return importZip(name, arrayBuffer);
+    default:
+      throw new UnsupportedModelError(
+        `unsupported file type, expected one of ${SUPPORTED_EXTENSIONS.join(", ")}`
+      );
+  }
+}
+
+function importZip(name, arrayBuffer) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(arrayBuffer));
+  } catch (err) {
+    throw new UnsupportedModelError("not a valid ZIP archive");
+  }
+
+  const models = [];
+  const warnings = [];
+  Object.keys(files).sort().forEach((path) => {
+    // Skip folders and macOS resource forks
+    if (path.endsWith("/") || path.startsWith("__MACOSX/") || baseName(path).startsWith("._")) return;
+
+    const entryName = baseName(path);
+    if (!isSupportedModel(entryName)) {
+      warnings.push(`${name}: skipped ${path} (not a model file)`);
+      return;
+    }
+    try {
+      const bytes = files[path];
+      const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      const result = importModelBuffer(entryName, buffer, { allowArchives: false });
+      models.push(...result.models);
+      warnings.push(...result.warnings);
+    } catch (err) {
+      warnings.push(`${name}: could not import ${path} (${err.message})`);
+    }
+  });
+
+  if (models.length === 0) {
+    throw new UnsupportedModelError("archive does not contain any STL, 3MF or OBJ models");
+  }
+  return { models, warnings };
+}
+
+export function checkModelFileSize(size, maxBytes = MAX_MODEL_FILE_BYTES) {
+  if (size > maxBytes) {
+    throw new UnsupportedModelError(
+      `file is ${(size / 1024 / 1024).toFixed(1)} MB, the limit is ${Math.round(maxBytes / 1024 / 1024)} MB`
+    );
+  }
+}
+
+// Accepts a File or anything shaped like one ({ name, size, arrayBuffer() }).
+// Errors thrown from here always name the offending file
+export async function importModelFile(file) {
+  try {
+    checkModelFileSize(file.size);
+    return importModelBuffer(file.name, await file.arrayBuffer());
+  } catch (err) {
+    throw new UnsupportedModelError(`${file.name}: ${err.message}`);
+  }
+}
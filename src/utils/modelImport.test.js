@@ -0,0 +1,90 @@
+import { strToU8, zipSync } from "fflate";
+import { UnsupportedModelError, importModelBuffer, parse3mf, parseObj } from "./modelImport";
+import { writeBinaryStl } from "./stl";
+
+const toBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+const MODEL_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="centimeter" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+  <resources>
+    <object id="1" type="model">
+      <mesh>
+        <vertices>
+          <vertex x="0" y="0" z="0" />
+          <vertex x="1" y="0" z="0" />
+          <vertex x="0" y="1" z="0" />
+        </vertices>
+        <triangles>
+          <triangle v1="0" v2="1" v3="2" />
+        </triangles>
+      </mesh>
+    </object>
+    <object id="2" type="model">
+      <components>
+        <component objectid="1" transform="1 0 0 0 1 0 0 0 1 0 0 5" />
+      </components>
+    </object>
+  </resources>
+  <build>
+    <item objectid="1" />
+    <item objectid="2" transform="1 0 0 0 1 0 0 0 1 100 0 0" />
+  </build>
+</model>`;
+
+function make3mf(modelXml = MODEL_XML) {
+  return toBuffer(zipSync({ "3D/3dmodel.model": strToU8(modelXml) }));
+}
+
+test("merges OBJ groups and converts Y up to Z up", () => {
+  const mesh = parseObj(`o first
+v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+f 1 2 3 4
+g second
+f -4/1/1 -3/2/2 -2/3/3`);
+  expect(mesh.positions.length).toBe(27);
+  expect(mesh.groupCount).toBe(2);
+  // (1, 1, 0) Y up becomes (1, 0, 1) Z up
+  expect(Array.from(mesh.positions.slice(6, 9))).toEqual([1, -0, 1]);
+});
+
+test("rejects OBJ files without faces", () => {
+  expect(() => parseObj("v 0 0 0\nv 1 0 0")).toThrow(UnsupportedModelError);
+});
+
+test("applies 3MF units, build item and component transforms", () => {
+  const mesh = parse3mf(make3mf());
+  expect(mesh.positions.length).toBe(18);
+  expect(mesh.itemCount).toBe(2);
+  // Second item: component moves +5 cm in Z (vertex space), item moves +100 cm in X
+  expect(Array.from(mesh.positions.slice(9, 12))).toEqual([1000, 0, 50]);
+  expect(Array.from(mesh.positions.slice(12, 15))).toEqual([1010, 0, 50]);
+});
+
+test("reports 3MF files without a build", () => {
+  const empty = MODEL_XML.replace(/<build>[\s\S]*<\/build>/, "<build />");
+  expect(() => parse3mf(make3mf(empty))).toThrow("build plate is empty");
+  expect(() => parse3mf(new ArrayBuffer(10))).toThrow("not a valid ZIP");
+});
+
+test("expands ZIP archives into a list of models", () => {
+  const stl = new Uint8Array(writeBinaryStl(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0])));
+  const zip = zipSync({
+    "parts/a.stl": stl,
+    "parts/b.3mf": new Uint8Array(make3mf()),
+    "readme.txt": strToU8("hello"),
+    "__MACOSX/parts/._a.stl": strToU8("junk"),
+  });
+
+  const { models, warnings } = importModelBuffer("order.zip", toBuffer(zip));
+  expect(models.map((m) => m.name)).toEqual(["a.stl", "b.3mf"]);
+  expect(warnings).toEqual(["order.zip: skipped readme.txt (not a model file)"]);
+});
+
+test("rejects unsupported formats and empty archives", () => {
+  expect(() => importModelBuffer("part.step", new ArrayBuffer(4))).toThrow("unsupported file type");
+  const zip = zipSync({ "notes.txt": strToU8("nothing here") });
+  expect(() => importModelBuffer("empty.zip", toBuffer(zip))).toThrow("does not contain any");
+});
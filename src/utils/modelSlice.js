@@ -0,0 +1,28 @@
+import { explainOverrides, toCuraOverrides } from "./overrides";
+import { startSliceJob } from "./sliceJob";
+import { writeBinaryStl } from "./stl";
+
+// Everything sent to CuraWASM for one model, one entry per key with the user's
+// settings winning over the printer profile
+export function sliceOverrides(printer, userSettings, material) {
+  return toCuraOverrides(explainOverrides(userSettings, material, printer));
+}
+
+// { errors, warnings } for the overrides a slice would send. The Cura setting
+// definitions are large, so they are only loaded when something is checked.
+export async function checkSliceSettings(printer, userSettings, material) {
+  const { validateOverrides } = await import("./curaSettings");
+  return validateOverrides(explainOverrides(userSettings, material, printer), printer.definition);
+}
+
+// Slices a { positions } mesh with the given settings, returns the { promise, cancel } job
+export function startModelSliceJob({ mesh, printer, material, userSettings, timeoutMs, onProgress }) {
+  return startSliceJob({
+    model: writeBinaryStl(mesh.positions),
+    format: "stl",
+    definition: printer.definition,
+    overrides: sliceOverrides(printer, userSettings, material),
+    timeoutMs,
+    onProgress,
+  });
+}
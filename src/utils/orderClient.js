@@ -0,0 +1,182 @@
+import axios from "axios";
+
+// Client for the print shop's order backend. After slicing, the model,
+// settings, printInfo and quote are submitted as one order; the returned
+// order id is kept locally so its status can be followed.
+//
+//   POST {baseUrl}/orders        -> 201 { id, status, createdAt }
+//   GET  {baseUrl}/orders/{id}   -> 200 { id, status, updatedAt, message? }
+//
+// Every submission carries an Idempotency-Key, so retrying after a lost
+// response never creates the same order twice. `npm run mock:orders` starts
+// a local stand-in (server/mockOrderServer.js) for offline development.
+
+export const ORDER_API_STORAGE_KEY = "slicer.orderApi";
+export const ORDERS_STORAGE_KEY = "slicer.orders";
+
+export const DEFAULT_ORDER_API_SETTINGS = {
+  baseUrl: process.env.REACT_APP_ORDER_API_URL || "http://localhost:4010",
+  apiKey: "",
+  retries: 3,
+};
+
+export const ORDER_STATUS_LABELS = {
+  received: "Received",
+  accepted: "Accepted",
+  printing: "Printing",
+  shipped: "Shipped",
+  completed: "Completed",
+  rejected: "Rejected",
+  cancelled: "Cancelled",
+};
+
+// Orders in these states no longer change
+export const FINAL_ORDER_STATUSES = ["completed", "rejected", "cancelled"];
+
+export class OrderRequestError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "OrderRequestError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+const createId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Network failures, timeouts, rate limits and server errors are worth another
+// try; anything else is a problem with the order itself.
+function toOrderError(err) {
+  if (err instanceof OrderRequestError) return err;
+  if (axios.isCancel(err)) return new OrderRequestError("Request cancelled");
+  const status = err.response?.status ?? null;
+  if (status === null) {
+    return new OrderRequestError(`Could not reach the order server (${err.message})`, { retryable: true });
+  }
+  const detail = err.response.data?.error || err.response.statusText || "";
+  return new OrderRequestError(
+    `Order server answered ${status}${detail ? `: ${detail}` : ""}`,
+    { status, retryable: status === 429 || status >= 500 }
+  );
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  // Chunked so large models don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// `modelBytes` is the STL the order was sliced from, `reference` identifies
+// the submission across retries.
+export function buildOrderPayload({ reference = createId(), modelName, modelBytes, sourceHash, settings, printInfo, quote, customer = {} }) {
+  return {
+    reference,
+    model: {
+      name: modelName,
+      format: "stl",
+      sourceHash: sourceHash || null,
+      data: bytesToBase64(new Uint8Array(modelBytes)),
+    },
+    settings,
+    printInfo,
+    quote,
+    customer: {
+      name: (customer.name || "").trim(),
+      email: (customer.email || "").trim(),
+      notes: (customer.notes || "").trim(),
+    },
+  };
+}
+
+export function createOrderClient({
+  baseUrl,
+  apiKey = "",
+  retries = DEFAULT_ORDER_API_SETTINGS.retries,
+  retryDelayMs = 1000,
+}) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const url = (path) => `${baseUrl.replace(/\/+$/, "")}${path}`;
+
+  const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new OrderRequestError("Request cancelled"));
+    }, { once: true });
+  });
+
+  // Retries with exponential backoff; `onRetry(attempt, error)` fires before each wait
+  const withRetries = async (request, { signal, onRetry } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (raw) {
+        const err = toOrderError(raw);
+        if (!err.retryable || attempt >= retries || signal?.aborted) throw err;
+        onRetry?.(attempt + 1, err);
+        await wait(retryDelayMs * 2 ** attempt, signal);
+      }
+    }
+  };
+
+  return {
+    // Resolves to { id, status, createdAt }
+    submitOrder(payload, { signal, onRetry, onUploadProgress } = {}) {
+      return withRetries(async () => {
+        const response = await axios.post(url("/orders"), payload, {
+          headers: { ...headers, "Idempotency-Key": payload.reference },
+          timeout: REQUEST_TIMEOUT_MS,
+          signal,
+          onUploadProgress,
+        });
+        if (!response.data?.id) {
+          throw new OrderRequestError("Order server did not return an order id");
+        }
+        return response.data;
+      }, { signal, onRetry });
+    },
+
+    // Resolves to { id, status, updatedAt, message? }
+    getOrder(id, { signal } = {}) {
+      return withRetries(async () => {
+        const response = await axios.get(url(`/orders/${encodeURIComponent(id)}`), {
+          headers,
+          timeout: REQUEST_TIMEOUT_MS,
+          signal,
+        });
+        return response.data;
+      }, { signal });
+    },
+  };
+}
+
+// Local record of a submitted order, newest first in ORDERS_STORAGE_KEY
+export function createOrderRecord(payload, response) {
+  return {
+    id: response.id,
+    reference: payload.reference,
+    status: response.status || "received",
+    message: response.message || "",
+    modelName: payload.model.name,
+    total: payload.quote.total,
+    currency: payload.quote.currency,
+    submittedAt: response.createdAt || new Date().toISOString(),
+    updatedAt: response.updatedAt || response.createdAt || new Date().toISOString(),
+  };
+}
+
+export function updateOrderRecord(records, update) {
+  return records.map((record) => (record.id === update.id
+    ? {
+      ...record,
+      status: update.status || record.status,
+      message: update.message || "",
+      updatedAt: update.updatedAt || new Date().toISOString(),
+    }
+    : record));
+}
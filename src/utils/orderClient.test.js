@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { createMockOrderServer } from "../../server/mockOrderServer";
+import {
+  OrderRequestError,
+  buildOrderPayload,
+  createOrderClient,
+  createOrderRecord,
+  updateOrderRecord,
+} from "./orderClient";
+
+const QUOTE = { currency: "EUR", items: [], productionCost: 10, total: 14.3 };
+const PRINT_INFO = { estimatedTime: 3600, filamentUsedGrams: "12.00", printerId: "creality_ender3" };
+
+const payloadFor = (fields = {}) => buildOrderPayload({
+  modelName: "bracket.stl",
+  modelBytes: new Uint8Array([1, 2, 3, 250]).buffer,
+  settings: { layerHeight: 0.2 },
+  printInfo: PRINT_INFO,
+  quote: QUOTE,
+  customer: { name: " Ada ", email: "ada@example.com" },
+  ...fields,
+});
+
+let server;
+const start = (options) => new Promise((resolve) => {
+  server = createMockOrderServer(options);
+  server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+afterEach((done) => {
+  server.close(done);
+});
+
+test("submits an order and follows its status", async () => {
+  const client = createOrderClient({ baseUrl: await start() });
+  const payload = payloadFor();
+  const order = await client.submitOrder(payload);
+
+  expect(order.status).toBe("received");
+  const stored = server.orders.get(order.id);
+  expect(stored.model).toEqual({ name: "bracket.stl", format: "stl", sourceHash: null, data: "AQID+g==" });
+  expect(stored.customer).toEqual({ name: "Ada", email: "ada@example.com", notes: "" });
+  expect(stored.quote).toEqual(QUOTE);
+
+  const records = [createOrderRecord(payload, order)];
+  expect(records[0]).toMatchObject({ id: order.id, status: "received", total: 14.3, currency: "EUR", modelName: "bracket.stl" });
+  const update = await client.getOrder(order.id);
+  expect(updateOrderRecord(records, update)[0].status).toBe("accepted");
+});
+
+test("retries server errors without creating duplicate orders", async () => {
+  const client = createOrderClient({ baseUrl: await start({ failFirst: 2 }), retryDelayMs: 1 });
+  const retries = [];
+  const payload = payloadFor();
+  const order = await client.submitOrder(payload, { onRetry: (attempt) => retries.push(attempt) });
+
+  expect(retries).toEqual([1, 2]);
+  expect(await client.submitOrder(payload)).toMatchObject({ id: order.id });
+  expect(server.orders.size).toBe(1);
+});
+
+test("gives up after the configured retries", async () => {
+  const client = createOrderClient({ baseUrl: await start({ failFirst: 5 }), retries: 1, retryDelayMs: 1 });
+  await expect(client.submitOrder(payloadFor())).rejects.toMatchObject({ status: 503, retryable: true });
+});
+
+test("does not retry rejected orders", async () => {
+  const client = createOrderClient({ baseUrl: await start(), retryDelayMs: 1 });
+  const retry = jest.fn();
+  const error = await client.submitOrder(payloadFor({ customer: { email: "not-an-email" } }), { onRetry: retry }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(OrderRequestError);
+  expect(error.message).toBe("Order server answered 422: customer.email is not valid");
+  expect(retry).not.toHaveBeenCalled();
+});
+
+test("sends the API key", async () => {
+  const baseUrl = await start({ apiKey: "secret" });
+  await expect(createOrderClient({ baseUrl }).getOrder("x")).rejects.toMatchObject({ status: 401 });
+  await expect(createOrderClient({ baseUrl, apiKey: "secret" }).getOrder("x")).rejects.toMatchObject({ status: 404 });
+});
+
+test("retries when the server cannot be reached", async () => {
+  const baseUrl = await start();
+  await new Promise((resolve) => server.close(resolve));
+  server = createMockOrderServer(); // something for afterEach to close
+  server.listen(0, "127.0.0.1");
+
+  const client = createOrderClient({ baseUrl, retries: 2, retryDelayMs: 1 });
+  await expect(client.getOrder("x")).rejects.toThrow(/Could not reach the order server/);
+});
@@ -0,0 +1,176 @@
+import { materialOverrides } from "./materials";
+import { DEFAULT_USER_SETTINGS, effectiveLineWidth, shellThickness } from "./userSettings";
+
+// Where an override came from, shown next to each value in the settings report
+export const OVERRIDE_SOURCES = {
+  printer: "Printer profile",
+  defaults: "Slicer defaults",
+  settings: "Print settings",
+  material: "Material",
+  quality: "Quality defaults",
+  expert: "Expert settings",
+};
+
+// Collapses a list of overrides to one entry per key. The last value wins,
+// same as CuraWASM, and sits where it was added; earlier values are kept in
+// `replaced` so the report can explain what was overridden.
+export function normalizeOverrides(overrides) {
+  const byKey = new Map();
+  overrides.forEach(({ scope, key, value, source }) => {
+    const previous = byKey.get(key);
+    const replaced = previous ? [...previous.replaced, { value: previous.value, source: previous.source }] : [];
+    byKey.delete(key);
+    byKey.set(key, { scope, key, value, source, replaced });
+  });
+  return [...byKey.values()];
+}
+
+// Strips the report fields, leaving what CuraWASM expects
+export const toCuraOverrides = (entries) => entries.map(({ scope, key, value }) => ({ scope, key, value }));
+
+// Every override for a slice with its source, printer profile first, one entry per key
+export function explainOverrides(user, material, printer) {
+  const printerOverrides = (printer?.overrides || []).map((o) => ({ ...o, source: OVERRIDE_SOURCES.printer }));
+  return normalizeOverrides([...printerOverrides, ...collectOverrides(user, material, printer)]);
+}
+
+// Line spacing for a support density, as Cura's frontend works it out;
+// CuraEngine only reads the spacing
+function supportLineDistance(density, pattern, lineWidth) {
+  if (density <= 0) return 0;
+  const factor = pattern === "grid" ? 2 : pattern === "triangles" ? 3 : 1;
+  return Math.round(((lineWidth * 100) / density) * factor * 1000) / 1000;
+}
+
+// Support keys for an enabled support, including the ones Cura normally derives
+function supportOverrides(user, printer) {
+  const setting = (key) => user[key] ?? DEFAULT_USER_SETTINGS[key];
+  const lineWidth = effectiveLineWidth(user, printer);
+  const layerHeight = user.layerHeight || DEFAULT_USER_SETTINGS.layerHeight;
+  const placement = setting("supportPlacement");
+  const zDistance = setting("supportZDistance");
+  const interfaceLayers = setting("supportInterfaceLayers");
+  const interfaceHeight = Math.round(interfaceLayers * layerHeight * 1000) / 1000;
+
+  const overrides = [
+    ["support_structure", setting("supportStructure")],
+    ["support_type", placement],
+    ["support_angle", setting("supportAngle")],
+    ["support_infill_rate", setting("supportDensity")],
+    ["support_pattern", setting("supportPattern")],
+    ["support_line_distance", supportLineDistance(setting("supportDensity"), setting("supportPattern"), lineWidth)],
+    ["support_z_distance", zDistance],
+    ["support_top_distance", zDistance],
+    // Support standing on the plate has nothing below it to keep a gap from
+    ["support_bottom_distance", placement === "everywhere" ? zDistance : 0],
+    ["support_interface_enable", interfaceLayers > 0],
+    ["support_roof_enable", interfaceLayers > 0],
+    ["support_bottom_enable", interfaceLayers > 0 && placement === "everywhere"],
+    ["support_brim_enable", setting("supportBrim")],
+  ];
+  if (interfaceLayers > 0) {
+    overrides.push(
+      ["support_interface_height", interfaceHeight],
+      ["support_roof_height", interfaceHeight],
+      ["support_bottom_height", interfaceHeight],
+    );
+  }
+  if (setting("supportBrim")) {
+    overrides.push(
+      ["support_brim_width", setting("supportBrimWidth")],
+      ["support_brim_line_count", Math.ceil(setting("supportBrimWidth") / lineWidth)],
+    );
+  }
+  return overrides;
+}
+
+// 🔧 Helper to build overrides with correct format
+export function buildOverrides(user, material, printer) {
+  return toCuraOverrides(normalizeOverrides(collectOverrides(user, material, printer)));
+}
+
+function collectOverrides(user, material, printer) {
+  const overrides = [];
+  const add = (key, value, source) => overrides.push({ scope: undefined, key, value, source });
+
+  // Base overrides with default values - ALWAYS include infill density
+  add("speed_print", 80, OVERRIDE_SOURCES.defaults); // Default print speed
+  add("material_bed_temperature", 70, OVERRIDE_SOURCES.defaults); // Default bed temp
+  add("material_print_temperature", 210, OVERRIDE_SOURCES.defaults); // Default nozzle temp
+  // CRITICAL: Always set infill density first
+  add("infill_sparse_density", user.infillDensity || 20, OVERRIDE_SOURCES.settings);
+
+  // 1. Layer Height - Override only if user selects non-default
+  if (user.layerHeight && user.layerHeight !== 0.15) {
+    add("layer_height", user.layerHeight, OVERRIDE_SOURCES.settings);
+    // Adjust initial layer height proportionally
+    add("layer_height_0", Math.round(user.layerHeight * 1500) / 1000, OVERRIDE_SOURCES.settings);
+  } else if (user.layerHeight === 0.15) {
+    // Explicitly set default if selected
+    add("layer_height", 0.15, OVERRIDE_SOURCES.settings);
+    add("layer_height_0", 0.2, OVERRIDE_SOURCES.settings);
+  }
+  
+  // 2. Infill Pattern - Override if specified
+  if (user.infillPattern) {
+    add("infill_pattern", user.infillPattern, OVERRIDE_SOURCES.settings);
+  }
+  
+  // 3. Support Enable - Override if specified
+  if (user.supportEnable !== undefined) {
+    add("support_enable", user.supportEnable, OVERRIDE_SOURCES.settings);
+    if (user.supportEnable) {
+      supportOverrides(user, printer).forEach(([key, value]) => add(key, value, OVERRIDE_SOURCES.settings));
+    }
+  }
+
+  // 4. Material - Temperatures, retraction and speed come from the material library
+  if (material) {
+    materialOverrides(material).forEach(({ key, value }) => add(key, value, `${OVERRIDE_SOURCES.material}: ${material.name}`));
+  }
+
+  // 5. Material Color - Not a Cura setting (CuraEngine ignores it), the
+  // colour is only recorded in the print info
+
+  // Add some quality settings for better results
+  add("retraction_enable", true, OVERRIDE_SOURCES.quality);
+
+  // 6. Walls, Skin and Line Width - Counts go to CuraEngine, thicknesses are
+  // sent as well so they agree with the counts
+  const shell = { ...DEFAULT_USER_SETTINGS, ...user };
+  const thickness = shellThickness(shell, printer);
+  const lineWidth = effectiveLineWidth(shell, printer);
+  add("wall_line_count", shell.wallLineCount, OVERRIDE_SOURCES.settings);
+  add("wall_thickness", thickness.wall, OVERRIDE_SOURCES.settings);
+  add("top_layers", shell.topLayers, OVERRIDE_SOURCES.settings);
+  add("top_thickness", thickness.top, OVERRIDE_SOURCES.settings);
+  add("bottom_layers", shell.bottomLayers, OVERRIDE_SOURCES.settings);
+  add("bottom_thickness", thickness.bottom, OVERRIDE_SOURCES.settings);
+  add("outer_inset_first", shell.outerWallFirst, OVERRIDE_SOURCES.settings);
+  // Cura derives the per-feature widths from line_width, CuraEngine does not
+  ["line_width", "wall_line_width", "wall_line_width_0", "wall_line_width_x", "skin_line_width", "infill_line_width", "skirt_brim_line_width", "support_line_width"]
+    .forEach((key) => add(key, lineWidth, OVERRIDE_SOURCES.settings));
+
+  // 7. Bed Adhesion - Type plus the parameters that apply to it
+  const adhesionType = user.adhesionType || DEFAULT_USER_SETTINGS.adhesionType;
+  const setting = (key) => user[key] ?? DEFAULT_USER_SETTINGS[key];
+  add("adhesion_type", adhesionType, OVERRIDE_SOURCES.settings);
+  if (adhesionType === "skirt") {
+    add("skirt_gap", setting("skirtDistance"), OVERRIDE_SOURCES.settings);
+    add("skirt_line_count", setting("skirtLineCount"), OVERRIDE_SOURCES.settings);
+  } else if (adhesionType === "brim") {
+    add("brim_width", setting("brimWidth"), OVERRIDE_SOURCES.settings);
+    // CuraEngine reads the line count, Cura's frontend normally derives it from the width
+    add("brim_line_count", Math.ceil(setting("brimWidth") / lineWidth), OVERRIDE_SOURCES.settings);
+  } else if (adhesionType === "raft") {
+    add("raft_margin", setting("raftMargin"), OVERRIDE_SOURCES.settings);
+    add("raft_surface_layers", setting("raftLayers"), OVERRIDE_SOURCES.settings);
+  }
+
+  // 8. Expert panel - Any Cura setting, added last so it wins over everything above
+  Object.entries(user.expertOverrides || {}).forEach(([key, value]) => {
+    add(key, value, OVERRIDE_SOURCES.expert);
+  });
+
+  return overrides;
+}
@@ -0,0 +1,103 @@
+import { findMaterial } from "./materials";
+import { OVERRIDE_SOURCES, buildOverrides, explainOverrides, normalizeOverrides } from "./overrides";
+import { sliceOverrides } from "./modelSlice";
+import { getPrinter } from "./printers";
+import { DEFAULT_USER_SETTINGS, shellThickness } from "./userSettings";
+
+const pla = findMaterial([], "pla");
+
+test("keeps one entry per key with the last value where it was added", () => {
+  const entries = normalizeOverrides([
+    { key: "a", value: 1, source: "first" },
+    { key: "b", value: 2, source: "first" },
+    { key: "a", value: 3, source: "second" },
+  ]);
+  expect(entries.map((e) => [e.key, e.value])).toEqual([["b", 2], ["a", 3]]);
+  expect(entries[1].replaced).toEqual([{ value: 1, source: "first" }]);
+});
+
+test("buildOverrides sends each key once in CuraWASM's format", () => {
+  const overrides = buildOverrides(DEFAULT_USER_SETTINGS, pla);
+  const keys = overrides.map((o) => o.key);
+  expect(new Set(keys).size).toBe(keys.length);
+  expect(overrides.find((o) => o.key === "speed_print")).toEqual({ scope: undefined, key: "speed_print", value: pla.printSpeed });
+});
+
+test("explains which source each value came from", () => {
+  const entries = explainOverrides(DEFAULT_USER_SETTINGS, pla, getPrinter("creality_ender3"));
+  const temperature = entries.find((e) => e.key === "material_print_temperature");
+  expect(temperature.source).toBe(`${OVERRIDE_SOURCES.material}: ${pla.name}`);
+  expect(temperature.replaced).toEqual([{ value: 210, source: OVERRIDE_SOURCES.defaults }]);
+});
+
+test("user settings win over the printer profile", () => {
+  const printer = { overrides: [{ scope: undefined, key: "speed_print", value: 30 }] };
+  const overrides = sliceOverrides(printer, DEFAULT_USER_SETTINGS, pla);
+  expect(overrides.filter((o) => o.key === "speed_print")).toEqual([{ scope: undefined, key: "speed_print", value: pla.printSpeed }]);
+});
+
+test("sends only the parameters of the selected adhesion type", () => {
+  const value = (overrides, key) => overrides.find((o) => o.key === key)?.value;
+  const brim = buildOverrides({ ...DEFAULT_USER_SETTINGS, adhesionType: "brim", brimWidth: 5 }, pla, { nozzleSize: 0.4 });
+  expect(value(brim, "adhesion_type")).toBe("brim");
+  expect(value(brim, "brim_width")).toBe(5);
+  expect(value(brim, "brim_line_count")).toBe(13);
+  expect(value(brim, "skirt_gap")).toBeUndefined();
+
+  const raft = buildOverrides({ ...DEFAULT_USER_SETTINGS, adhesionType: "raft" }, pla);
+  expect([value(raft, "raft_margin"), value(raft, "raft_surface_layers")]).toEqual([15, 2]);
+
+  const none = buildOverrides({ ...DEFAULT_USER_SETTINGS, adhesionType: "none" }, pla);
+  // Line widths are sent for every slice
+  expect(none.filter((o) => /^(skirt|brim|raft)_/.test(o.key) && !o.key.endsWith("_line_width"))).toEqual([]);
+});
+
+test("maps support settings to Cura keys, including derived ones", () => {
+  const value = (overrides, key) => overrides.find((o) => o.key === key)?.value;
+  const settings = {
+    ...DEFAULT_USER_SETTINGS,
+    layerHeight: 0.2,
+    supportEnable: true,
+    supportStructure: "tree",
+    supportPlacement: "everywhere",
+    supportDensity: 20,
+    supportPattern: "grid",
+    supportZDistance: 0.2,
+    supportInterfaceLayers: 3,
+  };
+  const overrides = buildOverrides(settings, pla, { nozzleSize: 0.4 });
+  expect(value(overrides, "support_structure")).toBe("tree");
+  expect(value(overrides, "support_type")).toBe("everywhere");
+  expect(value(overrides, "support_line_distance")).toBe(4);
+  expect(value(overrides, "support_bottom_distance")).toBe(0.2);
+  expect(value(overrides, "support_roof_enable")).toBe(true);
+  expect(value(overrides, "support_interface_height")).toBe(0.6);
+  expect(value(overrides, "support_brim_enable")).toBe(false);
+
+  const plate = buildOverrides({ ...settings, supportPlacement: "buildplate", supportInterfaceLayers: 0 }, pla);
+  expect(value(plate, "support_bottom_distance")).toBe(0);
+  expect(value(plate, "support_interface_enable")).toBe(false);
+  expect(value(plate, "support_interface_height")).toBeUndefined();
+
+  const off = buildOverrides({ ...settings, supportEnable: false }, pla);
+  expect(off.filter((o) => o.key.startsWith("support_") && o.key !== "support_line_width").map((o) => o.key)).toEqual(["support_enable"]);
+});
+
+test("sends wall and skin counts with matching thicknesses and line widths", () => {
+  const value = (overrides, key) => overrides.find((o) => o.key === key)?.value;
+  const settings = { ...DEFAULT_USER_SETTINGS, layerHeight: 0.2, wallLineCount: 2, topLayers: 5, bottomLayers: 4, lineWidth: 0.45, outerWallFirst: true };
+  expect(shellThickness(settings, { nozzleSize: 0.4 })).toEqual({ wall: 0.9, top: 1, bottom: 0.8 });
+
+  const overrides = buildOverrides(settings, pla, { nozzleSize: 0.4 });
+  expect(value(overrides, "wall_line_count")).toBe(2);
+  expect(value(overrides, "wall_thickness")).toBe(0.9);
+  expect(value(overrides, "top_layers")).toBe(5);
+  expect(value(overrides, "bottom_thickness")).toBe(0.8);
+  expect(value(overrides, "outer_inset_first")).toBe(true);
+  expect(value(overrides, "wall_line_width_0")).toBe(0.45);
+
+  // Line width 0 follows the nozzle
+  const nozzle = buildOverrides({ ...settings, lineWidth: 0 }, pla, { nozzleSize: 0.6 });
+  expect(value(nozzle, "line_width")).toBe(0.6);
+  expect(value(nozzle, "wall_thickness")).toBe(1.2);
+});
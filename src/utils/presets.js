@@ -0,0 +1,51 @@
+import { normalizeUserSettings } from "./userSettings";
+
+// Named snapshots of userSettings, e.g. "Functional PETG 40% gyroid".
+// Stored in localStorage and passed between machines as JSON.
+
+export const PRESETS_STORAGE_KEY = "slicer.presets";
+
+export function createPreset(name, settings) {
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    settings: normalizeUserSettings(settings),
+  };
+}
+
+// Replaces the preset with the same name (names are what teammates see)
+export function upsertPreset(presets, preset) {
+  const key = preset.name.toLowerCase();
+  const index = presets.findIndex((p) => p.name.toLowerCase() === key);
+  if (index === -1) return [...presets, preset];
+  return presets.map((p, i) => (i === index ? { ...preset, id: p.id } : p));
+}
+
+export function exportPresets(presets) {
+  return JSON.stringify({ version: 1, presets }, null, 2);
+}
+
+// Accepts either { presets: [...] } or a bare array
+export function importPresets(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error("Preset file is not valid JSON");
+  }
+
+  const list = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Preset file does not contain any presets");
+  }
+
+  return list.map((preset, index) => {
+    if (!preset || typeof preset.name !== "string" || !preset.name.trim()) {
+      throw new Error(`Preset #${index + 1} has no name`);
+    }
+    if (!preset.settings || typeof preset.settings !== "object") {
+      throw new Error(`Preset ${preset.name} has no settings`);
+    }
+    return createPreset(preset.name, preset.settings);
+  });
+}
@@ -0,0 +1,33 @@
+import { createPreset, exportPresets, importPresets, upsertPreset } from "./presets";
+import { DEFAULT_USER_SETTINGS, normalizeUserSettings } from "./userSettings";
+
+const functionalPetg = { ...DEFAULT_USER_SETTINGS, materialType: "petg", infillDensity: 40, infillPattern: "gyroid" };
+
+test("normalizes settings to known keys and types", () => {
+  const settings = normalizeUserSettings({ infillDensity: "40", supportEnable: true, extra: 1 });
+  expect(settings).toEqual({ ...DEFAULT_USER_SETTINGS, supportEnable: true });
+});
+
+test("saving under an existing name replaces that preset", () => {
+  const first = createPreset("Functional PETG", functionalPetg);
+  const presets = upsertPreset([first], createPreset("functional petg", { ...functionalPetg, infillDensity: 50 }));
+
+  expect(presets).toHaveLength(1);
+  expect(presets[0].id).toBe(first.id);
+  expect(presets[0].settings.infillDensity).toBe(50);
+});
+
+test("export and import round-trip preset settings", () => {
+  const presets = [createPreset("Functional PETG 40% gyroid", functionalPetg), createPreset("Display PLA fine", { layerHeight: 0.1 })];
+  const imported = importPresets(exportPresets(presets));
+
+  expect(imported.map((p) => p.name)).toEqual(["Functional PETG 40% gyroid", "Display PLA fine"]);
+  expect(imported[0].settings).toEqual(functionalPetg);
+  expect(imported[1].settings.layerHeight).toBe(0.1);
+});
+
+test("rejects malformed preset files", () => {
+  expect(() => importPresets("nope")).toThrow("not valid JSON");
+  expect(() => importPresets("[]")).toThrow("does not contain any presets");
+  expect(() => importPresets(JSON.stringify([{ name: "No settings" }]))).toThrow("No settings has no settings");
+});
@@ -0,0 +1,109 @@
+import { filamentLengthMm, filamentVolumeMm3, filamentWeightGrams } from "./materials";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const DEFAULT_FILAMENT_DIAMETER = 1.75; // when no printer was resolved
+
+// Dimensions from the pre-slice mesh analysis, CuraWASM rarely reports them
+function modelDimensions(analysis, metadata) {
+  if (!analysis) {
+    return {
+      volume: metadata?.volume || "N/A",
+      height: metadata?.height || "N/A",
+      width: metadata?.width || "N/A",
+      depth: metadata?.depth || "N/A",
+    };
+  }
+  const [width, depth, height] = analysis.boundingBox.size;
+  return {
+    volume: round2(analysis.volume),
+    height: round2(height),
+    width: round2(width),
+    depth: round2(depth),
+    surfaceArea: round2(analysis.surfaceArea),
+    triangleCount: analysis.triangleCount,
+    shellCount: analysis.shellCount,
+    isWatertight: analysis.isWatertight,
+  };
+}
+
+// Adhesion and support shares of the totals, from measureUsage on the G-code.
+// Cura's filament and time figures already include them. measureUsage counts
+// filament length, which is weighed by the volume it holds.
+function featureUsage(prefix, material, measured, diameter) {
+  return {
+    [`${prefix}FilamentMm`]: measured ? round2(measured.filamentMm) : "N/A",
+    [`${prefix}FilamentGrams`]: measured && material
+      ? filamentWeightGrams(filamentVolumeMm3(measured.filamentMm, diameter), material).toFixed(2)
+      : "N/A",
+    [`${prefix}Time`]: measured ? Math.round(measured.seconds) : "N/A",
+  };
+}
+
+function usageBreakdown(userSettings, material, usage, diameter) {
+  return {
+    adhesionType: userSettings.adhesionType || "skirt",
+    ...featureUsage("adhesion", material, usage?.adhesion, diameter),
+    supportEnable: Boolean(userSettings.supportEnable),
+    supportStructure: userSettings.supportStructure || "normal",
+    ...featureUsage("support", material, usage?.support, diameter),
+  };
+}
+
+// Our own acceleration-aware estimate from estimatePrintTime, next to Cura's
+function simulatedTiming(timing) {
+  return {
+    simulatedTime: timing ? Math.round(timing.totalSeconds) : "N/A",
+    layerTimes: timing ? timing.layers.map((l) => ({ index: l.index, seconds: Math.round(l.seconds * 10) / 10 })) : [],
+  };
+}
+
+// Turn CuraWASM metadata into the printInfo shape shown under "Print Analysis Complete!"
+export function buildPrintInfo(metadata, userSettings, printer, material, analysis, usage, timing) {
+  const settingsUsed = {
+    printerId: printer?.id,
+    printerName: printer?.name || "N/A",
+    materialType: material ? material.name.toUpperCase() : userSettings.materialType.toUpperCase(),
+    materialId: userSettings.materialType,
+    materialColor: userSettings.materialColor,
+    layerHeight: userSettings.layerHeight,
+    infillDensity: userSettings.infillDensity,
+  };
+  const diameter = printer?.filamentDiameter || DEFAULT_FILAMENT_DIAMETER;
+
+  if (!metadata) {
+    console.warn("No metadata received from slicing operation");
+    return {
+      estimatedTime: "N/A",
+      filamentUsedMm: "N/A", 
+      filamentUsedMm3: "N/A",
+      filamentUsedGrams: "N/A",
+      layerCount: "N/A",
+      ...usageBreakdown(userSettings, material, usage, diameter),
+      ...simulatedTiming(timing),
+      ...modelDimensions(analysis, metadata),
+      ...settingsUsed,
+    };
+  }
+
+  // CuraEngine reports the filament used as a volume in mm³
+  const filamentMm3 = metadata.filamentUsage || 
+                    metadata.material1Usage || 
+                    metadata.filament_used || 0;
+
+  const filamentGrams = material ? filamentWeightGrams(filamentMm3, material) : 0;
+
+  return {
+    estimatedTime: metadata.printTime || 
+                  metadata.print_time || 
+                  metadata.estimated_time || "N/A",
+    filamentUsedMm: round2(filamentLengthMm(filamentMm3, diameter)),
+    filamentUsedMm3: filamentMm3,
+    filamentUsedGrams: filamentGrams.toFixed(2),
+    layerCount: metadata.layers || metadata.layer_count || "N/A",
+    ...usageBreakdown(userSettings, material, usage, diameter),
+    ...simulatedTiming(timing),
+    ...modelDimensions(analysis, metadata),
+    ...settingsUsed,
+  };
+}
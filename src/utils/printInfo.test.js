@@ -0,0 +1,25 @@
+import { DEFAULT_MATERIALS, findMaterial } from "./materials";
+import { buildPrintInfo } from "./printInfo";
+
+const pla = findMaterial(DEFAULT_MATERIALS, "pla");
+const printer = { id: "test", name: "Test", filamentDiameter: 1.75 };
+const userSettings = { materialType: "pla", adhesionType: "brim", supportEnable: true };
+const area = Math.PI * 0.875 ** 2;
+
+test("Cura's filament volume is shown as a length of the printer's filament", () => {
+  const info = buildPrintInfo({ filamentUsage: 10000 * area, printTime: 600 }, userSettings, printer, pla);
+
+  expect(info.filamentUsedMm).toBeCloseTo(10000);
+  expect(info.filamentUsedMm3).toBeCloseTo(10000 * area);
+  expect(parseFloat(info.filamentUsedGrams)).toBeCloseTo((10000 * area / 1000) * pla.density, 2);
+});
+
+test("adhesion and support lengths are weighed like the total", () => {
+  const usage = { adhesion: { filamentMm: 1000, seconds: 60 }, support: { filamentMm: 2500, seconds: 120 } };
+  const info = buildPrintInfo({ filamentUsage: 10000 * area }, userSettings, printer, pla, null, usage);
+  const gramsPerMm = parseFloat(info.filamentUsedGrams) / info.filamentUsedMm;
+
+  expect(info.adhesionFilamentMm).toBe(1000);
+  expect(parseFloat(info.adhesionFilamentGrams)).toBeCloseTo(1000 * gramsPerMm, 2);
+  expect(parseFloat(info.supportFilamentGrams)).toBeCloseTo(2500 * gramsPerMm, 2);
+});
@@ -0,0 +1,309 @@
+// Printers bundled with cura-wasm-definitions. The package only exposes
+// resolveDefinition(), so this list is generated from its src/definitions
+// folder (visible machine definitions that resolve without errors).
+export const PRINTER_CATALOG = [
+  { id: "maker_starter", name: "3DMaker Starter", manufacturer: "3DMaker" },
+  { id: "abax_pri3", name: "ABAX PRi3", manufacturer: "ABAX 3d Technologies" },
+  { id: "abax_pri5", name: "ABAX PRi5", manufacturer: "ABAX 3d Technologies" },
+  { id: "abax_titan", name: "ABAX Titan", manufacturer: "ABAX 3d Technologies" },
+  { id: "alfawise_u20", name: "Alfawise U20", manufacturer: "Alfawise" },
+  { id: "alfawise_u30", name: "Alfawise U30", manufacturer: "Alfawise" },
+  { id: "anet3d_a2", name: "Anet A2", manufacturer: "Anet" },
+  { id: "anet3d_a2_plus", name: "Anet A2 PLUS", manufacturer: "Anet" },
+  { id: "anet3d_a6", name: "Anet A6", manufacturer: "Anet" },
+  { id: "anet3d_a8", name: "Anet A8", manufacturer: "Anet" },
+  { id: "anet3d_a8_plus", name: "Anet A8 PLUS", manufacturer: "Anet" },
+  { id: "anet3d_e10", name: "Anet E10", manufacturer: "Anet" },
+  { id: "anet3d_e12", name: "Anet E12", manufacturer: "Anet" },
+  { id: "anet3d_e16", name: "Anet E16", manufacturer: "Anet" },
+  { id: "anet3d_et4", name: "Anet ET4", manufacturer: "Anet" },
+  { id: "anet3d_et4_pro", name: "Anet ET4 PRO", manufacturer: "Anet" },
+  { id: "anet3d_et4_x", name: "Anet ET4 X", manufacturer: "Anet" },
+  { id: "anet3d_et5", name: "Anet ET5", manufacturer: "Anet" },
+  { id: "anet3d_et5_x", name: "Anet ET5 X", manufacturer: "Anet" },
+  { id: "anycubic_4max", name: "Anycubic 4Max", manufacturer: "Anycubic" },
+  { id: "anycubic_chiron", name: "Anycubic Chiron", manufacturer: "Anycubic" },
+  { id: "anycubic_i3_mega", name: "Anycubic i3 Mega", manufacturer: "Anycubic" },
+  { id: "anycubic_kossel_linear_plus", name: "Anycubic Kossel Linear Plus", manufacturer: "Anycubic" },
+  { id: "anycubic_kossel_pulley", name: "Anycubic Kossel Pulley", manufacturer: "Anycubic" },
+  { id: "anycubic_mega_zero", name: "Anycubic Mega Zero", manufacturer: "Anycubic" },
+  { id: "predator", name: "Anycubic Predator", manufacturer: "Anycubic" },
+  { id: "artillery_genius", name: "Artillery Genius", manufacturer: "Artillery" },
+  { id: "artillery_sidewinder_x1", name: "Artillery Sidewinder X1", manufacturer: "Artillery" },
+  { id: "creatable_d3", name: "Creatable D3", manufacturer: "Ateam Ventures Co. Ltd." },
+  { id: "atmat_asterion", name: "Asterion", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_asterion_ht", name: "Asterion HT", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_galaxy_500", name: "Galaxy 500", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_galaxy_600", name: "Galaxy 600", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_pro_300_v1", name: "Signal Pro 300 v1", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_pro_300_v2", name: "Signal Pro 300 v2", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_pro_400_v1", name: "Signal Pro 400 v1", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_pro_400_v2", name: "Signal Pro 400 v2", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_pro_500_v1", name: "Signal Pro 500 v1", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_pro_500_v2", name: "Signal Pro 500 v2", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_xl", name: "Signal XL", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_xxl", name: "Signal XXL", manufacturer: "ATMAT sp. z o.o." },
+  { id: "atmat_signal_xxxl", name: "Signal XXXL", manufacturer: "ATMAT sp. z o.o." },
+  { id: "beamup_l", name: "BeamUp L", manufacturer: "BeamUp" },
+  { id: "beamup_s", name: "BeamUp S", manufacturer: "BeamUp" },
+  { id: "hellobeeprusa", name: "Hello BEE Prusa", manufacturer: "BEEVERYCREATIVE" },
+  { id: "bfb", name: "BFB", manufacturer: "BFB" },
+  { id: "bibo2_dual", name: "BIBO2 dual", manufacturer: "BIBO" },
+  { id: "biqu_b1", name: "BIQU B1", manufacturer: "BIQU" },
+  { id: "biqu_b1_abl", name: "BIQU B1 ABL", manufacturer: "BIQU" },
+  { id: "blv_mgn_cube_300", name: "BLV mgn Cube 300", manufacturer: "BLV" },
+  { id: "blv_mgn_cube_350", name: "BLV mgn Cube 350", manufacturer: "BLV" },
+  { id: "bq_hephestos_2", name: "BQ Hephestos 2", manufacturer: "BQ" },
+  { id: "bq_hephestos", name: "BQ Prusa i3 Hephestos", manufacturer: "BQ" },
+  { id: "bq_hephestos_xl", name: "BQ Prusa i3 Hephestos XL", manufacturer: "BQ" },
+  { id: "bq_witbox", name: "BQ Witbox", manufacturer: "BQ" },
+  { id: "bq_witbox_2", name: "BQ Witbox 2", manufacturer: "BQ" },
+  { id: "builder_premium_large", name: "Builder Premium Large", manufacturer: "Builder" },
+  { id: "builder_premium_medium", name: "Builder Premium Medium", manufacturer: "Builder" },
+  { id: "builder_premium_small", name: "Builder Premium Small", manufacturer: "Builder" },
+  { id: "cocoon_create", name: "Cocoon Create", manufacturer: "Cocoon Create" },
+  { id: "cocoon_create_modelmaker", name: "Cocoon Create ModelMaker", manufacturer: "Cocoon Create" },
+  { id: "cocoon_create_touch", name: "Cocoon Create Touch", manufacturer: "Cocoon Create" },
+  { id: "creality_cr10", name: "Creality CR-10", manufacturer: "Creality3D" },
+  { id: "creality_cr10max", name: "Creality CR-10 Max", manufacturer: "Creality3D" },
+  { id: "creality_cr10mini", name: "Creality CR-10 Mini", manufacturer: "Creality3D" },
+  { id: "creality_cr10s", name: "Creality CR-10S", manufacturer: "Creality3D" },
+  { id: "creality_cr10spro", name: "Creality CR-10S Pro", manufacturer: "Creality3D" },
+  { id: "creality_cr10s4", name: "Creality CR-10S4", manufacturer: "Creality3D" },
+  { id: "creality_cr10s5", name: "Creality CR-10S5", manufacturer: "Creality3D" },
+  { id: "creality_cr20", name: "Creality CR-20", manufacturer: "Creality3D" },
+  { id: "creality_cr20pro", name: "Creality CR-20 Pro", manufacturer: "Creality3D" },
+  { id: "creality_cr6se", name: "Creality CR-6 SE", manufacturer: "Creality3D" },
+  { id: "creality_ender2", name: "Creality Ender-2", manufacturer: "Creality3D" },
+  { id: "creality_ender3", name: "Creality Ender-3", manufacturer: "Creality3D" },
+  { id: "creality_ender3pro", name: "Creality Ender-3 Pro", manufacturer: "Creality3D" },
+  { id: "creality_ender4", name: "Creality Ender-4", manufacturer: "Creality3D" },
+  { id: "creality_ender5", name: "Creality Ender-5", manufacturer: "Creality3D" },
+  { id: "creality_ender5plus", name: "Creality Ender-5 Plus", manufacturer: "Creality3D" },
+  { id: "cubicon_dual_pro_a30", name: "Cubicon Dual Pro-A30", manufacturer: "Cubicon" },
+  { id: "cubicon_3dp_110f", name: "Cubicon Single", manufacturer: "Cubicon" },
+  { id: "cubicon_3dp_310f", name: "Cubicon Single Plus", manufacturer: "Cubicon" },
+  { id: "cubicon_3dp_210f", name: "Cubicon Style", manufacturer: "Cubicon" },
+  { id: "cubicon_style_neo_a22", name: "Cubicon Style Neo-A22", manufacturer: "Cubicon" },
+  { id: "cubicon_style_plus_a15", name: "Cubicon Style Plus-A15", manufacturer: "Cubicon" },
+  { id: "custom", name: "Custom FFF printer", manufacturer: "Custom" },
+  { id: "smoothie", name: "Smoothie Custom Printer", manufacturer: "Custom" },
+  { id: "dagoma_discoeasy200", name: "Dagoma DiscoEasy200", manufacturer: "Dagoma" },
+  { id: "dagoma_discoeasy200_bicolor", name: "Dagoma DiscoEasy200 Bicolor", manufacturer: "Dagoma" },
+  { id: "dagoma_discoultimate", name: "Dagoma DiscoUltimate", manufacturer: "Dagoma" },
+  { id: "dagoma_discoultimate_bicolor", name: "Dagoma DiscoUltimate Bicolor", manufacturer: "Dagoma" },
+  { id: "dagoma_magis", name: "Dagoma Magis", manufacturer: "Dagoma" },
+  { id: "dagoma_neva", name: "Dagoma Neva", manufacturer: "Dagoma" },
+  { id: "deltacomb_dc20", name: "Deltacomb DC-20", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc20dual", name: "Deltacomb DC-20 DUAL", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc20flux", name: "Deltacomb DC-20 FLUX", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc21", name: "Deltacomb DC-21", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc21dual", name: "Deltacomb DC-21 DUAL", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc21flux", name: "Deltacomb DC-21 FLUX", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc30", name: "Deltacomb DC-30", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc30dual", name: "Deltacomb DC-30 DUAL", manufacturer: "Deltacomb 3D Printers" },
+  { id: "deltacomb_dc30flux", name: "Deltacomb DC-30 FLUX", manufacturer: "Deltacomb 3D Printers" },
+  { id: "delta_go", name: "Delta Go", manufacturer: "Deltaprintr" },
+  { id: "dxu", name: "DXU", manufacturer: "DXU" },
+  { id: "easyarts_ares", name: "EasyArts Ares", manufacturer: "EasyArts" },
+  { id: "i3metalmotion", name: "I3 Metal Motion", manufacturer: "eMotionTech" },
+  { id: "strateo3d", name: "Strateo3D", manufacturer: "eMotionTech" },
+  { id: "eryone_er20", name: "Eryone ER20", manufacturer: "Eryone" },
+  { id: "fabtotum", name: "FABtotum Personal Fabricator", manufacturer: "FABtotum" },
+  { id: "fabxpro", name: "FabX Pro", manufacturer: "FabX" },
+  { id: "felixpro2dual", name: "Felix Pro 2 Dual", manufacturer: "Felix" },
+  { id: "felixtec4dual", name: "Felix Tec 4 Dual", manufacturer: "Felix" },
+  { id: "flsun_qq", name: "FLSUN QQ", manufacturer: "FLSUN" },
+  { id: "flsun_qq_s", name: "FLSUN QQ-S", manufacturer: "FLSUN" },
+  { id: "flyingbear_ghost_4s", name: "Flying Bear Ghost 4S", manufacturer: "Flying Bear" },
+  { id: "flyingbear_ghost_5", name: "Flying Bear Ghost 5", manufacturer: "Flying Bear" },
+  { id: "mark2_for_ultimaker2", name: "Mark2 for Ultimaker2", manufacturer: "Foehnsturm" },
+  { id: "julia", name: "Julia", manufacturer: "Fracktal" },
+  { id: "fusedform_300", name: "FF300", manufacturer: "Fused Form" },
+  { id: "fusedform_300_doppia", name: "FF300 Doppia", manufacturer: "Fused Form" },
+  { id: "fusedform_600", name: "FF600", manufacturer: "Fused Form" },
+  { id: "fusedform_600_doppia", name: "FF600 Doppia", manufacturer: "Fused Form" },
+  { id: "fusedform_600plus", name: "FF600plus", manufacturer: "Fused Form" },
+  { id: "fusedform_600plus_doppia", name: "FF600plus Doppia", manufacturer: "Fused Form" },
+  { id: "fusedform_mini", name: "FFmini", manufacturer: "Fused Form" },
+  { id: "fusedform_std", name: "FFSTD", manufacturer: "Fused Form" },
+  { id: "fusedform_std_doppia", name: "FFSTD Doppia", manufacturer: "Fused Form" },
+  { id: "gmax15plus", name: "gMax 1.5 Plus", manufacturer: "gcreate" },
+  { id: "gmax15plus_dual", name: "gMax 1.5 Plus Dual Extruder", manufacturer: "gCreate" },
+  { id: "geeetech_a10", name: "Geeetech A10", manufacturer: "Geeetech" },
+  { id: "geeetech_a10m", name: "Geeetech A10M", manufacturer: "Geeetech" },
+  { id: "geeetech_a10t", name: "Geeetech A10T", manufacturer: "Geeetech" },
+  { id: "geeetech_a20", name: "Geeetech A20", manufacturer: "Geeetech" },
+  { id: "geeetech_a20m", name: "Geeetech A20M", manufacturer: "Geeetech" },
+  { id: "geeetech_a20t", name: "Geeetech A20T", manufacturer: "Geeetech" },
+  { id: "grr_neo", name: "German RepRap Neo", manufacturer: "German RepRap" },
+  { id: "hellbot_adonis", name: "Hellbot Adonis", manufacturer: "Hellbot" },
+  { id: "hellbot_magna_i", name: "Hellbot Magna 1", manufacturer: "Hellbot" },
+  { id: "hellbot_magna_dual", name: "Hellbot Magna DUAL", manufacturer: "Hellbot" },
+  { id: "hms434", name: "HMS434", manufacturer: "Hybrid AM Systems" },
+  { id: "ideagen3d_sapphire_plus", name: "ideagen3D Sapphire Plus", manufacturer: "ideagen3D" },
+  { id: "imade3d_jellybox_2", name: "IMADE3D JellyBOX 2", manufacturer: "IMADE3D" },
+  { id: "imade3d_jellybox", name: "IMADE3D JellyBOX Original", manufacturer: "IMADE3D" },
+  { id: "innovo_inventor", name: "Innovo INVENTOR", manufacturer: "Innovo" },
+  { id: "jgaurora_a1", name: "JGAurora A1", manufacturer: "JGAurora" },
+  { id: "jgaurora_a3s", name: "JGAurora A3S", manufacturer: "JGAurora" },
+  { id: "jgaurora_a5", name: "JGAurora A5 & A5S", manufacturer: "JGAurora" },
+  { id: "jgaurora_jgmaker_magic", name: "JGAurora JGMaker Magic", manufacturer: "JGAurora" },
+  { id: "jgaurora_z_603s", name: "JGAurora Z-603S", manufacturer: "JGAurora" },
+  { id: "kossel_mini", name: "Kossel Mini", manufacturer: "Johann" },
+  { id: "kossel_pro", name: "Kossel Pro", manufacturer: "Johann" },
+  { id: "alya3dp", name: "ALYA", manufacturer: "Kati Hal ARGE" },
+  { id: "alyanx3dp", name: "ALYA NX", manufacturer: "Kati Hal ARGE" },
+  { id: "kupido", name: "KUPIDO", manufacturer: "Kati Hal ARGE" },
+  { id: "kemiq_q2_beta", name: "Kemiq Q2 Beta", manufacturer: "KEMIQ" },
+  { id: "kemiq_q2_gama", name: "Kemiq Q2 Gama", manufacturer: "KEMIQ" },
+  { id: "key3d_tyro", name: "Tyro", manufacturer: "Key3D" },
+  { id: "koonovo_elf", name: "Koonovo Elf", manufacturer: "Koonovo" },
+  { id: "koonovo_kn3", name: "Koonovo KN3 Idex", manufacturer: "Koonovo" },
+  { id: "koonovo_kn5", name: "Koonovo KN5 Idex", manufacturer: "Koonovo" },
+  { id: "koonovo_pyramid", name: "Koonovo Pyramid", manufacturer: "Koonovo" },
+  { id: "leapfrog_bolt_pro", name: "Leapfrog Bolt Pro", manufacturer: "Leapfrog B.V." },
+  { id: "leapfrog_creatr_hs", name: "Leapfrog Creatr HS", manufacturer: "Leapfrog B.V." },
+  { id: "leapfrog_creatr_hs_xl", name: "Leapfrog Creatr HS XL", manufacturer: "Leapfrog B.V." },
+  { id: "liquid", name: "Liquid", manufacturer: "Liquid 3D" },
+  { id: "lotmaxx_sc10", name: "Lotmaxx SC-10", manufacturer: "Lotmaxx" },
+  { id: "lotmaxx_sc20", name: "Lotmaxx SC-20", manufacturer: "Lotmaxx" },
+  { id: "lotmaxx_sc60", name: "Lotmaxx Shark", manufacturer: "Lotmaxx" },
+  { id: "mbot3d_grid2plus", name: "MBot3D Grid 2+", manufacturer: "Magicfirm" },
+  { id: "mbot3d_grid2plus_dual", name: "MBot3D Grid 2+ Dual", manufacturer: "Magicfirm" },
+  { id: "mbot3d_grid4", name: "MBot3D Grid 4", manufacturer: "Magicfirm" },
+  { id: "mbot3d_grid4_dual", name: "MBot3D Grid 4 Dual", manufacturer: "Magicfirm" },
+  { id: "zyyx_agile", name: "ZYYX Agile", manufacturer: "Magicfirm Europe" },
+  { id: "makeblock_mcreate", name: "Makeblock mCreate", manufacturer: "Makeblock" },
+  { id: "makeit_pro_l", name: "MAKEiT Pro-L", manufacturer: "MAKEiT 3D" },
+  { id: "makeit_pro_m", name: "MAKEiT Pro-M", manufacturer: "MAKEiT 3D" },
+  { id: "makeit_pro_mx", name: "MAKEiT Pro-MX", manufacturer: "MAKEiT 3D" },
+  { id: "maker_pegasus", name: "makeR Pegasus", manufacturer: "makeR" },
+  { id: "maker_prusa_tairona_i3", name: "makeR Prusa Tairona i3", manufacturer: "makeR" },
+  { id: "maker_made_300x", name: "Maker Made 300x", manufacturer: "Maker Made" },
+  { id: "makerbotreplicator", name: "MakerBotReplicator", manufacturer: "MakerBot" },
+  { id: "malyan_m180", name: "Malyan M180", manufacturer: "Malyan" },
+  { id: "malyan_m200", name: "Malyan M200", manufacturer: "Malyan" },
+  { id: "mankati_fullscale_xt_plus", name: "Mankati Fullscale XT Plus", manufacturer: "Mankati" },
+  { id: "cartesio", name: "Cartesio", manufacturer: "MaukCC" },
+  { id: "mingda_d2", name: "MINGDA D2", manufacturer: "MINGDA" },
+  { id: "monoprice_select_mini_v1", name: "Monoprice Select Mini V1", manufacturer: "Monoprice" },
+  { id: "monoprice_select_mini_v2", name: "Monoprice Select Mini V2 (E3D)", manufacturer: "Monoprice" },
+  { id: "monoprice_ultimate", name: "Monoprice Ultimate", manufacturer: "Monoprice" },
+  { id: "mp_mini_delta", name: "MP Mini Delta", manufacturer: "Monoprice" },
+  { id: "mendel90", name: "Mendel90", manufacturer: "Nophead" },
+  { id: "nwa3d_a31", name: "NWA3D A31", manufacturer: "NWA 3D LLC" },
+  { id: "nwa3d_a5", name: "NWA3D A5", manufacturer: "NWA 3D LLC" },
+  { id: "ord", name: "RoVa3D", manufacturer: "ORD Solutions" },
+  { id: "peopoly_moai", name: "Peopoly Moai", manufacturer: "Peopoly" },
+  { id: "printrbot_play", name: "Printrbot Play", manufacturer: "Printrbot" },
+  { id: "printrbot_play_heated", name: "Printrbot Play (Heated Bed)", manufacturer: "Printrbot" },
+  { id: "printrbot_simple", name: "Printrbot Simple", manufacturer: "Printrbot" },
+  { id: "printrbot_simple_makers_kit", name: "Printrbot Simple Maker's Kit (1405)", manufacturer: "Printrbot" },
+  { id: "printrbot_simple_extended", name: "Printrbot Simple Metal Extended", manufacturer: "Printrbot" },
+  { id: "prusa_i3", name: "Prusa i3", manufacturer: "Prusa3D" },
+  { id: "prusa_i3_mk2", name: "Prusa i3 Mk2", manufacturer: "Prusa3D" },
+  { id: "prusa_i3_mk3", name: "Prusa i3 Mk3/Mk3s", manufacturer: "Prusa3D" },
+  { id: "prusa_i3_xl", name: "Prusa i3 xl", manufacturer: "Prusa3D" },
+  { id: "punchtec_connect_xl", name: "Punchtec Connect XL", manufacturer: "Punchtec" },
+  { id: "raise3d_n2_dual", name: "Raise3D N2 Dual", manufacturer: "Raise3D" },
+  { id: "raise3d_n2_plus_dual", name: "Raise3D N2 Plus Dual", manufacturer: "Raise3D" },
+  { id: "raise3d_n2_plus_single", name: "Raise3D N2 Plus Single", manufacturer: "Raise3D" },
+  { id: "raise3d_n2_single", name: "Raise3D N2 Single", manufacturer: "Raise3D" },
+  { id: "renkforce_rf100", name: "Renkforce RF100", manufacturer: "Renkforce" },
+  { id: "renkforce_rf100_v2", name: "Renkforce RF100 V2", manufacturer: "Renkforce" },
+  { id: "renkforce_rf100_xl", name: "Renkforce RF100 XL", manufacturer: "Renkforce" },
+  { id: "rigid3d", name: "Rigid3D 2. Nesil", manufacturer: "Rigid3D" },
+  { id: "rigid3d_3rdgen", name: "Rigid3D 3. Nesil", manufacturer: "Rigid3D" },
+  { id: "rigid3d_hobby", name: "Rigid3D Hobby", manufacturer: "Rigid3D" },
+  { id: "rigid3d_mucit", name: "Rigid3D Mucit", manufacturer: "Rigid3D" },
+  { id: "rigid3d_zero", name: "Rigid3D Zero", manufacturer: "Rigid3D" },
+  { id: "rigid3d_zero2", name: "Rigid3D Zero2", manufacturer: "Rigid3D" },
+  { id: "rigidbot", name: "RigidBot", manufacturer: "RigidBot" },
+  { id: "rigidbot_big", name: "RigidBotBig", manufacturer: "RigidBot" },
+  { id: "robo_3d_r1", name: "Robo 3D R1", manufacturer: "Robo 3D" },
+  { id: "erzay3d", name: "Erzay3D", manufacturer: "Robokinetika" },
+  { id: "seemecnc_artemis", name: "SeeMeCNC Artemis", manufacturer: "SeeMeCNC" },
+  { id: "seemecnc_v32", name: "SeeMeCNC Rostock Max V3.2", manufacturer: "SeeMeCNC" },
+  { id: "geeetech_a30", name: "Geeetech A30", manufacturer: "Shenzhen Geeetech Technology" },
+  { id: "skriware_2", name: "Skriware 2", manufacturer: "Skriware" },
+  { id: "snapmaker2_a150", name: "Snapmaker 2 A150", manufacturer: "Snapmaker" },
+  { id: "snapmaker2_a250", name: "Snapmaker 2 A250", manufacturer: "Snapmaker" },
+  { id: "snapmaker2_a350", name: "Snapmaker 2 A350", manufacturer: "Snapmaker" },
+  { id: "sv01", name: "Sovol-SV01", manufacturer: "Sovol 3D" },
+  { id: "sv02", name: "Sovol-SV02", manufacturer: "Sovol 3D" },
+  { id: "diy220", name: "Diytech 220", manufacturer: "Sri Vignan Technologies" },
+  { id: "stereotech_start", name: "Stereotech START", manufacturer: "Stereotech LLC." },
+  { id: "stereotech_ste320", name: "Stereotech STE320", manufacturer: "Stereotech LLC." },
+  { id: "structur3d_discov3ry1_complete_um2plus", name: "Discov3ry Complete", manufacturer: "Structur3d.io" },
+  { id: "syndaveraxi", name: "SyndaverAXI", manufacturer: "Syndaver3D" },
+  { id: "tevo_blackwidow", name: "Tevo Black Widow", manufacturer: "Tevo" },
+  { id: "tevo_tarantula", name: "Tevo Tarantula", manufacturer: "Tevo" },
+  { id: "tevo_tarantula_pro", name: "Tevo Tarantula Pro", manufacturer: "Tevo" },
+  { id: "tevo_tornado", name: "Tevo Tornado", manufacturer: "Tevo" },
+  { id: "uni_print_3d", name: "UNI-PRINT-3D", manufacturer: "TheCoolTool" },
+  { id: "tinyboy_e10", name: "TinyBoy E10/J10/L10/M10", manufacturer: "TinyBoy" },
+  { id: "tinyboy_e16", name: "TinyBoy E16/L16/M16", manufacturer: "TinyBoy" },
+  { id: "tinyboy_fabrikator15", name: "TinyBoy Fabrikator Mini 1.5", manufacturer: "TinyBoy" },
+  { id: "tinyboy_ra20", name: "TinyBoy RA20", manufacturer: "TinyBoy" },
+  { id: "tizyx_evy", name: "TiZYX EVY", manufacturer: "TiZYX" },
+  { id: "tizyx_evy_dual", name: "TiZYX EVY Dual", manufacturer: "TiZYX" },
+  { id: "tizyx_k25", name: "TiZYX K25", manufacturer: "TiZYX" },
+  { id: "tronxy_d01", name: "Tronxy D01", manufacturer: "Tronxy" },
+  { id: "tronxy_x5sa", name: "Tronxy X5SA/X5ST/Pro", manufacturer: "Tronxy" },
+  { id: "tronxy_x5sa_400", name: "Tronxy X5SA/X5ST/Pro 400", manufacturer: "Tronxy" },
+  { id: "tronxy_x5sa_500", name: "Tronxy X5SA/X5ST/Pro 500", manufacturer: "Tronxy" },
+  { id: "tronxy_xy2", name: "Tronxy XY-2", manufacturer: "Tronxy" },
+  { id: "tronxy_xy2pro", name: "Tronxy XY-2 Pro", manufacturer: "Tronxy" },
+  { id: "tronxy_xy3", name: "Tronxy XY-3", manufacturer: "Tronxy" },
+  { id: "twotrees_bluer", name: "TwoTrees Bluer", manufacturer: "TwoTrees" },
+  { id: "tam", name: "Series 1 2014", manufacturer: "typeamachines" },
+  { id: "ultimaker2", name: "Ultimaker 2", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_extended", name: "Ultimaker 2 Extended", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_extended_olsson", name: "Ultimaker 2 Extended with Olsson", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_extended_plus", name: "Ultimaker 2 Extended+", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_go", name: "Ultimaker 2 Go", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_olsson", name: "Ultimaker 2 with Olsson Block", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_plus", name: "Ultimaker 2+", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker2_plus_connect", name: "Ultimaker 2+ Connect", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker3", name: "Ultimaker 3", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker3_extended", name: "Ultimaker 3 Extended", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker_original", name: "Ultimaker Original", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker_original_dual", name: "Ultimaker Original Dual Extrusion", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker_original_plus", name: "Ultimaker Original+", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker_s3", name: "Ultimaker S3", manufacturer: "Ultimaker B.V." },
+  { id: "ultimaker_s5", name: "Ultimaker S5", manufacturer: "Ultimaker B.V." },
+  { id: "uni_200", name: "UNI 200", manufacturer: "UNI 3D" },
+  { id: "uni_250", name: "UNI 250", manufacturer: "UNI 3D" },
+  { id: "uni_300", name: "UNI 300", manufacturer: "UNI 3D" },
+  { id: "uni_mini", name: "UNI MINI", manufacturer: "UNI 3D" },
+  { id: "uniqbot_one", name: "Uniqbot", manufacturer: "Unimatech" },
+  { id: "vertex_delta_k8800", name: "Vertex Delta K8800", manufacturer: "Velleman N.V." },
+  { id: "vertex_k8400", name: "Vertex K8400", manufacturer: "Velleman N.V." },
+  { id: "vertex_k8400_dual", name: "Vertex K8400 Dual", manufacturer: "Velleman N.V." },
+  { id: "vertex_nano_k8600", name: "Vertex K8600", manufacturer: "Velleman N.V." },
+  { id: "voron2_250", name: "VORON2 250", manufacturer: "VORONDesign" },
+  { id: "voron2_300", name: "VORON2 300", manufacturer: "VORONDesign" },
+  { id: "voron2_350", name: "VORON2 350", manufacturer: "VORONDesign" },
+  { id: "voron2_custom", name: "VORON2 Custom", manufacturer: "VORONDesign" },
+  { id: "wanhao_d4s", name: "Wanhao Duplicator 4S", manufacturer: "Wanhao" },
+  { id: "wanhao_duplicator5s", name: "Wanhao Duplicator 5S", manufacturer: "Wanhao" },
+  { id: "wanhao_duplicator5smini", name: "Wanhao Duplicator 5S Mini", manufacturer: "Wanhao" },
+  { id: "wanhao_d6", name: "Wanhao Duplicator 6", manufacturer: "Wanhao" },
+  { id: "wanhao_d6_plus", name: "Wanhao Duplicator 6 Plus", manufacturer: "Wanhao" },
+  { id: "wanhao_d9", name: "Wanhao Duplicator 9", manufacturer: "Wanhao" },
+  { id: "wanhao_i3", name: "Wanhao Duplicator i3", manufacturer: "Wanhao" },
+  { id: "wanhao_i3mini", name: "Wanhao Duplicator i3 Mini", manufacturer: "Wanhao" },
+  { id: "wanhao_i3plus", name: "Wanhao Duplicator i3 Plus", manufacturer: "Wanhao" },
+  { id: "winbo_dragonl4", name: "Winbo Dragon(L)4", manufacturer: "Winbo Smart Tech Co., Ltd." },
+  { id: "winbo_mini2", name: "Winbo Mini2", manufacturer: "Winbo Smart Tech Co., Ltd." },
+  { id: "winbo_superhelper105", name: "Winbo Super Helper 105", manufacturer: "Winbo Smart Tech Co., Ltd." },
+  { id: "winbo_superhelper155", name: "Winbo Super Helper 155", manufacturer: "Winbo Smart Tech Co., Ltd." },
+  { id: "zav_big", name: "ZAV BIG", manufacturer: "ZAV Co., Ltd." },
+  { id: "zav_bigplus", name: "ZAV Big+", manufacturer: "ZAV Co., Ltd." },
+  { id: "zav_l", name: "ZAV L family printer", manufacturer: "ZAV Co., Ltd." },
+  { id: "zav_max", name: "ZAV MAX", manufacturer: "ZAV Co., Ltd." },
+  { id: "zav_mini", name: "ZAV mini", manufacturer: "ZAV Co., Ltd." },
+  { id: "zav_maxpro", name: "ZAV PRO", manufacturer: "ZAV Co., Ltd." },
+  { id: "zone3d_printer", name: "Zone3d Printer", manufacturer: "Zone3D" },
+];
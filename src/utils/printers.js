@@ -0,0 +1,108 @@
+import { resolveDefinition } from "cura-wasm-definitions";
+import { findProfileByPrinterId, profileToDefinition, profileToOverrides } from "./machineProfiles";
+import { PRINTER_CATALOG } from "./printerCatalog";
+
+export const DEFAULT_PRINTER_ID = "ultimaker2";
+export const PRINTER_STORAGE_KEY = "slicer.printerId";
+
+// Values missing from a definition fall back to Cura's fdmprinter/fdmextruder defaults
+const FDM_PRINTER_DEFAULTS = {
+  machine_width: 100,
+  machine_depth: 100,
+  machine_height: 100,
+  machine_center_is_zero: false,
+  machine_nozzle_size: 0.4,
+  material_diameter: 2.85,
+  // fdmprinter leaves feedrates unlimited, the G-code's F words still apply
+  machine_max_feedrate_x: 299792458000,
+  machine_max_feedrate_y: 299792458000,
+  machine_max_feedrate_z: 299792458000,
+  machine_max_feedrate_e: 299792458000,
+  machine_max_acceleration_x: 9000,
+  machine_max_acceleration_y: 9000,
+  machine_max_acceleration_z: 100,
+  machine_max_acceleration_e: 10000,
+  machine_acceleration: 4000,
+  machine_max_jerk_xy: 20,
+  machine_max_jerk_z: 0.4,
+  machine_max_jerk_e: 5,
+};
+
+// Cura lets `value` (when it is a literal, not an expression) win over default_value
+function settingValue(setting) {
+  if (!setting) return undefined;
+  if (setting.value !== undefined && typeof setting.value !== "string") return setting.value;
+  return setting.default_value;
+}
+
+function readSetting(definition, key) {
+  const value = settingValue(definition?.printer?.overrides?.[key]);
+  return value !== undefined ? value : FDM_PRINTER_DEFAULTS[key];
+}
+
+function readExtruderSetting(definition, key) {
+  const value = settingValue(definition?.extruders?.[0]?.overrides?.[key]);
+  return value !== undefined ? value : readSetting(definition, key);
+}
+
+// Build volume of a resolved definition in mm
+export function getBuildVolume(definition) {
+  return {
+    width: readSetting(definition, "machine_width"),
+    depth: readSetting(definition, "machine_depth"),
+    height: readSetting(definition, "machine_height"),
+    centerIsZero: Boolean(readSetting(definition, "machine_center_is_zero")),
+  };
+}
+
+// Firmware limits for the G-code time estimate (mm/s and mm/s²)
+export function getMotionLimits(definition) {
+  const perAxis = (prefix) => ({
+    x: readSetting(definition, `${prefix}_x`),
+    y: readSetting(definition, `${prefix}_y`),
+    z: readSetting(definition, `${prefix}_z`),
+    e: readSetting(definition, `${prefix}_e`),
+  });
+  return {
+    maxFeedrate: perAxis("machine_max_feedrate"),
+    maxAcceleration: perAxis("machine_max_acceleration"),
+    acceleration: readSetting(definition, "machine_acceleration"),
+    jerk: {
+      x: readSetting(definition, "machine_max_jerk_xy"),
+      y: readSetting(definition, "machine_max_jerk_xy"),
+      z: readSetting(definition, "machine_max_jerk_z"),
+      e: readSetting(definition, "machine_max_jerk_e"),
+    },
+  };
+}
+
+export function isKnownPrinter(id) {
+  return PRINTER_CATALOG.some((p) => p.id === id);
+}
+
+function describePrinter(id, name, definition, overrides, custom) {
+  return {
+    id,
+    name,
+    custom,
+    definition,
+    // Extra overrides sent with every slice on this printer
+    overrides,
+    buildVolume: getBuildVolume(definition),
+    nozzleSize: readExtruderSetting(definition, "machine_nozzle_size"),
+    filamentDiameter: readExtruderSetting(definition, "material_diameter"),
+    motion: getMotionLimits(definition),
+  };
+}
+
+// `id` is a catalog id or "custom:<profile id>" for a local machine profile
+export function getPrinter(id = DEFAULT_PRINTER_ID, customProfiles = []) {
+  const profile = findProfileByPrinterId(customProfiles, id);
+  if (profile) {
+    return describePrinter(id, profile.name, profileToDefinition(profile), profileToOverrides(profile), true);
+  }
+
+  const printerId = isKnownPrinter(id) ? id : DEFAULT_PRINTER_ID;
+  const definition = resolveDefinition(printerId);
+  return describePrinter(printerId, definition.printer.name, definition, [], false);
+}
@@ -0,0 +1,27 @@
+import { DEFAULT_PRINTER_ID, getPrinter } from "./printers";
+import { PRINTER_CATALOG } from "./printerCatalog";
+
+test("resolves bed size and extruder details from the definition", () => {
+  const printer = getPrinter("creality_ender3");
+  expect(printer.name).toBe("Creality Ender-3");
+  expect(printer.buildVolume).toMatchObject({ width: 235, depth: 235, height: 250 });
+  expect(printer.filamentDiameter).toBe(1.75);
+  expect(printer.nozzleSize).toBe(0.4);
+});
+
+test("falls back to the default printer for unknown ids", () => {
+  expect(getPrinter("not-a-printer").id).toBe(DEFAULT_PRINTER_ID);
+});
+
+test("catalog ids are unique", () => {
+  const ids = PRINTER_CATALOG.map((p) => p.id);
+  expect(new Set(ids).size).toBe(ids.length);
+});
+
+test("reads motion limits from the definition", () => {
+  const { motion } = getPrinter("creality_ender3");
+  expect(motion.maxFeedrate).toEqual({ x: 500, y: 500, z: 10, e: 50 });
+  expect(motion.acceleration).toBe(500);
+  // Not set by Ultimaker 2's definition, so fdmprinter's defaults apply
+  expect(getPrinter("ultimaker2").motion.maxAcceleration.x).toBe(9000);
+});
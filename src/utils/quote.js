@@ -0,0 +1,170 @@
+import { formatTime } from "./format";
+
+// Quoting engine: turns a slice result into an itemized price.
+//
+//   material + machine time + electricity + setup fee   = production cost
+//   production cost × failure risk                      = failure margin
+//   (production cost + failure margin) × markup         = markup
+//
+// Machine rates are configured per printer, failure risk per material;
+// printers and materials without their own entry use the defaults.
+
+export const QUOTE_SETTINGS_STORAGE_KEY = "slicer.quoteSettings";
+
+export const DEFAULT_QUOTE_SETTINGS = {
+  currency: "USD",
+  electricityPerKwh: 0.15,
+  setupFee: 5,
+  markupPercent: 30,
+  defaultPrinterRates: { hourlyRate: 2, powerWatts: 150 },
+  defaultFailureRiskPercent: 10,
+  printers: {}, // { [printerId]: { hourlyRate, powerWatts } }
+  materials: {}, // { [materialId]: { failureRiskPercent } }
+};
+
+export function getPrinterRates(settings, printerId) {
+  return { ...settings.defaultPrinterRates, ...settings.printers[printerId] };
+}
+
+export function getFailureRiskPercent(settings, materialId) {
+  const value = settings.materials[materialId]?.failureRiskPercent;
+  return value !== undefined ? value : settings.defaultFailureRiskPercent;
+}
+
+// Stored settings may predate newer fields
+export function withQuoteDefaults(settings) {
+  return {
+    ...DEFAULT_QUOTE_SETTINGS,
+    ...settings,
+    defaultPrinterRates: { ...DEFAULT_QUOTE_SETTINGS.defaultPrinterRates, ...settings?.defaultPrinterRates },
+    printers: { ...settings?.printers },
+    materials: { ...settings?.materials },
+  };
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Returns null when the slice result has no usable time or weight
+export function calculateQuote(printInfo, material, printerId, settings) {
+  const seconds = parseFloat(printInfo.estimatedTime);
+  const grams = parseFloat(printInfo.filamentUsedGrams);
+  if (!Number.isFinite(seconds) || !Number.isFinite(grams)) return null;
+
+  const hours = seconds / 3600;
+  const rates = getPrinterRates(settings, printerId);
+  const riskPercent = getFailureRiskPercent(settings, material.id);
+  const kwh = hours * (rates.powerWatts / 1000);
+
+  const items = [
+    {
+      key: "material",
+      label: `Material (${material.name})`,
+      detail: `${grams.toFixed(2)} g × ${formatMoney(material.costPerKg, settings.currency)}/kg`,
+      amount: roundMoney((grams / 1000) * material.costPerKg),
+    },
+    {
+      key: "machine",
+      label: "Machine time",
+      detail: `${formatTime(seconds)} × ${formatMoney(rates.hourlyRate, settings.currency)}/h`,
+      amount: roundMoney(hours * rates.hourlyRate),
+    },
+    {
+      key: "electricity",
+      label: "Electricity",
+      detail: `${kwh.toFixed(2)} kWh × ${formatMoney(settings.electricityPerKwh, settings.currency)}/kWh`,
+      amount: roundMoney(kwh * settings.electricityPerKwh),
+    },
+    {
+      key: "setup",
+      label: "Setup fee",
+      detail: "Bed preparation and part removal",
+      amount: roundMoney(settings.setupFee),
+    },
+  ];
+  const productionCost = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+
+  const failureMargin = roundMoney(productionCost * (riskPercent / 100));
+  items.push({
+    key: "failure",
+    label: "Failure risk margin",
+    detail: `${riskPercent}% of ${formatMoney(productionCost, settings.currency)}`,
+    amount: failureMargin,
+  });
+
+  const markup = roundMoney((productionCost + failureMargin) * (settings.markupPercent / 100));
+  items.push({
+    key: "markup",
+    label: "Markup",
+    detail: `${settings.markupPercent}%`,
+    amount: markup,
+  });
+
+  return {
+    currency: settings.currency,
+    items,
+    productionCost,
+    total: roundMoney(productionCost + failureMargin + markup),
+  };
+}
+
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount);
+  } catch (err) {
+    // Unknown currency codes still get a readable amount
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Standalone HTML page for printing or saving the quote
+export function buildQuoteDocument(quote, { modelName, printerName, materialName, materialColor, layerHeight, infillDensity, date = new Date() }) {
+  const rows = quote.items.map((item) => `
+      <tr>
+        <td>${escapeHtml(item.label)}<div class="detail">${escapeHtml(item.detail)}</div></td>
+        <td class="amount">${escapeHtml(formatMoney(item.amount, quote.currency))}</td>
+      </tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Quote - ${escapeHtml(modelName)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 40px; color: #1f2937; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #6b7280; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    .detail { font-size: 12px; color: #6b7280; }
+    .amount { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; font-size: 18px; border-top: 2px solid #1f2937; }
+  </style>
+</head>
+<body>
+  <h1>Print Quote</h1>
+  <div class="meta">
+    ${escapeHtml(date.toLocaleDateString())}<br>
+    Model: ${escapeHtml(modelName)}<br>
+    Printer: ${escapeHtml(printerName)}<br>
+    Material: ${escapeHtml(materialName)} (${escapeHtml(materialColor)}), ${escapeHtml(layerHeight)} mm layers, ${escapeHtml(infillDensity)}% infill
+  </div>
+  <table>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td>Total</td>
+        <td class="amount">${escapeHtml(formatMoney(quote.total, quote.currency))}</td>
+      </tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,48 @@
+import { DEFAULT_MATERIALS } from "./materials";
+import { DEFAULT_QUOTE_SETTINGS, calculateQuote, buildQuoteDocument, withQuoteDefaults } from "./quote";
+
+const pla = DEFAULT_MATERIALS[0]; // 20 per kg
+const printInfo = { estimatedTime: 7200, filamentUsedGrams: "50.00", printerId: "creality_ender3" };
+
+const amounts = (quote) => Object.fromEntries(quote.items.map((item) => [item.key, item.amount]));
+
+test("itemizes material, machine, electricity, setup, risk and markup", () => {
+  const quote = calculateQuote(printInfo, pla, "creality_ender3", DEFAULT_QUOTE_SETTINGS);
+
+  expect(amounts(quote)).toEqual({
+    material: 1, // 50 g × 20/kg
+    machine: 4, // 2 h × 2/h
+    electricity: 0.05, // 0.3 kWh × 0.15
+    setup: 5,
+    failure: 1.01, // 10% of 10.05
+    markup: 3.32, // 30% of 11.06
+  });
+  expect(quote.productionCost).toBe(10.05);
+  expect(quote.total).toBe(14.38);
+});
+
+test("uses per-printer rates and per-material risk", () => {
+  const settings = withQuoteDefaults({
+    setupFee: 0,
+    markupPercent: 0,
+    electricityPerKwh: 0,
+    printers: { creality_ender3: { hourlyRate: 5 } },
+    materials: { pla: { failureRiskPercent: 0 } },
+  });
+  const quote = calculateQuote(printInfo, pla, "creality_ender3", settings);
+
+  expect(amounts(quote).machine).toBe(10);
+  expect(quote.total).toBe(11);
+  expect(calculateQuote(printInfo, pla, "ultimaker2", settings).total).toBe(5);
+});
+
+test("returns null without a time estimate", () => {
+  expect(calculateQuote({ ...printInfo, estimatedTime: "N/A" }, pla, "x", DEFAULT_QUOTE_SETTINGS)).toBeNull();
+});
+
+test("quote document escapes model names", () => {
+  const quote = calculateQuote(printInfo, pla, "x", DEFAULT_QUOTE_SETTINGS);
+  const html = buildQuoteDocument(quote, { modelName: "<b>part</b>.stl", printerName: "Ender", materialName: "PLA", materialColor: "blue", layerHeight: 0.2, infillDensity: 20 });
+  expect(html).toContain("&lt;b&gt;part&lt;/b&gt;.stl");
+  expect(html).toContain("Failure risk margin");
+});
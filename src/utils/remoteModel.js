@@ -0,0 +1,107 @@
+import axios from "axios";
+import { MAX_MODEL_FILE_BYTES, checkModelFileSize, getExtension, isSupportedModel } from "./modelImport";
+
+// Downloads a model from a URL so it can go through the same import path as
+// files picked from disk.
+
+export class ModelDownloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ModelDownloadError";
+  }
+}
+
+// Used when neither the URL nor Content-Disposition carry a usable extension
+const CONTENT_TYPE_EXTENSIONS = {
+  "model/stl": ".stl",
+  "application/sla": ".stl",
+  "application/vnd.ms-pki.stl": ".stl",
+  "model/3mf": ".3mf",
+  "application/vnd.ms-package.3dmanufacturing-3dmodel+xml": ".3mf",
+  "model/obj": ".obj",
+  "application/zip": ".zip",
+  "application/x-zip-compressed": ".zip",
+};
+
+export function parseModelUrl(text) {
+  let url;
+  try {
+    url = new URL((text || "").trim());
+  } catch (err) {
+    throw new ModelDownloadError("Enter a full address, e.g. https://example.com/part.stl");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new ModelDownloadError("Only http and https addresses can be imported");
+  }
+  return url;
+}
+
+export function modelNameFromResponse(url, headers = {}) {
+  const disposition = headers["content-disposition"] || "";
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+  let name = match ? match[1] : url.pathname.split("/").pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch (err) {
+    // keep the raw name
+  }
+  name = name || url.hostname;
+
+  const contentType = (headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!isSupportedModel(name) && CONTENT_TYPE_EXTENSIONS[contentType]) {
+    name = `${getExtension(name) ? name.slice(0, -getExtension(name).length) : name}${CONTENT_TYPE_EXTENSIONS[contentType]}`;
+  }
+  return name;
+}
+
+// Resolves to a file-like { name, size, arrayBuffer() } for importModelFile.
+// `onProgress` gets { loaded, total } where total is null when the server
+// does not send Content-Length. Pass an AbortSignal to cancel.
+export async function downloadModel(text, { onProgress, signal, maxBytes = MAX_MODEL_FILE_BYTES } = {}) {
+  const url = parseModelUrl(text);
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort);
+  let tooLarge = false;
+
+  try {
+    const response = await axios.get(url.href, {
+      responseType: "arraybuffer",
+      signal: controller.signal,
+      onDownloadProgress: (event) => {
+        const total = event.total || null;
+        // Stop as soon as the download is known to be too big
+        if (event.loaded > maxBytes || total > maxBytes) {
+          tooLarge = true;
+          controller.abort();
+          return;
+        }
+        onProgress?.({ loaded: event.loaded, total });
+      },
+    });
+
+    // Browsers hand back an ArrayBuffer, axios under Node a Buffer
+    const data = response.data;
+    const buffer = ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data;
+    checkModelFileSize(buffer.byteLength, maxBytes);
+    const name = modelNameFromResponse(url, response.headers);
+    return { name, size: buffer.byteLength, arrayBuffer: async () => buffer };
+  } catch (err) {
+    if (tooLarge) {
+      throw new ModelDownloadError(`${url.href}: file is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit`);
+    }
+    if (axios.isCancel(err)) {
+      throw new ModelDownloadError("Download cancelled");
+    }
+    if (err.response) {
+      throw new ModelDownloadError(`${url.href}: server answered ${err.response.status}`);
+    }
+    if (err.name === "UnsupportedModelError") {
+      throw new ModelDownloadError(`${url.href}: ${err.message}`);
+    }
+    // Browsers hide the reason for CORS and network failures
+    throw new ModelDownloadError(`${url.href}: could not download (${err.message}). The server may not allow downloads from other sites.`);
+  } finally {
+    signal?.removeEventListener("abort", abort);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import { importModelFile } from "./modelImport";
+import { ModelDownloadError, downloadModel, modelNameFromResponse, parseModelUrl } from "./remoteModel";
+import { writeBinaryStl } from "./stl";
+
+const TRIANGLE = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+const STL = Buffer.from(writeBinaryStl(TRIANGLE));
+
+// Local stand-in for a file host
+let server;
+let baseUrl;
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/part.stl") {
+      res.writeHead(200, { "Content-Type": "model/stl", "Content-Length": STL.length });
+      res.end(STL);
+    } else if (req.url === "/download?id=7") {
+      res.writeHead(200, { "Content-Type": "application/octet-stream", "Content-Disposition": 'attachment; filename="bracket v2.stl"' });
+      res.end(STL);
+    } else if (req.url === "/big.stl") {
+      res.writeHead(200, { "Content-Length": 4096 });
+      res.end(Buffer.alloc(4096));
+    } else if (req.url === "/slow.stl") {
+      res.writeHead(200);
+      res.write(Buffer.alloc(64));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  server.listen(0, "127.0.0.1", () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+afterAll((done) => {
+  server.closeAllConnections();
+  server.close(done);
+});
+
+test("downloads a model that imports like a picked file", async () => {
+  const progress = [];
+  const file = await downloadModel(`${baseUrl}/part.stl`, { onProgress: (p) => progress.push(p) });
+
+  expect(file.name).toBe("part.stl");
+  expect(file.size).toBe(STL.length);
+  expect(progress[progress.length - 1]).toEqual({ loaded: STL.length, total: STL.length });
+  const { models } = await importModelFile(file);
+  expect(Array.from(models[0].mesh.positions)).toEqual(Array.from(TRIANGLE));
+});
+
+test("names the file from Content-Disposition", async () => {
+  const file = await downloadModel(`${baseUrl}/download?id=7`);
+  expect(file.name).toBe("bracket v2.stl");
+});
+
+test("rejects downloads over the size limit", async () => {
+  await expect(downloadModel(`${baseUrl}/big.stl`, { maxBytes: 1024 })).rejects.toThrow(/larger than/);
+});
+
+test("reports server errors", async () => {
+  await expect(downloadModel(`${baseUrl}/missing.stl`)).rejects.toThrow(/server answered 404/);
+});
+
+test("can be cancelled", async () => {
+  const controller = new AbortController();
+  const download = downloadModel(`${baseUrl}/slow.stl`, { signal: controller.signal, onProgress: () => controller.abort() });
+  await expect(download).rejects.toThrow("Download cancelled");
+});
+
+test("only accepts http and https addresses", () => {
+  expect(() => parseModelUrl("part.stl")).toThrow(ModelDownloadError);
+  expect(() => parseModelUrl("file:///etc/passwd")).toThrow(/http and https/);
+  expect(parseModelUrl(" https://example.com/a.stl ").href).toBe("https://example.com/a.stl");
+});
+
+test("adds the extension from the content type", () => {
+  const url = new URL("https://example.com/files/1234");
+  expect(modelNameFromResponse(url, { "content-type": "model/3mf" })).toBe("1234.3mf");
+  expect(modelNameFromResponse(url, { "content-type": "text/html" })).toBe("1234");
+  expect(modelNameFromResponse(new URL("https://example.com/my%20part.obj"))).toBe("my part.obj");
+});
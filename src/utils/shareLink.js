@@ -0,0 +1,86 @@
+import { findProfileByPrinterId } from "./machineProfiles";
+import { findMaterial } from "./materials";
+import { PRINTER_CATALOG } from "./printerCatalog";
+import { DEFAULT_USER_SETTINGS, validateUserSettings } from "./userSettings";
+
+// Slicer settings in the URL hash, e.g. #share=eyJ2IjoxLC..., so a link opens
+// the slicer pre-configured. Only values that differ from the defaults are
+// written to keep links short. Links are read defensively: anything unknown or
+// out of range falls back to the default and is reported, never thrown.
+
+export const SHARE_HASH_KEY = "share";
+const SHARE_VERSION = 1;
+
+// base64url of the UTF-8 JSON, so any printer or material name survives
+function encodeBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeBase64Url(value) {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+function changedSettings(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([key, value]) => (
+    JSON.stringify(value) !== JSON.stringify(DEFAULT_USER_SETTINGS[key])
+  )));
+}
+
+export function encodeShareHash({ settings, printerId }) {
+  const payload = { v: SHARE_VERSION, p: printerId, s: changedSettings(settings) };
+  return `#${SHARE_HASH_KEY}=${encodeBase64Url(JSON.stringify(payload))}`;
+}
+
+export function buildShareUrl(location, share) {
+  return `${location.origin}${location.pathname}${location.search}${encodeShareHash(share)}`;
+}
+
+// The share payload in a hash, or null when the hash is not a share link
+function readPayload(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const encoded = params.get(SHARE_HASH_KEY);
+  if (!encoded) return null;
+  try {
+    const payload = JSON.parse(decodeBase64Url(encoded));
+    return payload && typeof payload === "object" ? payload : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Returns null for hashes that are not share links, otherwise
+// { settings, printerId, problems } with every value checked.
+// `printerId` is null when the link has no usable printer.
+export function readShareHash(hash, { materials, customProfiles = [] }) {
+  const payload = readPayload(hash);
+  if (payload === null) return null;
+
+  const problems = [];
+  if (payload.v !== SHARE_VERSION) {
+    problems.push("The link is damaged or from a newer version, only the defaults could be loaded");
+  }
+
+  const { settings, problems: settingProblems } = validateUserSettings(payload.v === SHARE_VERSION ? payload.s : {});
+  problems.push(...settingProblems);
+
+  const material = findMaterial(materials, settings.materialType);
+  if (material.id !== settings.materialType) {
+    problems.push(`Material "${settings.materialType}" is not in your library, using ${material.name}`);
+    settings.materialType = material.id;
+    settings.materialColor = material.colors[0];
+  } else if (!material.colors.includes(settings.materialColor)) {
+    problems.push(`Colour "${settings.materialColor}" is not available for ${material.name}, using ${material.colors[0]}`);
+    settings.materialColor = material.colors[0];
+  }
+
+  let printerId = typeof payload.p === "string" ? payload.p : null;
+  const knownPrinter = printerId && (PRINTER_CATALOG.some((p) => p.id === printerId) || findProfileByPrinterId(customProfiles, printerId));
+  if (printerId && !knownPrinter) {
+    problems.push(`Printer "${printerId}" is not available here, keeping your current printer`);
+    printerId = null;
+  }
+
+  return { settings, printerId, problems };
+}
@@ -0,0 +1,67 @@
+import { createMachineProfile, customPrinterId } from "./machineProfiles";
+import { DEFAULT_MATERIALS } from "./materials";
+import { buildShareUrl, encodeShareHash, readShareHash } from "./shareLink";
+import { DEFAULT_USER_SETTINGS, validateUserSettings } from "./userSettings";
+
+const options = { materials: DEFAULT_MATERIALS };
+
+const hashFor = (payload) => `#share=${btoa(JSON.stringify(payload))}`;
+
+test("round-trips settings, printer and expert overrides", () => {
+  const settings = {
+    ...DEFAULT_USER_SETTINGS,
+    layerHeight: 0.2,
+    materialType: "petg",
+    materialColor: DEFAULT_MATERIALS.find((m) => m.id === "petg").colors[0],
+    adhesionType: "brim",
+    expertOverrides: { ironing_enabled: true, speed_wall_0: 25 },
+  };
+  const shared = readShareHash(encodeShareHash({ settings, printerId: "creality_ender3" }), options);
+
+  expect(shared).toEqual({ settings, printerId: "creality_ender3", problems: [] });
+});
+
+test("only writes values that differ from the defaults", () => {
+  const short = encodeShareHash({ settings: DEFAULT_USER_SETTINGS, printerId: "ultimaker2" });
+  const long = encodeShareHash({ settings: { ...DEFAULT_USER_SETTINGS, infillDensity: 40 }, printerId: "ultimaker2" });
+  expect(short.length).toBeLessThan(long.length);
+  expect(buildShareUrl({ origin: "https://example.com", pathname: "/slicer", search: "" }, { settings: DEFAULT_USER_SETTINGS, printerId: "ultimaker2" }))
+    .toBe(`https://example.com/slicer${short}`);
+});
+
+test("ignores hashes that are not share links", () => {
+  expect(readShareHash("", options)).toBeNull();
+  expect(readShareHash("#section-2", options)).toBeNull();
+});
+
+test("falls back for unknown and out-of-range values", () => {
+  const shared = readShareHash(hashFor({
+    v: 1,
+    p: "no_such_printer",
+    s: { infillDensity: 250, infillPattern: "spiral", supportEnable: "yes", materialType: "unobtainium", rocketMode: true, wallLineCount: 2 },
+  }), options);
+
+  expect(shared.printerId).toBeNull();
+  expect(shared.settings).toMatchObject({ infillDensity: 20, infillPattern: "grid", supportEnable: false, materialType: "pla", wallLineCount: 2 });
+  expect(shared.problems).toHaveLength(6);
+  expect(shared.problems.join("\n")).toMatch(/rocketMode/);
+});
+
+test("accepts custom printers that exist locally", () => {
+  const profile = createMachineProfile({ name: "Workshop Voron" });
+  const hash = encodeShareHash({ settings: DEFAULT_USER_SETTINGS, printerId: customPrinterId(profile) });
+  expect(readShareHash(hash, { ...options, customProfiles: [profile] }).printerId).toBe(customPrinterId(profile));
+  expect(readShareHash(hash, options).printerId).toBeNull();
+});
+
+test("damaged links load the defaults", () => {
+  const shared = readShareHash("#share=not-base64!", options);
+  expect(shared.settings).toEqual(DEFAULT_USER_SETTINGS);
+  expect(shared.problems).toHaveLength(1);
+});
+
+test("drops expert values that are not plain", () => {
+  const { settings, problems } = validateUserSettings({ expertOverrides: { speed_print: 40, machine_disallowed_areas: [[0, 0]] } });
+  expect(settings.expertOverrides).toEqual({ speed_print: 40 });
+  expect(problems).toHaveLength(1);
+});
@@ -0,0 +1,104 @@
+// Slicing job API: every job runs CuraWASM in its own Web Worker so it can
+// be cancelled or timed out without leaving the engine behind.
+
+// How long a cancelled worker gets to destroy the engine before we kill it
+const DISPOSE_GRACE_MS = 2000;
+
+export class SliceCancelledError extends Error {
+  constructor(reason = "cancelled") {
+    super(reason === "timeout" ? "Slicing timed out" : "Slicing cancelled");
+    this.name = "SliceCancelledError";
+    this.reason = reason;
+  }
+}
+
+async function defaultCreateWorker() {
+  const { default: createSlicerWorker } = await import("../workers/createSlicerWorker");
+  return createSlicerWorker();
+}
+
+// Start slicing `model` (an ArrayBuffer, transferred to the worker).
+// Returns { promise, cancel }; the promise resolves to { gcode, metadata }
+// and rejects with SliceCancelledError on cancel() or timeout.
+export function startSliceJob({
+  model,
+  format = "stl",
+  definition,
+  overrides,
+  timeoutMs = 0,
+  onProgress,
+  createWorker = defaultCreateWorker,
+}) {
+  let worker = null;
+  let finished = false;
+  let timer = null;
+  let settle;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = (err, value) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(value);
+    };
+  });
+
+  const stop = (reason) => {
+    if (finished) return;
+    settle(new SliceCancelledError(reason));
+    if (worker) {
+      const cancelled = worker;
+      cancelled.onmessage = (event) => {
+        if (event.data.type === "disposed") cancelled.terminate();
+      };
+      cancelled.postMessage({ type: "cancel" });
+      setTimeout(() => cancelled.terminate(), DISPOSE_GRACE_MS);
+    }
+  };
+
+  const handleMessage = (event) => {
+    const data = event.data;
+    switch (data.type) {
+      case "progress":
+        if (onProgress) onProgress(data.percent);
+        break;
+      case "done":
+        settle(null, { gcode: data.gcode, metadata: data.metadata });
+        worker.terminate();
+        break;
+      case "error":
+        settle(new Error(data.message));
+        worker.terminate();
+        break;
+      default:
+        break;
+    }
+  };
+
+  Promise.resolve()
+    .then(createWorker)
+    .then((created) => {
+      if (finished) {
+        created.terminate();
+        return;
+      }
+      worker = created;
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        settle(new Error(event.message || "Slicer worker crashed"));
+        worker.terminate();
+      };
+      worker.postMessage({ type: "slice", model, format, definition, overrides }, [model]);
+    })
+    .catch((err) => settle(err));
+
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => stop("timeout"), timeoutMs);
+  }
+
+  return {
+    promise,
+    cancel: () => stop("cancelled"),
+  };
+}
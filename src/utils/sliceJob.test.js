@@ -0,0 +1,79 @@
+import { SliceCancelledError, startSliceJob } from "./sliceJob";
+
+// Minimal stand-in for the slicer worker that records what it was sent
+function fakeWorker() {
+  return {
+    sent: [],
+    terminated: false,
+    postMessage(message) {
+      this.sent.push(message);
+    },
+    terminate() {
+      this.terminated = true;
+    },
+    emit(data) {
+      this.onmessage({ data });
+    },
+  };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("resolves with the worker result and reports progress", async () => {
+  const worker = fakeWorker();
+  const onProgress = jest.fn();
+  const job = startSliceJob({
+    model: new ArrayBuffer(8),
+    definition: {},
+    overrides: [],
+    onProgress,
+    createWorker: () => worker,
+  });
+  await flush();
+
+  expect(worker.sent[0]).toMatchObject({ type: "slice", format: "stl" });
+  worker.emit({ type: "progress", percent: 40 });
+  worker.emit({ type: "done", gcode: "G1", metadata: { printTime: 10 } });
+
+  await expect(job.promise).resolves.toEqual({ gcode: "G1", metadata: { printTime: 10 } });
+  expect(onProgress).toHaveBeenCalledWith(40);
+  expect(worker.terminated).toBe(true);
+});
+
+test("rejects with the worker error message", async () => {
+  const worker = fakeWorker();
+  const job = startSliceJob({ model: new ArrayBuffer(8), createWorker: () => worker });
+  await flush();
+
+  worker.emit({ type: "error", message: "bad mesh" });
+  await expect(job.promise).rejects.toThrow("bad mesh");
+  expect(worker.terminated).toBe(true);
+});
+
+test("cancel asks the worker to dispose the engine", async () => {
+  const worker = fakeWorker();
+  const job = startSliceJob({ model: new ArrayBuffer(8), createWorker: () => worker });
+  await flush();
+
+  job.cancel();
+  await expect(job.promise).rejects.toBeInstanceOf(SliceCancelledError);
+  expect(worker.sent[1]).toEqual({ type: "cancel" });
+
+  worker.emit({ type: "disposed" });
+  expect(worker.terminated).toBe(true);
+});
+
+test("times out long jobs", async () => {
+  jest.useFakeTimers();
+  try {
+    const job = startSliceJob({
+      model: new ArrayBuffer(8),
+      timeoutMs: 1000,
+      createWorker: () => fakeWorker(),
+    });
+    jest.advanceTimersByTime(1000);
+    await expect(job.promise).rejects.toMatchObject({ reason: "timeout" });
+  } finally {
+    jest.useRealTimers();
+  }
+});
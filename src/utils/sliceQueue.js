@@ -0,0 +1,33 @@
+// Run `task(item, index)` for every item with at most `concurrency` tasks in
+// flight. Tasks are expected to handle their own errors; once `isCancelled()`
+// returns true no further items are started.
+export async function runQueue(items, task, { concurrency = 1, isCancelled = () => false } = {}) {
+  let next = 0;
+  const runnerCount = Math.max(1, Math.min(concurrency, items.length));
+
+  const runner = async () => {
+    while (next < items.length && !isCancelled()) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: runnerCount }, runner));
+}
+
+// Add up the finished rows of a batch
+export function summarizeBatch(rows) {
+  return rows.reduce(
+    (total, row) => {
+      if (row.status !== "done" || !row.printInfo) return total;
+      const { estimatedTime, filamentUsedMm, filamentUsedGrams } = row.printInfo;
+      return {
+        count: total.count + 1,
+        estimatedTime: total.estimatedTime + (parseFloat(estimatedTime) || 0),
+        filamentUsedMm: total.filamentUsedMm + (parseFloat(filamentUsedMm) || 0),
+        filamentUsedGrams: total.filamentUsedGrams + (parseFloat(filamentUsedGrams) || 0),
+      };
+    },
+    { count: 0, estimatedTime: 0, filamentUsedMm: 0, filamentUsedGrams: 0 }
+  );
+}
@@ -0,0 +1,38 @@
+import { runQueue, summarizeBatch } from "./sliceQueue";
+
+test("never runs more than the allowed number of tasks at once", async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+
+  await runQueue([1, 2, 3, 4, 5], async (item) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running--;
+    done.push(item);
+  }, { concurrency: 2 });
+
+  expect(peak).toBe(2);
+  expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+});
+
+test("stops starting tasks once cancelled", async () => {
+  const started = [];
+  let cancelled = false;
+  await runQueue(["a", "b", "c"], async (item) => {
+    started.push(item);
+    cancelled = true;
+  }, { isCancelled: () => cancelled });
+
+  expect(started).toEqual(["a"]);
+});
+
+test("totals only finished rows", () => {
+  const total = summarizeBatch([
+    { status: "done", printInfo: { estimatedTime: 600, filamentUsedMm: 1000, filamentUsedGrams: "2.50" } },
+    { status: "done", printInfo: { estimatedTime: "N/A", filamentUsedMm: 500, filamentUsedGrams: "1.25" } },
+    { status: "failed" },
+  ]);
+  expect(total).toEqual({ count: 2, estimatedTime: 600, filamentUsedMm: 1500, filamentUsedGrams: 3.75 });
+});
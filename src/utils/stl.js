@@ -0,0 +1,116 @@
+// STL helpers shared by the preview and the slicer.
+// A "mesh" throughout the app is { positions: Float32Array } holding
+// 9 floats (3 vertices) per triangle, in millimetres, Z up.
+
+const BINARY_HEADER_BYTES = 80;
+const BINARY_TRIANGLE_BYTES = 50;
+
+// Binary STLs may also start with "solid", so trust the size check first
+function isBinaryStl(arrayBuffer) {
+  if (arrayBuffer.byteLength < BINARY_HEADER_BYTES + 4) return false;
+  const view = new DataView(arrayBuffer);
+  const triangleCount = view.getUint32(BINARY_HEADER_BYTES, true);
+  const expected = BINARY_HEADER_BYTES + 4 + triangleCount * BINARY_TRIANGLE_BYTES;
+  if (expected === arrayBuffer.byteLength) return true;
+
+  const head = new TextDecoder().decode(new Uint8Array(arrayBuffer, 0, 5));
+  return head.toLowerCase() !== "solid";
+}
+
+function parseBinaryStl(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const triangleCount = view.getUint32(BINARY_HEADER_BYTES, true);
+  if (BINARY_HEADER_BYTES + 4 + triangleCount * BINARY_TRIANGLE_BYTES > arrayBuffer.byteLength) {
+    throw new Error("STL file is truncated");
+  }
+
+  const positions = new Float32Array(triangleCount * 9);
+  for (let t = 0; t < triangleCount; t++) {
+    // Skip the 12-byte facet normal, we recompute normals for display
+    const offset = BINARY_HEADER_BYTES + 4 + t * BINARY_TRIANGLE_BYTES + 12;
+    for (let i = 0; i < 9; i++) {
+      positions[t * 9 + i] = view.getFloat32(offset + i * 4, true);
+    }
+  }
+  return positions;
+}
+
+function parseAsciiStl(arrayBuffer) {
+  const text = new TextDecoder().decode(arrayBuffer);
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  const values = [];
+  let match;
+  while ((match = vertexPattern.exec(text)) !== null) {
+    values.push(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]));
+  }
+  if (values.length % 9 !== 0 || values.some(isNaN)) {
+    throw new Error("ASCII STL has malformed facets");
+  }
+  return new Float32Array(values);
+}
+
+export function parseStl(arrayBuffer) {
+  const positions = isBinaryStl(arrayBuffer)
+    ? parseBinaryStl(arrayBuffer)
+    : parseAsciiStl(arrayBuffer);
+
+  if (positions.length === 0) {
+    throw new Error("STL file contains no triangles");
+  }
+  return { positions };
+}
+
+export function computeBounds(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      const v = positions[i + axis];
+      if (v < min[axis]) min[axis] = v;
+      if (v > max[axis]) max[axis] = v;
+    }
+  }
+  return {
+    min,
+    max,
+    size: [max[0] - min[0], max[1] - min[1], max[2] - min[2]],
+  };
+}
+
+// Binary STL that CuraWASM can slice, built from a mesh's positions
+export function writeBinaryStl(positions, header = "Dimensify3D") {
+  const triangleCount = positions.length / 9;
+  const buffer = new ArrayBuffer(BINARY_HEADER_BYTES + 4 + triangleCount * BINARY_TRIANGLE_BYTES);
+  const view = new DataView(buffer);
+
+  const headerBytes = new TextEncoder().encode(header).slice(0, BINARY_HEADER_BYTES);
+  new Uint8Array(buffer, 0, headerBytes.length).set(headerBytes);
+  view.setUint32(BINARY_HEADER_BYTES, triangleCount, true);
+
+  for (let t = 0; t < triangleCount; t++) {
+    const p = t * 9;
+    // Facet normal from the right-hand rule, slicers mostly ignore it anyway
+    const ux = positions[p + 3] - positions[p];
+    const uy = positions[p + 4] - positions[p + 1];
+    const uz = positions[p + 5] - positions[p + 2];
+    const vx = positions[p + 6] - positions[p];
+    const vy = positions[p + 7] - positions[p + 1];
+    const vz = positions[p + 8] - positions[p + 2];
+    let nx = uy * vz - uz * vy;
+    let ny = uz * vx - ux * vz;
+    let nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    nx /= length;
+    ny /= length;
+    nz /= length;
+
+    const offset = BINARY_HEADER_BYTES + 4 + t * BINARY_TRIANGLE_BYTES;
+    view.setFloat32(offset, nx, true);
+    view.setFloat32(offset + 4, ny, true);
+    view.setFloat32(offset + 8, nz, true);
+    for (let i = 0; i < 9; i++) {
+      view.setFloat32(offset + 12 + i * 4, positions[p + i], true);
+    }
+  }
+  return buffer;
+}
@@ -0,0 +1,43 @@
+import { computeBounds, parseStl } from "./stl";
+
+function binaryStl(triangles) {
+  const buffer = new ArrayBuffer(84 + triangles.length * 50);
+  const view = new DataView(buffer);
+  view.setUint32(80, triangles.length, true);
+  triangles.forEach((vertices, t) => {
+    vertices.forEach((v, i) => view.setFloat32(84 + t * 50 + 12 + i * 4, v, true));
+  });
+  return buffer;
+}
+
+const triangle = [0, 0, 0, 10, 0, 0, 0, 20, 5];
+
+test("parses binary STL triangles", () => {
+  const { positions } = parseStl(binaryStl([triangle]));
+  expect(Array.from(positions)).toEqual(triangle);
+});
+
+test("parses ASCII STL triangles", () => {
+  const text = `solid part
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 0
+      vertex 10 0 0
+      vertex 0 20 5
+    endloop
+  endfacet
+endsolid part`;
+  const { positions } = parseStl(new TextEncoder().encode(text).buffer);
+  expect(Array.from(positions)).toEqual(triangle);
+});
+
+test("rejects empty and truncated files", () => {
+  expect(() => parseStl(binaryStl([]))).toThrow("no triangles");
+  expect(() => parseStl(binaryStl([triangle]).slice(0, 100))).toThrow();
+});
+
+test("computes bounding box", () => {
+  const bounds = computeBounds(new Float32Array(triangle));
+  expect(bounds.min).toEqual([0, 0, 0]);
+  expect(bounds.size).toEqual([10, 20, 5]);
+});
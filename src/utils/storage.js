@@ -0,0 +1,19 @@
+// Small localStorage wrappers, storage can be unavailable (private mode,
+// quota) so failures fall back to defaults instead of breaking the slicer.
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Could not read ${key} from localStorage:`, err);
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${key} to localStorage:`, err);
+  }
+}
@@ -0,0 +1,195 @@
+// The settings a user picks in the Print Settings panel. Anything that stores
+// or receives them (presets, shared links) goes through normalizeUserSettings
+// so missing or mistyped values fall back to these defaults.
+export const DEFAULT_USER_SETTINGS = {
+  layerHeight: 0.15, // Normal (default)
+  infillDensity: 20, // 20% default
+  infillPattern: "grid", // Grid default
+  supportEnable: false, // No support by default
+  supportStructure: "normal", // normal or tree
+  supportPlacement: "buildplate", // buildplate or everywhere
+  supportAngle: 50, // degrees from vertical that need support
+  supportDensity: 15, // %
+  supportPattern: "zigzag",
+  supportZDistance: 0.1, // mm gap between support and model
+  supportInterfaceLayers: 0, // dense layers against the model, 0 = off
+  supportBrim: false,
+  supportBrimWidth: 8, // mm
+  materialType: "pla", // PLA default
+  materialColor: "blue", // Blue for PLA default
+  wallLineCount: 3,
+  topLayers: 4,
+  bottomLayers: 3,
+  lineWidth: 0, // mm, 0 = the printer's nozzle size
+  outerWallFirst: false, // print the outer wall before the inner ones
+  adhesionType: "skirt", // skirt, brim, raft or none
+  skirtDistance: 3, // mm between skirt and model
+  skirtLineCount: 1,
+  brimWidth: 8, // mm
+  raftMargin: 15, // mm the raft extends past the model
+  raftLayers: 2, // raft top layers
+  expertOverrides: {}, // Cura setting key -> value from the expert panel
+};
+
+export const USER_SETTINGS_STORAGE_KEY = "slicer.userSettings";
+
+export const LAYER_HEIGHT_OPTIONS = [
+  { value: 0.06, label: "Extra Fine (0.06mm)" },
+  { value: 0.1, label: "Fine (0.1mm)" },
+  { value: 0.15, label: "Normal (0.15mm)" },
+  { value: 0.2, label: "Fast (0.2mm)" },
+  { value: 0.3, label: "Very Fast (0.3mm)" },
+];
+
+export const INFILL_PATTERN_OPTIONS = [
+  { value: "grid", label: "Grid" },
+  { value: "lines", label: "Lines" },
+  { value: "triangles", label: "Triangles" },
+  { value: "cubic", label: "Cubic" },
+  { value: "concentric", label: "Concentric" },
+  { value: "zigzag", label: "Zigzag" },
+  { value: "gyroid", label: "Gyroid" },
+];
+
+// Starting points for the wall and skin counts, by what the part is for
+export const SHELL_PRESETS = [
+  { id: "display", label: "Display", wallLineCount: 2, topLayers: 3, bottomLayers: 2 },
+  { id: "standard", label: "Standard", wallLineCount: 3, topLayers: 4, bottomLayers: 3 },
+  { id: "strong", label: "Strong", wallLineCount: 5, topLayers: 6, bottomLayers: 5 },
+];
+
+export const SUPPORT_STRUCTURE_OPTIONS = [
+  { value: "normal", label: "Normal" },
+  { value: "tree", label: "Tree" },
+];
+
+export const SUPPORT_PLACEMENT_OPTIONS = [
+  { value: "buildplate", label: "Touching build plate" },
+  { value: "everywhere", label: "Everywhere" },
+];
+
+export const SUPPORT_PATTERN_OPTIONS = [
+  { value: "zigzag", label: "Zigzag" },
+  { value: "lines", label: "Lines" },
+  { value: "grid", label: "Grid" },
+  { value: "triangles", label: "Triangles" },
+  { value: "concentric", label: "Concentric" },
+  { value: "cross", label: "Cross" },
+  { value: "gyroid", label: "Gyroid" },
+];
+
+export const ADHESION_TYPE_OPTIONS = [
+  { value: "none", label: "None", description: "Prints straight onto the bed" },
+  { value: "skirt", label: "Skirt", description: "Primes the nozzle with an outline around the model" },
+  { value: "brim", label: "Brim", description: "Flat rim attached to the model, for small footprints and warping materials" },
+  { value: "raft", label: "Raft", description: "Thick base under the model, for uneven beds" },
+];
+
+// Ranges for the numeric settings, shared by the panel inputs and by
+// validateUserSettings for settings that come from outside (shared links)
+export const USER_SETTING_LIMITS = {
+  infillDensity: { min: 0, max: 100, integer: true },
+  supportAngle: { min: 0, max: 90 },
+  supportDensity: { min: 0, max: 100 },
+  supportZDistance: { min: 0, max: 1 },
+  supportInterfaceLayers: { min: 0, max: 10, integer: true },
+  supportBrimWidth: { min: 0, max: 50 },
+  wallLineCount: { min: 0, max: 20, integer: true },
+  topLayers: { min: 0, max: 20, integer: true },
+  bottomLayers: { min: 0, max: 20, integer: true },
+  lineWidth: { min: 0, max: 2 },
+  skirtDistance: { min: 0, max: 10 },
+  skirtLineCount: { min: 0, max: 10, integer: true },
+  brimWidth: { min: 0, max: 50 },
+  raftMargin: { min: 0, max: 20 },
+  raftLayers: { min: 0, max: 20, integer: true },
+};
+
+// Clamps a number typed into the panel to the setting's range
+export function clampSetting(key, value) {
+  const { min, max, integer } = USER_SETTING_LIMITS[key];
+  const clamped = Math.min(max, Math.max(min, value));
+  return integer ? Math.round(clamped) : clamped;
+}
+
+// Extrusion width used for walls and skin
+export function effectiveLineWidth(settings, printer) {
+  return settings.lineWidth > 0 ? settings.lineWidth : printer?.nozzleSize || 0.4;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Wall, top and bottom thickness in mm that the counts work out to
+export function shellThickness(settings, printer) {
+  const layerHeight = settings.layerHeight || DEFAULT_USER_SETTINGS.layerHeight;
+  return {
+    wall: round2(settings.wallLineCount * effectiveLineWidth(settings, printer)),
+    top: round2(settings.topLayers * layerHeight),
+    bottom: round2(settings.bottomLayers * layerHeight),
+  };
+}
+
+export const getQualityDescription = (layerHeight) => {
+  const option = LAYER_HEIGHT_OPTIONS.find((opt) => opt.value === layerHeight);
+  return option ? option.label : `${layerHeight}mm`;
+};
+
+// Keeps known keys whose type matches the default, drops everything else
+export function normalizeUserSettings(settings) {
+  const normalized = { ...DEFAULT_USER_SETTINGS };
+  if (!settings || typeof settings !== "object") return normalized;
+
+  Object.keys(DEFAULT_USER_SETTINGS).forEach((key) => {
+    const value = settings[key];
+    if (value != null && typeof value === typeof DEFAULT_USER_SETTINGS[key] && !Array.isArray(value)) {
+      normalized[key] = value;
+    }
+  });
+  return normalized;
+}
+
+const choiceValues = (options) => options.map((option) => option.value);
+
+const USER_SETTING_CHOICES = {
+  layerHeight: choiceValues(LAYER_HEIGHT_OPTIONS),
+  infillPattern: choiceValues(INFILL_PATTERN_OPTIONS),
+  supportStructure: choiceValues(SUPPORT_STRUCTURE_OPTIONS),
+  supportPlacement: choiceValues(SUPPORT_PLACEMENT_OPTIONS),
+  supportPattern: choiceValues(SUPPORT_PATTERN_OPTIONS),
+  adhesionType: choiceValues(ADHESION_TYPE_OPTIONS),
+};
+
+// Like normalizeUserSettings, but also falls back to the default for values
+// outside the panel's choices and ranges, and says what it replaced.
+// Material and colour depend on the material library and are checked by the caller.
+export function validateUserSettings(settings) {
+  const validated = normalizeUserSettings(settings);
+  const problems = [];
+  if (!settings || typeof settings !== "object") return { settings: validated, problems };
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!(key in DEFAULT_USER_SETTINGS)) {
+      problems.push(`Unknown setting "${key}" was ignored`);
+      return;
+    }
+    const fallback = DEFAULT_USER_SETTINGS[key];
+    const limits = USER_SETTING_LIMITS[key];
+    const choices = USER_SETTING_CHOICES[key];
+    let valid = validated[key] === value;
+    if (valid && limits) {
+      valid = Number.isFinite(value) && value >= limits.min && value <= limits.max && (!limits.integer || Number.isInteger(value));
+    }
+    if (valid && choices) valid = choices.includes(value);
+    if (key === "expertOverrides" && valid) {
+      // Cura checks the values themselves; only plain values are passed on
+      const entries = Object.entries(value).filter(([, v]) => ["number", "boolean", "string"].includes(typeof v));
+      if (entries.length !== Object.keys(value).length) problems.push("Some expert settings were not plain values and were ignored");
+      validated.expertOverrides = Object.fromEntries(entries);
+    }
+    if (!valid) {
+      validated[key] = fallback;
+      problems.push(`${key} ${JSON.stringify(value)} is not allowed, using ${JSON.stringify(fallback)}`);
+    }
+  });
+  return { settings: validated, problems };
+}
@@ -0,0 +1,4 @@
+// Kept apart from sliceJob.js so that only the browser bundle sees import.meta
+export default function createSlicerWorker() {
+  return new Worker(new URL("./slicer.worker.js", import.meta.url));
+}
@@ -0,0 +1,51 @@
+/* eslint-disable no-restricted-globals */
+import { CuraWASM } from "cura-wasm";
+
+// One slice per worker: the job API spins up a fresh worker for every run
+// and terminates it afterwards, so the engine never outlives its job.
+let slicer = null;
+
+// cura-wasm calls its cleanup destroy(), there is no dispose()
+async function disposeSlicer() {
+  if (!slicer) return;
+  const current = slicer;
+  slicer = null;
+  try {
+    await current.destroy();
+  } catch (err) {
+    // destroy() throws if the engine never finished loading
+    console.warn("Slicer cleanup failed:", err);
+  }
+}
+
+async function slice({ model, format, definition, overrides }) {
+  let message;
+  const transfer = [];
+
+  try {
+    slicer = new CuraWASM({ definition, overrides, verbose: false });
+    slicer.on("progress", (percent) => {
+      self.postMessage({ type: "progress", percent });
+    });
+
+    const result = await slicer.slice(model, format);
+    message = { type: "done", gcode: result.gcode, metadata: result.metadata };
+    if (result.gcode instanceof ArrayBuffer) transfer.push(result.gcode);
+  } catch (err) {
+    message = { type: "error", message: err?.message || String(err) };
+  } finally {
+    await disposeSlicer();
+  }
+
+  self.postMessage(message, transfer);
+}
+
+self.onmessage = async (event) => {
+  const { type } = event.data;
+  if (type === "slice") {
+    await slice(event.data);
+  } else if (type === "cancel") {
+    await disposeSlicer();
+    self.postMessage({ type: "disposed" });
+  }
+};